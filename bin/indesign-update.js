@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+// Headless command line tool: applies a replacement CSV to every IDML/PDF
+// file in a folder with the same processors the web app uses, so the job can
+// run in a build pipeline.
+//
+//   indesign-update replace --csv rules.csv --in ./src --out ./dist [--replace-all] [--report report.json]
+//
+// Exit codes: 0 = every CSV row matched somewhere, 1 = some rows matched
+// nothing or had a change rejected by the XML check, 2 = bad arguments or a
+// file could not be processed.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// The processors are browser scripts that expect these libraries as globals
+global.JSZip = require('jszip');
+global.Papa = require('papaparse');
+global.PDFLib = require('pdf-lib');
+global.RegexRules = require('../js/regex-rules.js');
+global.XMLChecker = require('../js/xml-checker.js');
+global.CsvRules = require('../js/csv-rules.js');
+global.TextDiff = require('../js/text-diff.js');
+global.AhoCorasick = require('../js/aho-corasick.js');
+global.IDMLLayout = require('../js/idml-layout.js');
+const RuleAnalysis = require('../js/rule-analysis.js');
+const IDMLProcessor = require('../js/idml-processor.js');
+const PDFProcessor = require('../js/pdf-processor.js');
+const BatchReport = require('../js/batch-report.js');
+
+const USAGE = `Usage: indesign-update replace --csv <rules.csv> --in <file|dir> --out <dir> [options]
+
+Options:
+  --csv <file>                Rule CSV (current,replace plus optional option columns)
+  --in <file|dir>             IDML/PDF file, or a folder searched recursively
+  --out <dir>                 Output folder (mirrors the input folder layout)
+  --replace-all               Replace every occurrence instead of the first one per row
+  --cross-block-style <mode>  collapse | first | last | words | proportional
+  --simultaneous              Match every rule against the original text only
+                              (rules never see each other's replacements)
+  --single-pass               Search all rules in one pass per story (IDML);
+                              much faster for large CSVs, implies --simultaneous
+  --overlap <mode>            longest | priority: which of two overlapping
+                              matches wins in a single pass (default longest)
+  --report <file>             Write a JSON report of all replacements
+  --verbose                   Show processor logging
+  -h, --help                  Show this help`;
+
+const SUPPORTED = /\.(idml|pdf)$/i;
+
+class UsageError extends Error {}
+
+// Our own output goes straight to the streams so muting the processors'
+// console logging (see main) does not hide it
+const out = (message) => process.stdout.write(`${message}\n`);
+const err = (message) => process.stderr.write(`${message}\n`);
+
+function parseArgs(argv) {
+    const args = { command: null, replaceAll: false, simultaneous: false, singlePass: false, verbose: false, crossBlockStyle: 'collapse', overlap: 'longest' };
+    const valueFlags = { '--csv': 'csv', '--in': 'input', '--out': 'output', '--report': 'report', '--cross-block-style': 'crossBlockStyle', '--overlap': 'overlap' };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            args.help = true;
+        } else if (arg === '--replace-all') {
+            args.replaceAll = true;
+        } else if (arg === '--simultaneous') {
+            args.simultaneous = true;
+        } else if (arg === '--single-pass') {
+            args.singlePass = true;
+        } else if (arg === '--verbose') {
+            args.verbose = true;
+        } else if (Object.prototype.hasOwnProperty.call(valueFlags, arg)) {
+            const value = argv[++i];
+            if (value === undefined || value.startsWith('--')) throw new UsageError(`${arg} needs a value`);
+            args[valueFlags[arg]] = value;
+        } else if (!arg.startsWith('-') && !args.command) {
+            args.command = arg;
+        } else {
+            throw new UsageError(`Unknown argument '${arg}'`);
+        }
+    }
+    const styles = ['collapse', 'first', 'last', 'words', 'proportional'];
+    if (!styles.includes(args.crossBlockStyle)) throw new UsageError(`--cross-block-style must be one of ${styles.join(', ')}, not '${args.crossBlockStyle}'`);
+    if (!['longest', 'priority'].includes(args.overlap)) throw new UsageError(`--overlap must be longest or priority, not '${args.overlap}'`);
+    return args;
+}
+
+// Same rule format as the web app's CSV upload (see js/csv-rules.js). Any
+// invalid row aborts the run with one message per row.
+function readRules(csvPath) {
+    const text = fs.readFileSync(csvPath, 'utf8').replace(/^\uFEFF/, '');
+    const parsed = Papa.parse(text, { header: true, skipEmptyLines: false });
+    let result;
+    try {
+        result = CsvRules.parse(parsed.meta.fields, parsed.data);
+    } catch (error) {
+        throw new Error(`${csvPath}: ${error.message}`);
+    }
+    if (result.errors.length > 0) {
+        throw new Error(`${csvPath}: ${result.errors.length} invalid row(s)\n` +
+            result.errors.map(error => `  row ${error.row}: ${error.message}`).join('\n'));
+    }
+    return result;
+}
+
+function collectFiles(input) {
+    const stat = fs.statSync(input);
+    if (stat.isFile()) return [{ file: input, relative: path.basename(input) }];
+    const files = [];
+    const walk = (dir) => {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+            const full = path.join(dir, entry.name);
+            if (entry.isDirectory()) walk(full);
+            else if (entry.isFile() && SUPPORTED.test(entry.name)) files.push({ file: full, relative: path.relative(input, full) });
+        }
+    };
+    walk(input);
+    return files;
+}
+
+async function processFile(file, replacements, options) {
+    const bytes = fs.readFileSync(file);
+    if (/\.pdf$/i.test(file)) {
+        // pdf.js is only needed for PDFs and is the slowest dependency to load
+        if (!global.pdfjsLib) global.pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js');
+        const processor = new PDFProcessor();
+        await processor.loadPDF(new Blob([bytes]));
+        const result = await processor.processReplacements(replacements, options);
+        return { type: 'pdf', bytes: result.modifiedPdfBytes, result };
+    }
+    const processor = new IDMLProcessor();
+    await processor.loadIDML(bytes);
+    const result = await processor.processReplacements(replacements, options);
+    return { type: 'idml', bytes: result.modifiedIdmlBytes, result };
+}
+
+async function runReplace(args) {
+    for (const flag of ['csv', 'input', 'output']) {
+        if (!args[flag]) throw new UsageError(`Missing --${flag === 'input' ? 'in' : flag === 'output' ? 'out' : flag}`);
+    }
+    if (!fs.existsSync(args.input)) throw new UsageError(`Input not found: ${args.input}`);
+
+    const { rules, disabled } = readRules(args.csv);
+    if (rules.length === 0) throw new UsageError(`${args.csv}: no rows with both find and replace values`);
+    if (disabled > 0) err(`Skipping ${disabled} disabled CSV row(s)`);
+
+    const files = collectFiles(args.input);
+    if (files.length === 0) throw new UsageError(`No .idml or .pdf files found in ${args.input}`);
+
+    const replacements = rules.map(rule => ({ find: rule.find, replace: rule.replace, options: rule.options }));
+    const options = {
+        replaceAll: args.replaceAll,
+        crossBlockStyle: args.crossBlockStyle,
+        simultaneous: args.simultaneous,
+        singlePass: args.singlePass,
+        overlap: args.overlap
+    };
+
+    // Conflicting rules are reported but do not stop the run
+    const warnings = RuleAnalysis.analyze(rules, options).filter(issue => issue.severity === 'warning');
+    if (warnings.length > 0) {
+        err(`Rule warnings (${warnings.length}):`);
+        for (const issue of warnings) err(`  ${issue.type}: ${issue.message}`);
+    }
+    const batch = new BatchReport(rules, {
+        csv: path.resolve(args.csv),
+        input: path.resolve(args.input),
+        output: path.resolve(args.output),
+        replaceAll: args.replaceAll,
+        simultaneous: args.simultaneous,
+        singlePass: args.singlePass,
+        overlap: args.singlePass ? args.overlap : undefined
+    });
+
+    for (const { file, relative } of files) {
+        const outFile = path.join(args.output, relative);
+        if (path.resolve(outFile) === path.resolve(file)) throw new UsageError(`Refusing to overwrite input file ${file}; choose a different --out`);
+        const entry = { input: path.resolve(file), output: path.resolve(outFile) };
+        try {
+            const { type, bytes, result } = await processFile(file, replacements, options);
+            fs.mkdirSync(path.dirname(outFile), { recursive: true });
+            fs.writeFileSync(outFile, bytes);
+            batch.addResult(entry, type, result);
+            out(`${relative}: ${entry.totalReplacements} replacement(s)`
+                + (entry.failedChanges.length ? `, ${entry.failedChanges.length} failed change(s)` : '')
+                + (entry.unmatched.length ? `, ${entry.unmatched.length} row(s) without a match` : ''));
+        } catch (error) {
+            batch.addFailure(entry, error);
+            err(`${relative}: FAILED - ${error.message}`);
+        }
+    }
+
+    const report = batch.finish();
+    if (args.report) {
+        fs.mkdirSync(path.dirname(path.resolve(args.report)), { recursive: true });
+        fs.writeFileSync(args.report, JSON.stringify(report, null, 2));
+    }
+
+    const failed = batch.failedCount;
+    out(`Processed ${files.length - failed}/${files.length} file(s), ${batch.totalReplacements} replacement(s)`);
+    if (report.unmatchedRows.length > 0) {
+        err(`${report.unmatchedRows.length} CSV row(s) matched nothing:`);
+        for (const row of report.unmatchedRows) err(`  row ${row.row}: ${row.find}`);
+    }
+
+    if (report.failedRows.length > 0) {
+        err(`${report.failedRows.length} CSV row(s) made changes that broke the story XML and were left out:`);
+        for (const file of report.files) {
+            for (const item of file.failedChanges) err(`  ${path.relative(args.input, file.input) || file.input}, ${item.location}: ${item.original} - ${item.error}`);
+        }
+    }
+
+    if (failed > 0) return 2;
+    return report.unmatchedRows.length > 0 || report.failedRows.length > 0 ? 1 : 0;
+}
+
+async function main(argv) {
+    let args;
+    try {
+        args = parseArgs(argv);
+        if (args.help || !args.command) {
+            out(USAGE);
+            return args.help ? 0 : 2;
+        }
+        if (args.command !== 'replace') throw new UsageError(`Unknown command '${args.command}'`);
+
+        // The processors log every step for the browser console; keep the
+        // terminal output to the summary unless asked for
+        if (!args.verbose) {
+            for (const method of ['log', 'info', 'debug', 'warn', 'error']) console[method] = () => {};
+        }
+        return await runReplace(args);
+    } catch (error) {
+        if (error instanceof UsageError) {
+            err(`${error.message}\n\n${USAGE}`);
+        } else {
+            err(error.message);
+        }
+        return 2;
+    }
+}
+
+main(process.argv.slice(2)).then(code => { process.exitCode = code; });
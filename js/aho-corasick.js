@@ -0,0 +1,71 @@
+// Aho-Corasick Automaton
+// Finds every occurrence of many literal patterns in one walk over a text.
+// The single-pass replacement engine uses it instead of one search loop per
+// rule, so the cost of a run grows with the text rather than with
+// rules x text.
+
+class AhoCorasick {
+    // patterns is an array of strings; empty ones are ignored. Results refer
+    // to patterns by their index in this array.
+    constructor(patterns) {
+        this.patterns = patterns;
+        this.next = [new Map()]; // goto transitions per state
+        this.fail = [0];
+        this.out = [[]]; // patterns ending in a state, including via its fail links
+
+        patterns.forEach((pattern, id) => {
+            if (!pattern) return;
+            let state = 0;
+            for (let i = 0; i < pattern.length; i++) {
+                let target = this.next[state].get(pattern[i]);
+                if (target === undefined) {
+                    target = this.next.length;
+                    this.next.push(new Map());
+                    this.fail.push(0);
+                    this.out.push([]);
+                    this.next[state].set(pattern[i], target);
+                }
+                state = target;
+            }
+            this.out[state].push(id);
+        });
+
+        // Fail links breadth first: a state's fail link is the longest proper
+        // suffix of its path that is also a path from the root
+        const queue = Array.from(this.next[0].values());
+        for (let head = 0; head < queue.length; head++) {
+            const state = queue[head];
+            for (const [ch, target] of this.next[state]) {
+                queue.push(target);
+                let fallback = this.fail[state];
+                while (fallback && !this.next[fallback].has(ch)) fallback = this.fail[fallback];
+                this.fail[target] = this.next[fallback].get(ch) || 0;
+                const inherited = this.out[this.fail[target]];
+                if (inherited.length) this.out[target] = this.out[target].concat(inherited);
+            }
+        }
+    }
+
+    // Every occurrence of every pattern, overlapping ones included, as
+    // [{ start, end, pattern }] ordered by end offset
+    search(text) {
+        const found = [];
+        let state = 0;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            while (state && !this.next[state].has(ch)) state = this.fail[state];
+            state = this.next[state].get(ch) || 0;
+            for (const id of this.out[state]) {
+                found.push({ start: i + 1 - this.patterns[id].length, end: i + 1, pattern: id });
+            }
+        }
+        return found;
+    }
+}
+
+// Export for use in other modules (browser global or CommonJS for the CLI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AhoCorasick;
+} else {
+    window.AhoCorasick = AhoCorasick;
+}
@@ -3,10 +3,25 @@ class InDesignUpdateApp {
     constructor() {
         this.currentFile = null;
         this.fileType = null;
+        this.batchFiles = []; // several files selected at once (batch mode)
+        this.batchResult = null; // { zipBytes, report } after a batch run
+        this.review = null; // change review of the last single-file run (see applyReviewSelection)
+        this.matchInventory = null; // { replacements, options, matches } from the last pre-scan
+        this.acknowledgedRules = null; // rule set whose conflict warnings the user chose to ignore
+        this.abortController = null; // AbortController of the running job (see startCancelableJob)
         this.pdfProcessor = new PDFProcessor();
         this.idmlProcessor = new IDMLProcessor();
+        // Runs the processors in a Web Worker once a file is attached
+        this.processingClient = new ProcessingClient();
         this.translator = new Translator();
+        this.translationMemory = new TranslationMemory();
+        if (this.translationMemory.isAvailable()) this.translator.setMemory(this.translationMemory);
+        // Saved translation jobs, resumable after an error or a page reload
+        this.translationJobs = new TranslationJobs();
+        if (this.translationJobs.isAvailable()) this.translator.setJobStore(this.translationJobs);
+        this.xliffConverter = new XLIFFConverter(this.translator);
         this.parsedCsvRows = null; // temporary parsed CSV preview buffer (awaiting user accept)
+        this.parsedCsvErrors = null; // per-row validation errors of that CSV
         this.pairCounter = 1;
         this.mode = 'replace';
         
@@ -18,7 +33,7 @@ class InDesignUpdateApp {
         // File input
         document.getElementById('fileInput').addEventListener('change', (e) => {
             if (e.target.files.length > 0) {
-                this.handleFileSelection(e.target.files[0]);
+                this.handleFilesSelected(e.target.files);
             }
         });
 
@@ -27,6 +42,15 @@ class InDesignUpdateApp {
             this.removeFile();
         });
 
+        // Cancel the running job
+        const cancelProcessingBtn = document.getElementById('cancelProcessingBtn');
+        if (cancelProcessingBtn) cancelProcessingBtn.addEventListener('click', () => {
+            if (!this.abortController) return;
+            this.abortController.abort();
+            cancelProcessingBtn.disabled = true;
+            document.getElementById('progressText').textContent = 'Cancelling...';
+        });
+
         // Add replacement pair button
         document.getElementById('addPairBtn').addEventListener('click', () => {
             this.addReplacementPair();
@@ -34,46 +58,50 @@ class InDesignUpdateApp {
 
         // Mode toggle removed — CSV/manual replace is the single supported workflow now.
 
-    // Glossary / CSV upload: accept CSV with headers `current,replace` for direct replacements
+    // Glossary / CSV upload: find/replace columns plus optional per-row
+    // option columns (see CsvRules for the format)
         const glossaryInput = document.getElementById('glossaryFile');
         if (glossaryInput) {
             glossaryInput.addEventListener('change', (e) => {
                 if (e.target.files && e.target.files[0]) {
                     const file = e.target.files[0];
-                    // Parse with Papa to inspect header quickly
+                    // Keep empty lines so row numbers in messages match the spreadsheet
                     Papa.parse(file, {
                         header: true,
-                        skipEmptyLines: true,
+                        skipEmptyLines: false,
                         complete: async (parsed) => {
+                            const previewBtn = document.getElementById('previewGlossaryBtn');
+                            const acceptBtn = document.getElementById('acceptCsvBtn');
+                            const rejectBtn = document.getElementById('rejectCsvBtn');
                             try {
-                                const header = (parsed.meta.fields || []).map(h => (h||'').trim().toLowerCase());
-                                const rows = parsed.data || [];
-                                // If header contains current & replace, build csvReplacements
-                                if (header.includes('current') && header.includes('replace')) {
-                                    // Store parsed rows for preview; require explicit Accept
-                                    const curKey = parsed.meta.fields.find(h => (h||'').trim().toLowerCase() === 'current');
-                                    const repKey = parsed.meta.fields.find(h => (h||'').trim().toLowerCase() === 'replace');
-                                    this.parsedCsvRows = rows.map(r => ({ find: (r[curKey]||'').toString(), replace: (r[repKey]||'').toString() })).filter(p => p.find && p.replace);
-                                    this._updateGlossaryStatus(`Parsed CSV: ${this.parsedCsvRows.length} pairs — preview and click Accept to use`);
-                                    // Show preview and accept/reject buttons
-                                    const previewBtn = document.getElementById('previewGlossaryBtn');
-                                    const acceptBtn = document.getElementById('acceptCsvBtn');
-                                    const rejectBtn = document.getElementById('rejectCsvBtn');
-                                    if (previewBtn) previewBtn.style.display = 'inline-block';
-                                    if (acceptBtn) acceptBtn.style.display = 'inline-block';
-                                    if (rejectBtn) rejectBtn.style.display = 'inline-block';
+                                const { rules, errors, disabled } = CsvRules.parse(parsed.meta.fields, parsed.data || []);
+                                // Store parsed rows for preview; require explicit Accept
+                                this.parsedCsvRows = rules;
+                                this.parsedCsvErrors = errors;
+                                const disabledNote = disabled ? `, ${disabled} disabled` : '';
+                                if (previewBtn) previewBtn.style.display = 'inline-block';
+                                if (rejectBtn) rejectBtn.style.display = 'inline-block';
+                                if (errors.length > 0) {
+                                    // Nothing is accepted until every row is valid
+                                    if (acceptBtn) acceptBtn.style.display = 'none';
+                                    this._updateGlossaryStatus(`CSV has ${errors.length} invalid row(s) — fix them and upload again (${rules.length} valid${disabledNote})`);
+                                    this.previewGlossary();
                                 } else {
-                                    // We only accept CSVs with 'current' and 'replace' headers for direct replacements.
-                                    this.parsedCsvRows = null;
-                                    e.target.value = '';
-                                    this._updateGlossaryStatus('CSV must include header columns: current, replace');
-                                    this.showError('CSV must include header columns: current, replace');
+                                    if (acceptBtn) acceptBtn.style.display = 'inline-block';
+                                    this._updateGlossaryStatus(`Parsed CSV: ${rules.length} rules${disabledNote} — preview and click Accept to use`);
                                 }
                             } catch (err) {
-                                this.showError('Failed to parse CSV: ' + err.message);
+                                this.parsedCsvRows = null;
+                                this.parsedCsvErrors = null;
                                 e.target.value = '';
-                                this._updateGlossaryStatus('CSV parse failed.');
+                                this._updateGlossaryStatus(err.message);
+                                this.showError(err.message);
                             }
+                        },
+                        error: (err) => {
+                            this.showError('Failed to parse CSV: ' + err.message);
+                            e.target.value = '';
+                            this._updateGlossaryStatus('CSV parse failed.');
                         }
                     });
                 }
@@ -87,77 +115,100 @@ class InDesignUpdateApp {
             this.processFile(false);
         });
 
-        // Pre-scan button: non-destructive search that lists candidate matches
-        const prescanBtn = document.getElementById('prescanBtn');
-        if (prescanBtn) prescanBtn.addEventListener('click', async () => {
-            try {
-                if (!this.currentFile || this.fileType !== 'idml') {
-                    this.showError('Please load an IDML file before running Pre-scan.');
-                    return;
-                }
-
-                // Build replacements (same logic as processFile)
-                let replacements = [];
-                if (this.csvReplacements && this.csvReplacements.length) {
-                    replacements = this.csvReplacements.map(r => ({ find: r.find, replace: r.replace, options: {} }));
-                } else {
-                    replacements = this.getReplacementPairs();
-                    if (replacements.length === 0) {
-                        this.showError('Please add at least one replacement pair or upload a CSV with current,replace headers');
-                        return;
-                    }
-                }
-
-                // Force debug for pre-scan
-                const options = { debug: true };
-
-                this.showProgress();
-                this.updateProgress(10, 'Running pre-scan...');
-                const scanResults = await this.idmlProcessor.preScanMatches(replacements, options);
-                this.hideProgress();
-
-                // Render results in the debug output area
-                if (typeof scanResults === 'object') {
-                    // Reuse renderDebugOutput but accept an array
-                    this.renderDebugOutput(scanResults);
-                    const count = Array.isArray(scanResults) ? scanResults.length : 0;
-                    this.showSuccess(`Pre-scan complete: ${count} candidate match entries (see Debug output)`);
-                } else {
-                    this.showError('Pre-scan returned no results');
-                }
+        // Check rules button: reports chains, cycles and overlapping rules
+        const checkRulesBtn = document.getElementById('checkRulesBtn');
+        if (checkRulesBtn) checkRulesBtn.addEventListener('click', () => this.checkRules(true));
+        for (const id of ['simultaneousMode', 'singlePass']) {
+            const engineOption = document.getElementById(id);
+            if (engineOption) engineOption.addEventListener('change', () => {
+                const panel = document.getElementById('ruleWarnings');
+                if (panel && panel.style.display !== 'none') this.checkRules();
+            });
+        }
 
-            } catch (err) {
-                this.hideProgress();
-                this.showError('Pre-scan failed: ' + err.message);
-            }
-        });
+        // Pre-scan button: lists every match of every rule for approval
+        const prescanBtn = document.getElementById('prescanBtn');
+        if (prescanBtn) prescanBtn.addEventListener('click', () => this.scanMatches());
 
         // Translate button: translate IDML text content
         const translateBtn = document.getElementById('translateBtn');
         if (translateBtn) translateBtn.addEventListener('click', () => this.translateFile());
 
-        // Translation provider selector: show/hide API key input
+        // Translation provider selector: show/hide the API key input and the
+        // custom endpoint and offline provider settings
         const providerSelect = document.getElementById('translationProvider');
         if (providerSelect) {
             providerSelect.addEventListener('change', () => {
                 const apiKeyContainer = document.getElementById('apiKeyContainer');
                 const apiKeyInput = document.getElementById('apiKeyInput');
-                const provider = providerSelect.value;
+                const customContainer = document.getElementById('customProviderContainer');
+                const pseudoContainer = document.getElementById('pseudoProviderContainer');
+                const provider = this.translator.providers.get(providerSelect.value);
                 if (apiKeyContainer) {
-                    apiKeyContainer.style.display = (provider === 'deepl' || provider === 'google' || provider === 'xano') ? 'block' : 'none';
+                    apiKeyContainer.style.display = provider && provider.acceptsKey ? 'block' : 'none';
                 }
-                if (apiKeyInput) {
-                    if (provider === 'xano') {
-                        apiKeyInput.type = 'text';
-                        apiKeyInput.placeholder = 'Enter your Xano endpoint URL (e.g., https://x8ki-letl-twmt.n7.xano.io/api:xxx/translate)';
-                    } else {
-                        apiKeyInput.type = 'password';
-                        apiKeyInput.placeholder = 'Enter your API key';
-                    }
+                if (apiKeyInput && provider) {
+                    apiKeyInput.type = provider.keyIsUrl ? 'text' : 'password';
+                    apiKeyInput.placeholder = provider.keyPlaceholder || 'Enter your API key';
+                }
+                if (customContainer) {
+                    customContainer.style.display = providerSelect.value === 'custom' ? 'block' : 'none';
+                }
+                if (pseudoContainer) {
+                    pseudoContainer.style.display = providerSelect.value === 'pseudo' ? 'block' : 'none';
                 }
             });
         }
 
+        // Custom endpoint presets fill in the request and response mapping
+        const customPreset = document.getElementById('customPreset');
+        if (customPreset) {
+            customPreset.addEventListener('change', () => this.applyCustomProviderPreset(customPreset.value));
+            this.applyCustomProviderPreset(customPreset.value);
+        }
+
+        // XLIFF export/import for CAT tools
+        const exportXliffBtn = document.getElementById('exportXliffBtn');
+        if (exportXliffBtn) exportXliffBtn.addEventListener('click', () => this.exportXliff());
+
+        const importXliffInput = document.getElementById('importXliffFile');
+        if (importXliffInput) importXliffInput.addEventListener('change', async (e) => {
+            const file = e.target.files && e.target.files[0];
+            if (!file) return;
+            await this.importXliff(file);
+            e.target.value = '';
+        });
+
+        // Translation memory: TMX export/import and reset
+        const exportTmxBtn = document.getElementById('exportTmxBtn');
+        if (exportTmxBtn) exportTmxBtn.addEventListener('click', () => this.exportTranslationMemory());
+
+        const importTmxInput = document.getElementById('importTmxFile');
+        if (importTmxInput) importTmxInput.addEventListener('change', async (e) => {
+            const file = e.target.files && e.target.files[0];
+            if (!file) return;
+            try {
+                const imported = await this.translationMemory.importTMX(await file.text());
+                await this._updateTranslationMemoryStatus(`Imported ${imported} translation unit(s) from ${file.name}.`);
+            } catch (err) {
+                this.showError('TMX import failed: ' + err.message);
+            } finally {
+                e.target.value = '';
+            }
+        });
+
+        const clearTmBtn = document.getElementById('clearTmBtn');
+        if (clearTmBtn) clearTmBtn.addEventListener('click', async () => {
+            if (!confirm('Delete all stored translations from this browser?')) return;
+            try {
+                await this.translationMemory.clear();
+                await this._updateTranslationMemoryStatus('Translation memory cleared.');
+            } catch (err) {
+                this.showError('Failed to clear translation memory: ' + err.message);
+            }
+        });
+        this._updateTranslationMemoryStatus();
+
         // Replace All button - replaces all matches across the file
         const replaceAllBtn = document.getElementById('replaceAllBtn');
         if (replaceAllBtn) replaceAllBtn.addEventListener('click', () => {
@@ -170,9 +221,11 @@ class InDesignUpdateApp {
 
     const acceptBtn = document.getElementById('acceptCsvBtn');
     if (acceptBtn) acceptBtn.addEventListener('click', () => {
-        if (Array.isArray(this.parsedCsvRows) && this.parsedCsvRows.length) {
+        const hasErrors = Array.isArray(this.parsedCsvErrors) && this.parsedCsvErrors.length > 0;
+        if (!hasErrors && Array.isArray(this.parsedCsvRows) && this.parsedCsvRows.length) {
             this.csvReplacements = this.parsedCsvRows;
             this.parsedCsvRows = null;
+            this.parsedCsvErrors = null;
             this._updateGlossaryStatus(`Accepted CSV replacements: ${this.csvReplacements.length} pairs`);
             // hide accept/reject
             const accept = document.getElementById('acceptCsvBtn');
@@ -181,6 +234,7 @@ class InDesignUpdateApp {
             if (reject) reject.style.display = 'none';
             // Update Process button state now that CSV is accepted
             if (typeof this.updateProcessButtonState === 'function') this.updateProcessButtonState();
+            this.checkRules();
         }
     });
 
@@ -188,6 +242,7 @@ class InDesignUpdateApp {
     if (rejectBtn) rejectBtn.addEventListener('click', () => {
         // clear parsed CSV and reset input
         this.parsedCsvRows = null;
+        this.parsedCsvErrors = null;
         const glossaryInput = document.getElementById('glossaryFile');
         if (glossaryInput) glossaryInput.value = '';
         this._updateGlossaryStatus('CSV rejected. Upload another CSV if needed.');
@@ -206,6 +261,26 @@ class InDesignUpdateApp {
     if (exportBtn) exportBtn.addEventListener('click', () => this.exportTextForGlossary());
     // (UI handlers above already wired once)
 
+        // Session history (IDML): undo/redo whole runs, re-run the last one
+        const undoRunBtn = document.getElementById('undoRunBtn');
+        if (undoRunBtn) undoRunBtn.addEventListener('click', () => this.undoRun());
+        const redoRunBtn = document.getElementById('redoRunBtn');
+        if (redoRunBtn) redoRunBtn.addEventListener('click', () => this.redoRun());
+        const rerunLastBtn = document.getElementById('rerunLastBtn');
+        if (rerunLastBtn) rerunLastBtn.addEventListener('click', () => this.rerunLast());
+
+        // Back to the rules with the file (and its history) still loaded
+        const editRulesBtn = document.getElementById('editRulesBtn');
+        if (editRulesBtn) editRulesBtn.addEventListener('click', () => this.editRules());
+
+        // Re-package the output without the changes unticked in the review
+        const applyReviewBtn = document.getElementById('applyReviewBtn');
+        if (applyReviewBtn) applyReviewBtn.addEventListener('click', () => this.applyReviewSelection());
+
+        // Overflow report threshold
+        const overflowThreshold = document.getElementById('overflowThresholdPercent');
+        if (overflowThreshold) overflowThreshold.addEventListener('change', () => this.renderOverflowReport());
+
         // Download button
         document.getElementById('downloadBtn').addEventListener('click', () => {
             this.downloadFile();
@@ -239,7 +314,7 @@ class InDesignUpdateApp {
             
             const files = e.dataTransfer.files;
             if (files.length > 0) {
-                this.handleFileSelection(files[0]);
+                this.handleFilesSelected(files);
             }
         });
 
@@ -248,6 +323,34 @@ class InDesignUpdateApp {
         });
     }
 
+    // Entry point for the file input and drag & drop: one file loads as
+    // before, several files switch to batch mode.
+    async handleFilesSelected(fileList) {
+        const files = Array.from(fileList);
+        if (files.length === 1) return this.handleFileSelection(files[0]);
+
+        const supported = files.filter(file => /\.(pdf|idml)$/i.test(file.name));
+        const skipped = files.filter(file => !supported.includes(file));
+        if (supported.length === 0) {
+            this.showError('Please select PDF or IDML files.');
+            return;
+        }
+        if (skipped.length > 0) {
+            this.showError(`Skipping unsupported file(s): ${skipped.map(file => file.name).join(', ')}`);
+        }
+        if (supported.length === 1) return this.handleFileSelection(supported[0]);
+
+        this.removeFile();
+        this.batchFiles = supported;
+        this.showBatchInfo(supported);
+        this.showReplacementSection();
+        // Export text / preview work on a single loaded file only
+        const exportBtn = document.getElementById('exportTextBtn');
+        if (exportBtn) exportBtn.style.display = 'none';
+        this.showSuccess(`${supported.length} files selected for batch processing`);
+        if (typeof this.updateProcessButtonState === 'function') this.updateProcessButtonState();
+    }
+
     async handleFileSelection(file) {
         try {
             // Validate file type
@@ -258,6 +361,12 @@ class InDesignUpdateApp {
 
             this.currentFile = file;
             this.fileType = fileName.endsWith('.pdf') ? 'pdf' : 'idml';
+            this.clearMatchInventory();
+            // Leaving batch mode
+            this.batchFiles = [];
+            this.batchResult = null;
+            const batchList = document.getElementById('batchFileList');
+            if (batchList) batchList.style.display = 'none';
 
             // Update UI
             this.showFileInfo(file);
@@ -268,6 +377,7 @@ class InDesignUpdateApp {
             
             if (this.fileType === 'pdf') {
                 await this.pdfProcessor.loadPDF(file);
+                await this.processingClient.attach(this.pdfProcessor, 'pdf', file);
             } else {
                 await this.idmlProcessor.loadIDML(file);
                 
@@ -276,9 +386,15 @@ class InDesignUpdateApp {
                 if (!idmlInfo.isValid) {
                     console.warn('IDML validation warning:', idmlInfo.error);
                 }
+                // The page keeps its own copy for history, export and the
+                // story list; processing runs on the worker's copy
+                await this.processingClient.attach(this.idmlProcessor, 'idml', file);
             }
 
             this.hideLoading();
+            this.showTranslationJobNotice();
+            // A newly loaded file starts a new history
+            this.renderHistory();
             this.showSuccess(`${this.fileType.toUpperCase()} file loaded successfully!`);
             // Show export button and preview button
             const exportBtn = document.getElementById('exportTextBtn');
@@ -309,9 +425,68 @@ class InDesignUpdateApp {
         fileInfo.classList.add('fade-in');
     }
 
+    showBatchInfo(files) {
+        const idmlCount = files.filter(file => /\.idml$/i.test(file.name)).length;
+        const pdfCount = files.length - idmlCount;
+        document.getElementById('fileName').textContent =
+            `${files.length} files (${[idmlCount && `${idmlCount} IDML`, pdfCount && `${pdfCount} PDF`].filter(Boolean).join(', ')})`;
+        document.getElementById('fileSize').textContent = this.formatFileSize(files.reduce((sum, file) => sum + file.size, 0));
+
+        const list = document.getElementById('batchFileList');
+        list.innerHTML = '';
+        files.forEach((file, i) => {
+            const item = document.createElement('li');
+            item.dataset.index = i;
+            item.dataset.status = 'pending';
+            const name = document.createElement('span');
+            name.className = 'batch-file-name';
+            name.textContent = file.name;
+            const status = document.createElement('span');
+            status.className = 'batch-file-status';
+            status.textContent = 'Pending';
+            item.appendChild(name);
+            item.appendChild(status);
+            list.appendChild(item);
+        });
+        list.style.display = 'block';
+
+        document.getElementById('fileUploadArea').style.display = 'none';
+        const fileInfo = document.getElementById('fileInfo');
+        fileInfo.style.display = 'flex';
+        fileInfo.classList.add('fade-in');
+    }
+
+    _setBatchFileStatus(index, status, text) {
+        const item = document.querySelector(`#batchFileList li[data-index="${index}"]`);
+        if (!item) return;
+        item.dataset.status = status;
+        item.querySelector('.batch-file-status').textContent = text;
+    }
+
+    // Avoid overwriting an entry in the batch ZIP when two inputs share a name
+    _uniqueName(name, usedNames) {
+        let candidate = name;
+        for (let n = 2; usedNames.has(candidate.toLowerCase()); n++) {
+            candidate = name.replace(/(\.[^.]+)$/, `_${n}$1`);
+        }
+        usedNames.add(candidate.toLowerCase());
+        return candidate;
+    }
+
     removeFile() {
         this.currentFile = null;
         this.fileType = null;
+        this.batchFiles = [];
+        this.batchResult = null;
+        this.review = null;
+        this.clearMatchInventory();
+        const historyPanel = document.getElementById('historyPanel');
+        if (historyPanel) historyPanel.style.display = 'none';
+        const batchList = document.getElementById('batchFileList');
+        if (batchList) {
+            batchList.innerHTML = '';
+            batchList.style.display = 'none';
+        }
         
         // Reset UI
         document.getElementById('fileUploadArea').style.display = 'block';
@@ -322,6 +497,7 @@ class InDesignUpdateApp {
         
         // Reset file input
         document.getElementById('fileInput').value = '';
+        this.showTranslationJobNotice();
     }
 
     showReplacementSection() {
@@ -364,6 +540,12 @@ class InDesignUpdateApp {
                     <span class="checkmark"></span>
                     Replace all matches
                 </label>
+                <label class="checkbox-label small">
+                    <input type="checkbox" id="useRegex${this.pairCounter}">
+                    <span class="checkmark"></span>
+                    Regex
+                </label>
+                <input type="text" class="regex-flags" id="regexFlags${this.pairCounter}" placeholder="flags (s, m, u)" title="Extra regex flags; 'i' follows the Case sensitive option">
             </div>
             <button class="remove-pair-btn" onclick="app.removePair(this)">
                 <i class="fas fa-trash"></i>
@@ -409,12 +591,13 @@ class InDesignUpdateApp {
                 if (findInput && replaceInput && findInput.value.trim() && replaceInput.value.trim()) hasManualPair = true;
             });
 
-            processBtn.disabled = !this.currentFile || !(csvReady || hasManualPair);
+            const hasFiles = !!this.currentFile || this.batchFiles.length > 1;
+            processBtn.disabled = !hasFiles || !(csvReady || hasManualPair);
         };
 
         // Add input listeners to update button state dynamically
         document.addEventListener('input', (e) => {
-            if (e.target.matches('input[id^="findWord"], input[id^="replaceWord"], input[id^="caseSensitive"], input[id^="wholeWords"], input[id^="replaceAll"], #glossaryFile')) {
+            if (e.target.matches('input[id^="findWord"], input[id^="replaceWord"], input[id^="caseSensitive"], input[id^="wholeWords"], input[id^="replaceAll"], input[id^="useRegex"], #glossaryFile')) {
                 this.updateProcessButtonState();
             }
         });
@@ -429,48 +612,23 @@ class InDesignUpdateApp {
         container.innerHTML = '';
 
         // Prefer showing parsed (unaccepted) CSV preview first so user can Accept/Reject
-        if (this.parsedCsvRows && this.parsedCsvRows.length) {
-            const table = document.createElement('table');
-            table.className = 'preview-table-inner';
-            const thead = document.createElement('thead');
-            const headerRow = document.createElement('tr');
-            const thCur = document.createElement('th'); thCur.textContent = 'Current'; headerRow.appendChild(thCur);
-            const thRep = document.createElement('th'); thRep.textContent = 'Replace With'; headerRow.appendChild(thRep);
-            thead.appendChild(headerRow);
-            table.appendChild(thead);
-            const tbody = document.createElement('tbody');
-            for (const r of this.parsedCsvRows.slice(0,50)) {
-                const tr = document.createElement('tr');
-                const td1 = document.createElement('td'); td1.textContent = r.find; tr.appendChild(td1);
-                const td2 = document.createElement('td'); td2.textContent = r.replace; tr.appendChild(td2);
-                tbody.appendChild(tr);
+        if (this.parsedCsvErrors && this.parsedCsvErrors.length) {
+            const list = document.createElement('ul');
+            list.className = 'csv-errors';
+            for (const error of this.parsedCsvErrors.slice(0, 50)) {
+                const li = document.createElement('li');
+                li.textContent = `Row ${error.row}: ${error.message}`;
+                list.appendChild(li);
             }
-            table.appendChild(tbody);
-            container.appendChild(table);
+            container.appendChild(list);
+        }
+        const rules = this.parsedCsvRows || this.csvReplacements;
+        if (rules && rules.length) {
+            container.appendChild(this._renderRulesTable(rules.slice(0, 50)));
             container.style.display = 'block';
-            // show accept/reject - handled elsewhere
             return;
         }
-
-        if (this.csvReplacements && this.csvReplacements.length) {
-            // Render CSV replacements preview
-            const table = document.createElement('table');
-            table.className = 'preview-table-inner';
-            const thead = document.createElement('thead');
-            const headerRow = document.createElement('tr');
-            const thCur = document.createElement('th'); thCur.textContent = 'Current'; headerRow.appendChild(thCur);
-            const thRep = document.createElement('th'); thRep.textContent = 'Replace With'; headerRow.appendChild(thRep);
-            thead.appendChild(headerRow);
-            table.appendChild(thead);
-            const tbody = document.createElement('tbody');
-            for (const r of this.csvReplacements.slice(0,50)) {
-                const tr = document.createElement('tr');
-                const td1 = document.createElement('td'); td1.textContent = r.find; tr.appendChild(td1);
-                const td2 = document.createElement('td'); td2.textContent = r.replace; tr.appendChild(td2);
-                tbody.appendChild(tr);
-            }
-            table.appendChild(tbody);
-            container.appendChild(table);
+        if (container.childNodes.length) {
             container.style.display = 'block';
             return;
         }
@@ -480,11 +638,65 @@ class InDesignUpdateApp {
         container.style.display = 'block';
     }
 
+    _renderRulesTable(rules) {
+        const table = document.createElement('table');
+        table.className = 'preview-table-inner';
+        const thead = document.createElement('thead');
+        const headerRow = document.createElement('tr');
+        ['Row', 'Current', 'Replace With', 'Options', 'Note'].forEach(h => {
+            const th = document.createElement('th'); th.textContent = h; headerRow.appendChild(th);
+        });
+        thead.appendChild(headerRow);
+        table.appendChild(thead);
+        const tbody = document.createElement('tbody');
+        for (const r of rules) {
+            const tr = document.createElement('tr');
+            for (const value of [r.row, r.find, r.replace, CsvRules.describeOptions(r.options), r.note || '']) {
+                const td = document.createElement('td'); td.textContent = value; tr.appendChild(td);
+            }
+            tbody.appendChild(tr);
+        }
+        table.appendChild(tbody);
+        return table;
+    }
+
     _glossaryHasLang(lang) {
         // Legacy helper retained for UI checks — return true if CSV replacements are present
         return Array.isArray(this.csvReplacements) && this.csvReplacements.length > 0;
     }
 
+    async _updateTranslationMemoryStatus(message = '') {
+        const el = document.getElementById('tmStatus');
+        if (!el) return;
+        if (!this.translationMemory.isAvailable()) {
+            el.textContent = 'Translation memory is unavailable (this browser has no IndexedDB).';
+            return;
+        }
+        try {
+            const count = await this.translationMemory.count();
+            el.textContent = `${message ? message + ' ' : ''}${count} stored translation(s).`;
+        } catch (err) {
+            el.textContent = 'Translation memory could not be opened: ' + err.message;
+        }
+    }
+
+    async exportTranslationMemory() {
+        try {
+            const tmx = await this.translationMemory.exportTMX();
+            const blob = new Blob([tmx], { type: 'application/x-tmx+xml' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = 'translation-memory.tmx';
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            this.showError('TMX export failed: ' + err.message);
+        }
+    }
+
     _updateGlossaryStatus(message) {
         const el = document.getElementById('glossaryStatus');
         if (!el) return;
@@ -499,22 +711,17 @@ class InDesignUpdateApp {
     // If replaceAll flag is true, every replacement will replace ALL occurrences
     // in the document; otherwise the previous behavior (first-occurrence-per-row
     // for IDML and first-only for PDF when appropriate) is used.
-    async processFile(replaceAll = false) {
+    // approvedMatches (a Set of match ids from the pre-scan) applies exactly
+    // those matches of the scanned rules instead.
+    async processFile(replaceAll = false, approvedMatches = null) {
+        if (this.batchFiles.length > 1) return this.processBatch(replaceAll);
         try {
             if (!this.currentFile) {
                 throw new Error('No file selected');
             }
 
-            // Build replacements: prefer CSV replacements if present, otherwise use manual pairs
-            let replacements = [];
-            if (this.csvReplacements && this.csvReplacements.length) {
-                // CSV rows don't carry per-row options. Use empty options for CSV
-                // replacements (per-pair options are available for manual pairs).
-                replacements = this.csvReplacements.map(r => ({ find: r.find, replace: r.replace, options: {} }));
-            } else {
-                replacements = this.getReplacementPairs();
-                if (replacements.length === 0) throw new Error('Please add at least one replacement pair or upload a CSV with current,replace headers');
-            }
+            const replacements = approvedMatches ? this.matchInventory.replacements : this.getActiveReplacements();
+            if (replacements.length === 0) throw new Error('Please add at least one replacement pair or upload a CSV with current,replace headers');
 
             // Get options (global defaults). Global case/whole checkboxes were
             // removed in favor of per-pair controls, so only include replaceAll
@@ -523,31 +730,59 @@ class InDesignUpdateApp {
 
             const options = {
                 replaceAll: !!replaceAll,
-                debug: debugEnabled
+                debug: debugEnabled,
+                crossBlockStyle: this.getCrossBlockStyle()
             };
+            Object.assign(options, this.getEngineOptions());
+            if (approvedMatches) {
+                Object.assign(options, this.matchInventory.options, { approvedMatches });
+            } else if (!this.confirmRuleIssues(replacements, options)) {
+                return;
+            }
 
             // Show progress
             this.showProgress();
+            const signal = this.startCancelableJob();
             this.updateProgress(10, 'Starting processing...');
 
+            this.review = null;
+
+            // IDML runs build on the previous ones and are recorded in the
+            // session history; PDFs are always processed from the original
+            const runOptions = Object.assign({}, options, {
+                onProgress: (percent, message) => this.updateProgress(30 + percent * 0.6, message),
+                signal
+            });
             let result;
             if (this.fileType === 'pdf') {
                 this.updateProgress(30, 'Processing PDF...');
-                result = await this.pdfProcessor.processReplacements(replacements, options);
+                result = await this.pdfProcessor.processReplacements(replacements, runOptions);
             } else {
                 this.updateProgress(30, 'Processing IDML...');
-                result = await this.idmlProcessor.processReplacements(replacements, options);
+                result = await this.idmlProcessor.runWithHistory(replacements, runOptions, this._runLabel(replacements, options));
+            }
+
+            if (result.cancelled && !this.keepPartialResult(`${result.totalReplacements} replacement(s) were made before the run was cancelled.`, result.totalReplacements)) {
+                if (this.fileType !== 'pdf') this.idmlProcessor.discardLastRun();
+                this.renderHistory();
+                this.showCancelled();
+                return;
             }
 
             this.updateProgress(90, 'Finalizing...');
 
             if (result.success) {
-                // Store result for download
+                // Store result for download. A cancelled run can only be
+                // reviewed when it stopped at a rule boundary: the review
+                // then re-runs the rules it got to.
                 this.processedFile = result;
+                const reviewed = result.cancelled ? (result.stoppedAt === null ? null : replacements.slice(0, result.stoppedAt)) : replacements;
+                this.review = reviewed ? { replacements: reviewed, options, log: result.replacementLog || [], rejected: new Set(), applied: new Set() } : null;
                 this.updateProgress(100, 'Complete!');
                 
                 setTimeout(() => {
                     this.showDownloadSection(result);
+                    this.renderHistory();
                     // render replacement details
                     this.renderReplacementDetails(result.replacementLog || []);
                     // render debug output if requested
@@ -557,10 +792,290 @@ class InDesignUpdateApp {
                 throw new Error('Processing failed');
             }
 
+        } catch (error) {
+            if (error.name === 'AbortError') return this.showCancelled();
+            this.hideProgress();
+            this.showError(error.message);
+        } finally {
+            this.endCancelableJob();
+        }
+    }
+
+    // Run the current replacements over every file of a batch selection. Each
+    // file gets a fresh processor so modified stories never leak between
+    // files; the outputs and a combined report are bundled into one ZIP.
+    async processBatch(replaceAll = false) {
+        try {
+            const replacements = this.getActiveReplacements();
+            if (replacements.length === 0) throw new Error('Please add at least one replacement pair or upload a CSV with current,replace headers');
+
+            const debugEnabled = !!(document.getElementById('debugMode') && document.getElementById('debugMode').checked);
+            const options = {
+                replaceAll: !!replaceAll,
+                debug: debugEnabled,
+                crossBlockStyle: this.getCrossBlockStyle()
+            };
+            Object.assign(options, this.getEngineOptions());
+            if (!this.confirmRuleIssues(replacements, options)) return;
+
+            const files = this.batchFiles;
+            this.review = null;
+            const batch = new BatchReport(replacements, { replaceAll: !!replaceAll, simultaneous: options.simultaneous, singlePass: options.singlePass });
+            const zip = new JSZip();
+            const usedNames = new Set();
+            const combinedLog = [];
+            this.batchResult = null;
+            this.showProgress();
+            const signal = this.startCancelableJob();
+            let cancelledAt = -1; // first file the batch did not finish
+
+            for (let i = 0; i < files.length; i++) {
+                const file = files[i];
+                const type = file.name.toLowerCase().endsWith('.pdf') ? 'pdf' : 'idml';
+                const entry = { name: file.name };
+                this.updateProgress(Math.round((i / files.length) * 90), `File ${i + 1}/${files.length}: ${file.name}`);
+                this._setBatchFileStatus(i, 'processing', 'Processing...');
+
+                const processor = type === 'pdf' ? new PDFProcessor() : new IDMLProcessor();
+                try {
+                    // Only the worker needs the file when it takes it
+                    if (!await this.processingClient.attach(processor, type, file)) {
+                        if (type === 'pdf') {
+                            await processor.loadPDF(file);
+                        } else {
+                            await processor.loadIDML(file);
+                        }
+                    }
+                    const result = await processor.processReplacements(replacements, Object.assign({}, options, {
+                        onProgress: (percent, message) => this.updateProgress(Math.round((i + percent / 100) / files.length * 90), `File ${i + 1}/${files.length}: ${message}`),
+                        signal
+                    }));
+                    // A half-processed file is not included
+                    if (result.cancelled) {
+                        cancelledAt = i;
+                        break;
+                    }
+                    if (!result.success) throw new Error('Processing failed');
+
+                    const outName = file.name.replace(/\.(pdf|idml)$/i, (ext) => `_modified${ext}`);
+                    zip.file(this._uniqueName(outName, usedNames), type === 'pdf' ? result.modifiedPdfBytes : result.modifiedIdmlBytes);
+                    batch.addResult(entry, type, result);
+                    for (const item of result.replacementLog || []) {
+                        const prefixed = { file: `${file.name}: ${item.file || `Page ${item.page}`}` };
+                        if (item.location) prefixed.location = `${file.name}: ${item.location}`;
+                        combinedLog.push(Object.assign({}, item, prefixed));
+                    }
+                    this._setBatchFileStatus(i, 'done', `${entry.totalReplacements} replacement(s)`);
+                } catch (error) {
+                    if (error.name === 'AbortError') {
+                        cancelledAt = i;
+                        break;
+                    }
+                    batch.addFailure(entry, error);
+                    this._setBatchFileStatus(i, 'failed', error.message);
+                } finally {
+                    this.processingClient.detach(processor);
+                }
+                if (signal.aborted && i + 1 < files.length) {
+                    cancelledAt = i + 1;
+                    break;
+                }
+            }
+
+            // Cancelling stops the whole batch; the files done so far can
+            // still be downloaded
+            if (cancelledAt !== -1) {
+                const finished = cancelledAt - batch.failedCount;
+                if (!this.keepPartialResult(`${finished} of ${files.length} file(s) were processed before the batch was cancelled.`, finished)) {
+                    for (let i = cancelledAt; i < files.length; i++) this._setBatchFileStatus(i, 'failed', 'Cancelled');
+                    return this.showCancelled();
+                }
+                for (let i = cancelledAt; i < files.length; i++) {
+                    batch.addFailure({ name: files[i].name }, new Error('Cancelled'));
+                    this._setBatchFileStatus(i, 'failed', 'Cancelled');
+                }
+            }
+
+            const report = batch.finish();
+            if (batch.failedCount === files.length) throw new Error('No file in the batch could be processed. See the file list for details.');
+
+            this.updateProgress(95, 'Building ZIP...');
+            zip.file('batch-report.json', JSON.stringify(report, null, 2));
+            zip.file('batch-report.csv', '\ufeff' + Papa.unparse(batch.toRows(), { columns: ['file', 'status', 'location', 'original', 'replacement', 'count', 'error'] }));
+            const zipBytes = await zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE', compressionOptions: { level: 6 } });
+
+            this.batchResult = { zipBytes, report };
+            this.processedFile = null;
+            this.updateProgress(100, 'Complete!');
+
+            setTimeout(() => {
+                this.showDownloadSection({ totalReplacements: batch.totalReplacements });
+                const failed = batch.failedCount;
+                document.getElementById('replacementSummary').textContent =
+                    `${batch.totalReplacements} replacement(s) in ${files.length - failed} of ${files.length} file(s)` +
+                    (failed ? ` — ${failed} failed` : '');
+                document.getElementById('downloadBtn').innerHTML = '<i class="fas fa-file-archive"></i> Download ZIP';
+                this.renderBatchSummary(report);
+                this.renderReplacementDetails(combinedLog);
+                if (options.debug) this.renderDebugOutput(combinedLog);
+            }, 500);
         } catch (error) {
             this.hideProgress();
             this.showError(error.message);
+        } finally {
+            this.endCancelableJob();
+        }
+    }
+
+    // Pre-scan: list every occurrence of every rule in the loaded IDML with
+    // its context so proofreaders can approve or reject each one before
+    // anything is changed
+    async scanMatches() {
+        try {
+            if (!this.currentFile || this.fileType !== 'idml') {
+                this.showError('Please load an IDML file before running Pre-scan.');
+                return;
+            }
+            const replacements = this.getActiveReplacements();
+            if (replacements.length === 0) {
+                this.showError('Please add at least one replacement pair or upload a CSV with current,replace headers');
+                return;
+            }
+
+            const options = Object.assign({ crossBlockStyle: this.getCrossBlockStyle() }, this.getEngineOptions());
+            this.showLoading('Scanning matches...');
+            const matches = await this.idmlProcessor.preScanMatches(replacements, options);
+            this.hideLoading();
+
+            this.matchInventory = { replacements, options, matches };
+            this.renderMatchInventory();
+            const rules = new Set(matches.map(match => match.ruleIndex)).size;
+            this.showSuccess(`Pre-scan complete: ${matches.length} match(es) for ${rules} of ${replacements.length} rule(s)`);
+        } catch (err) {
+            this.hideLoading();
+            this.showError('Pre-scan failed: ' + err.message);
+        }
+    }
+
+    clearMatchInventory() {
+        this.matchInventory = null;
+        const container = document.getElementById('matchInventory');
+        if (container) {
+            container.innerHTML = '';
+            container.style.display = 'none';
+        }
+    }
+
+    // One row per match with an approve checkbox; the matched text is shown
+    // inside its surrounding text
+    renderMatchInventory() {
+        const container = document.getElementById('matchInventory');
+        const inventory = this.matchInventory;
+        container.innerHTML = '';
+        container.style.display = 'block';
+
+        if (inventory.matches.length === 0) {
+            container.textContent = 'No rule matches anything in this file.';
+            return;
+        }
+
+        const bar = document.createElement('div');
+        bar.className = 'review-bar';
+        const status = document.createElement('span');
+        status.className = 'hint';
+        const actions = document.createElement('div');
+        const makeButton = (html, onClick) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'add-pair-btn';
+            button.style.marginLeft = '8px';
+            button.innerHTML = html;
+            button.addEventListener('click', onClick);
+            actions.appendChild(button);
+            return button;
+        };
+        const checkboxes = [];
+        const updateStatus = () => {
+            const approved = inventory.matches.filter(match => match.approved).length;
+            status.textContent = `${approved} of ${inventory.matches.length} match(es) approved`;
+            applyBtn.disabled = approved === 0;
+        };
+        const setAll = (value) => {
+            inventory.matches.forEach((match, i) => {
+                match.approved = value;
+                checkboxes[i].checked = value;
+            });
+            updateStatus();
+        };
+        makeButton('<i class="fas fa-check-square"></i> Approve all', () => setAll(true));
+        makeButton('<i class="fas fa-square"></i> Reject all', () => setAll(false));
+        const applyBtn = makeButton('<i class="fas fa-play"></i> Apply approved', () => {
+            const approved = new Set(inventory.matches.filter(match => match.approved).map(match => match.matchId));
+            this.processFile(false, approved);
+        });
+        bar.appendChild(status);
+        bar.appendChild(actions);
+        container.appendChild(bar);
+
+        const table = document.createElement('table');
+        const thead = document.createElement('thead');
+        const headerRow = document.createElement('tr');
+        ['Apply', 'Rule', 'Location', 'Match in context', 'Replace with'].forEach(h => {
+            const th = document.createElement('th'); th.textContent = h; headerRow.appendChild(th);
+        });
+        thead.appendChild(headerRow);
+        table.appendChild(thead);
+
+        const tbody = document.createElement('tbody');
+        for (const match of inventory.matches) {
+            const tr = document.createElement('tr');
+            const apply = document.createElement('td');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = match.approved;
+            checkbox.addEventListener('change', () => {
+                match.approved = checkbox.checked;
+                updateStatus();
+            });
+            checkboxes.push(checkbox);
+            apply.appendChild(checkbox);
+            tr.appendChild(apply);
+
+            const rule = inventory.replacements[match.ruleIndex];
+            const ruleCell = document.createElement('td');
+            ruleCell.textContent = rule.row ? `Row ${rule.row}` : `#${match.ruleIndex + 1}`;
+            tr.appendChild(ruleCell);
+
+            const loc = document.createElement('td');
+            loc.textContent = `${match.location || match.file}` + (match.paragraph ? `, paragraph ${match.paragraph}` : '') + (match.style ? ` (${match.style})` : '');
+            tr.appendChild(loc);
+
+            const context = document.createElement('td');
+            context.className = 'change-context';
+            const mark = document.createElement('mark');
+            mark.textContent = match.matched;
+            context.appendChild(document.createTextNode((match.before.length >= 60 ? '…' : '') + match.before));
+            context.appendChild(mark);
+            context.appendChild(document.createTextNode(match.after + (match.after.length >= 60 ? '…' : '')));
+            tr.appendChild(context);
+
+            const rep = document.createElement('td'); rep.textContent = match.replacement; tr.appendChild(rep);
+            tbody.appendChild(tr);
+        }
+        table.appendChild(tbody);
+        container.appendChild(table);
+        updateStatus();
+    }
+
+    // Replacement rules for the next run: accepted CSV rows if any,
+    // otherwise the manual pairs.
+    getActiveReplacements() {
+        if (this.csvReplacements && this.csvReplacements.length) {
+            // Options only hold the columns a row actually filled in, so
+            // blank cells fall back to the run's global options
+            return this.csvReplacements.map(r => ({ row: r.row, find: r.find, replace: r.replace, options: Object.assign({}, r.options), note: r.note }));
         }
+        return this.getReplacementPairs();
     }
 
     getReplacementPairs() {
@@ -572,27 +1087,163 @@ class InDesignUpdateApp {
             const csInput = pair.querySelector('input[id^="caseSensitive"]');
             const wwInput = pair.querySelector('input[id^="wholeWords"]');
             const raInput = pair.querySelector('input[id^="replaceAll"]');
+            const rxInput = pair.querySelector('input[id^="useRegex"]');
+            const rfInput = pair.querySelector('input[id^="regexFlags"]');
 
             const find = findInput ? findInput.value.trim() : '';
             const replace = replaceInput ? replaceInput.value.trim() : '';
             const caseSensitive = csInput ? csInput.checked : false;
             const wholeWords = wwInput ? wwInput.checked : false;
             const replaceAll = raInput ? raInput.checked : false;
+            const regex = rxInput ? rxInput.checked : false;
+            const regexFlags = rfInput ? rfInput.value.trim() : '';
 
             if (find && replace) {
-                pairs.push({ find, replace, options: { caseSensitive, wholeWords, replaceAll } });
+                pairs.push({ find, replace, options: { caseSensitive, wholeWords, replaceAll, regex, regexFlags } });
             }
         });
         
         return pairs;
     }
 
+    // Global layout mode for matches that cross CharacterStyleRanges; rules
+    // may still override it through their own options.
+    getCrossBlockStyle() {
+        const select = document.getElementById('crossBlockStyle');
+        return select ? select.value : 'collapse';
+    }
+
+    // How the rules are run: simultaneous makes every rule match the
+    // original text instead of the output of the rules before it; singlePass
+    // uses the multi-pattern engine (which also matches the original text)
+    // with `overlap` picking between overlapping matches.
+    getEngineOptions() {
+        const checked = (id) => {
+            const checkbox = document.getElementById(id);
+            return !!(checkbox && checkbox.checked);
+        };
+        const overlap = document.getElementById('overlapMode');
+        return {
+            simultaneous: checked('simultaneousMode'),
+            singlePass: checked('singlePass'),
+            overlap: overlap ? overlap.value : 'longest'
+        };
+    }
+
+    // Analyze the current rules for chains, cycles, duplicates and
+    // overlaps and show the result above the match inventory. With
+    // `announce` an empty result is reported too.
+    checkRules(announce = false) {
+        const replacements = this.getActiveReplacements();
+        const engine = this.getEngineOptions();
+        const issues = RuleAnalysis.analyze(replacements, engine);
+        this.renderRuleWarnings(issues);
+        if (announce && issues.length === 0) {
+            this.showSuccess(replacements.length ? 'No conflicts found between the rules' : 'No rules to check yet');
+        }
+        return issues;
+    }
+
+    renderRuleWarnings(issues) {
+        const container = document.getElementById('ruleWarnings');
+        if (!container) return;
+        container.innerHTML = '';
+        if (issues.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+        container.style.display = 'block';
+
+        const warnings = issues.filter(issue => issue.severity === 'warning');
+        const title = document.createElement('strong');
+        title.textContent = warnings.length
+            ? `${warnings.length} rule conflict(s) found`
+            : 'Rules overlap (informational)';
+        container.appendChild(title);
+        const engine = this.getEngineOptions();
+        if (!engine.simultaneous && !engine.singlePass && issues.some(issue => issue.type === 'chain' || issue.type === 'cycle' || issue.type === 'creates-match')) {
+            const hint = document.createElement('div');
+            hint.className = 'hint';
+            hint.textContent = 'Rules run in order and see each other\'s output. Tick "Apply rules simultaneously" to match the original text only.';
+            container.appendChild(hint);
+        }
+
+        // Warnings first; long rule lists can produce many pairs
+        const limit = 50;
+        const sorted = warnings.concat(issues.filter(issue => issue.severity !== 'warning'));
+        const list = document.createElement('ul');
+        for (const issue of sorted.slice(0, limit)) {
+            const item = document.createElement('li');
+            if (issue.severity !== 'warning') item.className = 'rule-info';
+            const type = document.createElement('span');
+            type.className = 'rule-type';
+            type.textContent = `${issue.type}:`;
+            item.appendChild(type);
+            item.appendChild(document.createTextNode(issue.message));
+            list.appendChild(item);
+        }
+        container.appendChild(list);
+        if (sorted.length > limit) {
+            const more = document.createElement('div');
+            more.className = 'hint';
+            more.textContent = `...and ${sorted.length - limit} more`;
+            container.appendChild(more);
+        }
+    }
+
+    // Before processing: warn about conflicting rules once per rule set.
+    // Returns false when the user chose to review the rules first.
+    confirmRuleIssues(replacements, options) {
+        const issues = RuleAnalysis.analyze(replacements, options);
+        const warnings = issues.filter(issue => issue.severity === 'warning');
+        if (warnings.length === 0) return true;
+        const signature = JSON.stringify([replacements, !!options.simultaneous, !!options.singlePass]);
+        if (this.acknowledgedRules === signature) return true;
+        this.renderRuleWarnings(issues);
+        if (!confirm(`${warnings.length} rule conflict(s) found (listed below the process buttons). Process anyway?`)) return false;
+        this.acknowledgedRules = signature;
+        return true;
+    }
+
     showProgress() {
         document.getElementById('replacementSection').style.display = 'none';
         document.getElementById('progressSection').style.display = 'block';
         document.getElementById('progressSection').classList.add('fade-in');
     }
 
+    // A job the Cancel button under the progress bar can stop. The returned
+    // AbortSignal goes to the processors and the translator, which stop at
+    // their next rule, story or request and return what they have done
+    // (result.cancelled).
+    startCancelableJob() {
+        this.abortController = new AbortController();
+        const cancelBtn = document.getElementById('cancelProcessingBtn');
+        if (cancelBtn) {
+            cancelBtn.disabled = false;
+            cancelBtn.style.display = 'inline-block';
+        }
+        return this.abortController.signal;
+    }
+
+    endCancelableJob() {
+        this.abortController = null;
+        const cancelBtn = document.getElementById('cancelProcessingBtn');
+        if (cancelBtn) cancelBtn.style.display = 'none';
+    }
+
+    // Ask whether to keep what a cancelled job did; nothing done means
+    // nothing to keep
+    keepPartialResult(message, doneCount) {
+        if (!doneCount) return false;
+        return confirm(`${message}\n\nKeep the partial result? Cancel discards it.`);
+    }
+
+    showCancelled() {
+        this.hideProgress();
+        this.editRules();
+        this.showSuccess('Cancelled; nothing was changed.');
+    }
+
     updateProgress(percentage, text) {
         document.getElementById('progressFill').style.width = percentage + '%';
         document.getElementById('progressText').textContent = text;
@@ -609,15 +1260,145 @@ class InDesignUpdateApp {
         
         // Update summary
         const summary = document.getElementById('replacementSummary');
-        summary.textContent = `${result.totalReplacements} replacement(s) made successfully`;
+        summary.textContent = result.cancelled
+            ? `${result.totalReplacements} replacement(s) made before the run was cancelled`
+            : `${result.totalReplacements} replacement(s) made successfully`;
+        // Changes that would have broken a story's XML were left out
+        const failures = result.failedChanges || [];
+        if (failures.length > 0) {
+            summary.textContent += `. ${failures.length} change(s) left out because they broke the story XML: `
+                + failures.map(failure => `${failure.original} (${failure.file})`).join(', ');
+        }
+        document.getElementById('downloadBtn').innerHTML = '<i class="fas fa-download"></i> Download Modified File';
+        const batchSummary = document.getElementById('batchSummary');
+        if (batchSummary) batchSummary.style.display = 'none';
+        for (const id of ['untranslatedReport', 'termIssuesReport', 'overflowReport']) {
+            const report = document.getElementById(id);
+            if (report) report.style.display = 'none';
+        }
+        const editRulesBtn = document.getElementById('editRulesBtn');
+        if (editRulesBtn) editRulesBtn.style.display = this.currentFile ? 'inline-block' : 'none';
+        this.renderOverflowReport();
     }
 
-    // Render a simple table of replacement details (file/page, original, replacement, count)
-    renderReplacementDetails(replacementLog) {
-        const container = document.getElementById('replacementDetails');
-        container.innerHTML = '';
-
-        if (!Array.isArray(replacementLog) || replacementLog.length === 0) {
+    // Stories of the processed IDML whose text grew enough to risk overset
+    // text in their frames (see IDMLProcessor.expansionReport)
+    async renderOverflowReport() {
+        const container = document.getElementById('overflowReport');
+        const body = document.getElementById('overflowReportBody');
+        if (!container || !body) return;
+        if (this.fileType !== 'idml' || !this.processedFile || !this.idmlProcessor.idmlZip) {
+            container.style.display = 'none';
+            return;
+        }
+        const input = document.getElementById('overflowThresholdPercent');
+        const percent = input && input.value !== '' ? Number(input.value) : 10;
+        let report;
+        try {
+            report = await this.idmlProcessor.expansionReport({ threshold: percent / 100 });
+        } catch (error) {
+            console.warn('Overflow report failed:', error);
+            container.style.display = 'none';
+            return;
+        }
+        body.innerHTML = '';
+        if (report.checked === 0) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const note = document.createElement('p');
+        note.className = 'hint';
+        note.textContent = report.stories.length
+            ? `${report.stories.length} of ${report.checked} changed stories grew by more than ${percent}% and may no longer fit their frames. This is an estimate from text length; check these frames in InDesign.`
+            : `No changed story grew by more than ${percent}%.`;
+        body.appendChild(note);
+        if (report.stories.length) {
+            const table = document.createElement('table');
+            const headerRow = document.createElement('tr');
+            ['Story', 'Characters', 'Growth', 'Frames'].forEach(h => {
+                const th = document.createElement('th'); th.textContent = h; headerRow.appendChild(th);
+            });
+            const thead = document.createElement('thead');
+            thead.appendChild(headerRow);
+            table.appendChild(thead);
+            const tbody = document.createElement('tbody');
+            for (const story of report.stories) {
+                const tr = document.createElement('tr');
+                const frames = story.frames.length
+                    ? story.frames.map(frame => `${frame.location} (${frame.width}×${frame.height} pt${frame.columns > 1 ? `, ${frame.columns} columns` : ''})`).join('; ')
+                    : 'Not placed on a spread';
+                const growth = story.ratio === null ? 'new text' : `+${Math.round((story.ratio - 1) * 100)}%`;
+                for (const value of [story.story, `${story.before} → ${story.after}`, growth, frames]) {
+                    const td = document.createElement('td'); td.textContent = value; tr.appendChild(td);
+                }
+                tbody.appendChild(tr);
+            }
+            table.appendChild(tbody);
+            body.appendChild(table);
+        }
+        container.style.display = 'block';
+    }
+
+    // Per-file table for a batch run plus the rules that matched nowhere
+    renderBatchSummary(report) {
+        const container = document.getElementById('batchSummary');
+        container.innerHTML = '';
+
+        const table = document.createElement('table');
+        const headerRow = document.createElement('tr');
+        ['File', 'Status', 'Replacements', 'Rows without a match'].forEach(h => {
+            const th = document.createElement('th'); th.textContent = h; headerRow.appendChild(th);
+        });
+        const thead = document.createElement('thead');
+        thead.appendChild(headerRow);
+        table.appendChild(thead);
+
+        const tbody = document.createElement('tbody');
+        for (const entry of report.files) {
+            const tr = document.createElement('tr');
+            const cells = [
+                entry.name,
+                entry.status === 'failed' ? `Failed: ${entry.error}`
+                    : entry.failedChanges.length ? `Done, ${entry.failedChanges.length} change(s) failed` : 'Done',
+                entry.totalReplacements,
+                entry.unmatched.length ? entry.unmatched.join(', ') : '—'
+            ];
+            for (const value of cells) {
+                const td = document.createElement('td'); td.textContent = value; tr.appendChild(td);
+            }
+            tbody.appendChild(tr);
+        }
+        table.appendChild(tbody);
+        container.appendChild(table);
+
+        if (report.unmatchedRows.length > 0) {
+            const note = document.createElement('p');
+            note.className = 'hint';
+            note.textContent = `Matched in no file: ${report.unmatchedRows.map(row => row.find).join(', ')}`;
+            container.appendChild(note);
+        }
+        if (report.failedRows.length > 0) {
+            const note = document.createElement('p');
+            note.className = 'hint';
+            note.textContent = `Changes left out because they broke the story XML: ${report.failedRows.map(row => row.find).join(', ')}`;
+            container.appendChild(note);
+        }
+        container.style.display = 'block';
+    }
+
+    // Table of replacement details: location, the changed text with the
+    // removed and inserted words highlighted, and the style ranges touched.
+    // After a single-file run each change gets a checkbox; unticked changes
+    // are left out when the file is packaged (see applyReviewSelection).
+    renderReplacementDetails(replacementLog) {
+        const container = document.getElementById('replacementDetails');
+        container.innerHTML = '';
+        const reviewBar = document.getElementById('reviewBar');
+        const review = this.review && this.review.log === replacementLog ? this.review : null;
+        if (reviewBar) reviewBar.style.display = review && replacementLog.length > 0 ? 'flex' : 'none';
+
+        if (!Array.isArray(replacementLog) || replacementLog.length === 0) {
             container.textContent = 'No detailed replacement log available.';
             return;
         }
@@ -626,7 +1407,8 @@ class InDesignUpdateApp {
         table.className = 'preview-table-inner';
         const thead = document.createElement('thead');
         const headerRow = document.createElement('tr');
-        ['Location','Original','Replacement','Count'].forEach(h => {
+        const headers = ['Location', 'Change', 'Original', 'Replacement', 'Count', 'Style ranges'];
+        (review ? ['Apply', ...headers] : headers).forEach(h => {
             const th = document.createElement('th'); th.textContent = h; headerRow.appendChild(th);
         });
         thead.appendChild(headerRow);
@@ -635,19 +1417,289 @@ class InDesignUpdateApp {
         const tbody = document.createElement('tbody');
         for (const item of replacementLog) {
             const tr = document.createElement('tr');
+            if (review && item.changeId) {
+                const apply = document.createElement('td');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = !review.rejected.has(item.changeId);
+                checkbox.title = 'Include this change in the download';
+                checkbox.addEventListener('change', () => {
+                    if (checkbox.checked) review.rejected.delete(item.changeId);
+                    else review.rejected.add(item.changeId);
+                    tr.classList.toggle('change-rejected', !checkbox.checked);
+                    this._updateReviewStatus();
+                });
+                tr.classList.toggle('change-rejected', !checkbox.checked);
+                apply.appendChild(checkbox);
+                tr.appendChild(apply);
+            } else if (review) {
+                tr.appendChild(document.createElement('td'));
+            }
+
             const loc = document.createElement('td');
-            loc.textContent = item.file || (item.page ? `Page ${item.page}` : 'N/A');
+            loc.textContent = item.location || item.file || (item.page ? `Page ${item.page}` : 'N/A');
             tr.appendChild(loc);
 
+            const change = document.createElement('td');
+            change.className = 'change-context';
+            this._renderChangeContext(change, item);
+            tr.appendChild(change);
+
             const orig = document.createElement('td'); orig.textContent = item.original || ''; tr.appendChild(orig);
             const rep = document.createElement('td'); rep.textContent = item.replacement || ''; tr.appendChild(rep);
             const cnt = document.createElement('td'); cnt.textContent = (typeof item.count !== 'undefined') ? item.count : (item.count ? item.count : 1); tr.appendChild(cnt);
 
+            // Which CharacterStyleRanges a cross-block replacement rewrote
+            const ranges = document.createElement('td');
+            ranges.textContent = (item.changedRanges || [])
+                .map(r => `${(r.characterStyle || 'range ' + r.rangeIndex).replace(/^CharacterStyle\//, '')}: "${r.before}" → "${r.after}"`)
+                .join('; ');
+            tr.appendChild(ranges);
+
             tbody.appendChild(tr);
         }
 
         table.appendChild(tbody);
         container.appendChild(table);
+        this._updateReviewStatus();
+    }
+
+    // One block per changed paragraph (IDML) or line (PDF): where it is and
+    // the decoded text with <del>/<ins> around the removed and inserted words
+    _renderChangeContext(cell, item) {
+        for (const ctx of item.context || []) {
+            const block = document.createElement('div');
+            const where = document.createElement('div');
+            where.className = 'change-where';
+            where.textContent = typeof ctx.line !== 'undefined'
+                ? `Page ${item.page}, line ${ctx.line}`
+                : `Paragraph ${ctx.paragraph}${ctx.style ? ` (${ctx.style})` : ''}`;
+            block.appendChild(where);
+
+            if (ctx.previous) {
+                const prev = document.createElement('div');
+                prev.className = 'change-neighbour';
+                prev.textContent = ctx.previous;
+                block.appendChild(prev);
+            }
+            const text = document.createElement('div');
+            const segments = ctx.diff && ctx.diff.length ? ctx.diff : [{ type: 'del', text: ctx.before }, { type: 'ins', text: ctx.after }];
+            for (const seg of segments) {
+                const node = seg.type === 'same' ? document.createElement('span') : document.createElement(seg.type);
+                node.textContent = seg.text;
+                text.appendChild(node);
+            }
+            block.appendChild(text);
+            if (ctx.next) {
+                const next = document.createElement('div');
+                next.className = 'change-neighbour';
+                next.textContent = ctx.next;
+                block.appendChild(next);
+            }
+            cell.appendChild(block);
+        }
+    }
+
+    _reviewIsDirty() {
+        const review = this.review;
+        if (!review) return false;
+        if (review.rejected.size !== review.applied.size) return true;
+        for (const id of review.rejected) if (!review.applied.has(id)) return true;
+        return false;
+    }
+
+    _updateReviewStatus() {
+        const review = this.review;
+        const status = document.getElementById('reviewStatus');
+        const button = document.getElementById('applyReviewBtn');
+        if (!review || !status) return;
+        const total = review.log.filter(item => item.changeId).length;
+        const kept = total - review.rejected.size;
+        status.textContent = this._reviewIsDirty()
+            ? `${kept} of ${total} change(s) selected — apply the selection or download to package it`
+            : `${kept} of ${total} change(s) included. Untick a change to leave it out of the download.`;
+        if (button) button.disabled = !this._reviewIsDirty();
+    }
+
+    // Short description of a run for the history timeline
+    _runLabel(replacements, options) {
+        const source = this.csvReplacements && this.csvReplacements.length ? 'CSV' : 'manual';
+        const mode = options.approvedMatches ? 'approved matches'
+            : options.replaceAll ? 'replace all' : 'first match per rule';
+        const engine = options.singlePass ? ', single pass' : options.simultaneous ? ', simultaneous' : '';
+        return `${replacements.length} ${source} rule(s), ${mode}${engine}`;
+    }
+
+    // Timeline of the IDML session history: completed runs oldest first
+    // with their rules, then the undone runs that Redo would bring back
+    renderHistory() {
+        const panel = document.getElementById('historyPanel');
+        const list = document.getElementById('historyTimeline');
+        if (!panel || !list) return;
+        const processor = this.idmlProcessor;
+        const single = this.fileType === 'idml' && this.batchFiles.length <= 1;
+        if (!single || (processor.history.length === 0 && processor.redoStack.length === 0)) {
+            panel.style.display = 'none';
+            return;
+        }
+
+        list.innerHTML = '';
+        const addEntry = (entry, undone) => {
+            const item = document.createElement('li');
+            if (undone) item.className = 'history-undone';
+            const title = document.createElement('div');
+            title.textContent = `${new Date(entry.time).toLocaleTimeString()} — ${entry.label}: ` +
+                `${entry.totalReplacements} replacement(s)${undone ? ' (undone)' : ''}`;
+            item.appendChild(title);
+
+            // Per-rule totals with a button to take that rule back out
+            const perRule = new Map();
+            for (const log of entry.log || []) {
+                perRule.set(log.ruleIndex, (perRule.get(log.ruleIndex) || 0) + (log.count || 0));
+            }
+            if (!undone && perRule.size > 0) {
+                const rules = document.createElement('ul');
+                rules.className = 'history-rules';
+                for (const [ruleIndex, count] of perRule) {
+                    const rule = entry.replacements[ruleIndex];
+                    const li = document.createElement('li');
+                    li.textContent = `${rule.row ? `Row ${rule.row}` : `#${ruleIndex + 1}`}: "${rule.find}" → "${rule.replace}" (${count})`;
+                    const undo = document.createElement('button');
+                    undo.type = 'button';
+                    undo.title = 'Undo this rule and replay the later runs';
+                    undo.innerHTML = '<i class="fas fa-undo"></i> Undo rule';
+                    undo.addEventListener('click', () => this.undoRule(entry.id, ruleIndex));
+                    li.appendChild(undo);
+                    rules.appendChild(li);
+                }
+                item.appendChild(rules);
+            }
+            list.appendChild(item);
+        };
+        processor.history.forEach(entry => addEntry(entry, false));
+        processor.redoStack.slice().reverse().forEach(entry => addEntry(entry, true));
+
+        document.getElementById('undoRunBtn').disabled = processor.history.length === 0;
+        document.getElementById('redoRunBtn').disabled = processor.redoStack.length === 0;
+        document.getElementById('rerunLastBtn').disabled = processor.history.length === 0;
+        panel.style.display = 'block';
+    }
+
+    // Shared tail of every history operation: package the current state and
+    // show it, or go back to the rules when every run has been undone
+    async _showHistoryState(message) {
+        const processor = this.idmlProcessor;
+        this.review = null;
+        this.renderHistory();
+        if (processor.history.length === 0) {
+            this.processedFile = null;
+            this.editRules();
+            this.showSuccess(message);
+            return;
+        }
+
+        const last = processor.history[processor.history.length - 1];
+        const total = processor.history.reduce((sum, entry) => sum + entry.totalReplacements, 0);
+        this.processedFile = {
+            success: true,
+            modifiedIdmlBytes: await processor.createModifiedIDML(),
+            totalReplacements: total,
+            replacementLog: last.log
+        };
+        document.getElementById('replacementSection').style.display = 'none';
+        this.showDownloadSection(this.processedFile);
+        document.getElementById('replacementSummary').textContent =
+            `${total} replacement(s) in ${processor.history.length} run(s); the list shows the latest run`;
+        this.renderReplacementDetails(last.log || []);
+        this.showSuccess(message);
+    }
+
+    // Run a history operation with the loading overlay and error handling
+    async _historyAction(action, message) {
+        try {
+            this.showLoading('Updating...');
+            const done = await action();
+            this.hideLoading();
+            if (done === null) return;
+            await this._showHistoryState(message);
+        } catch (error) {
+            this.hideLoading();
+            this.showError(error.message);
+        }
+    }
+
+    undoRun() {
+        return this._historyAction(() => this.idmlProcessor.undo(), 'Last run undone');
+    }
+
+    redoRun() {
+        return this._historyAction(() => this.idmlProcessor.redo(), 'Run restored');
+    }
+
+    undoRule(runId, ruleIndex) {
+        return this._historyAction(() => this.idmlProcessor.undoRule(runId, ruleIndex), 'Rule undone and later runs replayed');
+    }
+
+    // Replace the last run with the current rules (e.g. after uploading an
+    // edited CSV) using the last run's options
+    rerunLast() {
+        const replacements = this.getActiveReplacements();
+        if (replacements.length === 0) {
+            this.showError('Please add at least one replacement pair or upload a CSV with current,replace headers');
+            return Promise.resolve();
+        }
+        const history = this.idmlProcessor.history;
+        const options = Object.assign({}, history.length ? history[history.length - 1].options : {});
+        // Change and match ids refer to the old rules
+        delete options.skipChanges;
+        delete options.approvedMatches;
+        return this._historyAction(
+            () => this.idmlProcessor.replaceLastRun(replacements, options, this._runLabel(replacements, options)),
+            'Last run replaced with the current rules');
+    }
+
+    // Back to the rule editor without unloading the file; the next run
+    // builds on the current state
+    editRules() {
+        document.getElementById('downloadSection').style.display = 'none';
+        document.getElementById('progressSection').style.display = 'none';
+        const section = document.getElementById('replacementSection');
+        section.style.display = 'block';
+        section.classList.add('slide-in');
+    }
+
+    // Re-run the reviewed rules from the pre-run state, skipping the unticked
+    // changes, so the packaged file only contains the approved ones. The
+    // change list keeps showing the original run so choices can be revised.
+    async applyReviewSelection() {
+        const review = this.review;
+        if (!review) return false;
+        try {
+            this.showLoading('Applying selection...');
+            const options = Object.assign({}, review.options, { skipChanges: new Set(review.rejected) });
+            let result;
+            if (this.fileType === 'pdf') {
+                result = await this.pdfProcessor.processReplacements(review.replacements, options);
+            } else {
+                result = await this.idmlProcessor.replaceLastRun(review.replacements, options);
+                this.renderHistory();
+            }
+            if (!result.success) throw new Error('Processing failed');
+
+            this.processedFile = result;
+            review.applied = new Set(review.rejected);
+            const rejected = review.rejected.size;
+            document.getElementById('replacementSummary').textContent =
+                `${result.totalReplacements} replacement(s) made successfully` + (rejected ? ` (${rejected} change(s) left out)` : '');
+            this._updateReviewStatus();
+            this.renderOverflowReport();
+            this.hideLoading();
+            return true;
+        } catch (error) {
+            this.hideLoading();
+            this.showError('Applying the selection failed: ' + error.message);
+            return false;
+        }
     }
 
     // Show debug output (raw JSON + readable snippets) when debug mode enabled
@@ -687,14 +1739,19 @@ class InDesignUpdateApp {
 
     async downloadFile() {
         try {
-            if (!this.processedFile) {
+            if (!this.processedFile && !this.batchResult) {
                 throw new Error('No processed file available');
             }
+            if (!this.batchResult && this._reviewIsDirty() && !(await this.applyReviewSelection())) return;
+            if (!this.batchResult && !this._confirmUntranslatedDownload()) return;
 
             let blob;
             let filename;
             
-            if (this.fileType === 'pdf') {
+            if (this.batchResult) {
+                blob = new Blob([this.batchResult.zipBytes], { type: 'application/zip' });
+                filename = `indesign-update-batch-${this.batchResult.report.generated.slice(0, 10)}.zip`;
+            } else if (this.fileType === 'pdf') {
                 blob = await this.pdfProcessor.createDownloadableBlob(this.processedFile.modifiedPdfBytes);
                 filename = this.currentFile.name.replace('.pdf', '_modified.pdf');
             } else {
@@ -751,6 +1808,12 @@ class InDesignUpdateApp {
                         <span class="checkmark"></span>
                         Replace all matches
                     </label>
+                    <label class="checkbox-label small">
+                        <input type="checkbox" id="useRegex1">
+                        <span class="checkmark"></span>
+                        Regex
+                    </label>
+                    <input type="text" class="regex-flags" id="regexFlags1" placeholder="flags (s, m, u)" title="Extra regex flags; 'i' follows the Case sensitive option">
                 </div>
                 <button class="remove-pair-btn" onclick="app.removePair(this)" style="display: none;">
                     <i class="fas fa-trash"></i>
@@ -797,115 +1860,458 @@ class InDesignUpdateApp {
         alert('Error: ' + message);
     }
 
-    async translateFile() {
+    // Export every distinct text line of the loaded file as a CSV template
+    // (current,replace,occurrences,locations) with an empty replace column.
+    // Filled-in rows can be uploaded again through the CSV flow; the extra
+    // columns are ignored there and rows left blank are skipped.
+    async exportTextForGlossary() {
         try {
-            if (!this.currentFile || this.fileType !== 'idml') {
-                throw new Error('Please load an IDML file before translating');
+            if (!this.currentFile) {
+                throw new Error('Please load a PDF or IDML file first');
             }
 
-            // Get translation settings
-            const provider = document.getElementById('translationProvider').value;
-            const sourceLang = document.getElementById('sourceLang').value;
-            const targetLang = document.getElementById('targetLang').value;
-            const apiKey = document.getElementById('apiKeyInput').value.trim();
-
-            // Configure translator
-            if (provider !== 'mymemory' && !apiKey) {
-                throw new Error(`${provider.toUpperCase()} requires an API key. Please enter your key or switch to MyMemory (free).`);
+            this.showLoading('Extracting text...');
+            const entries = this.fileType === 'pdf'
+                ? await this.pdfProcessor.getAllTextEntries()
+                : await this.idmlProcessor.getAllTextEntries();
+
+            // De-duplicate in first-seen order, counting occurrences and
+            // collecting the distinct stories/pages each line appears in.
+            const byText = new Map();
+            for (const entry of entries) {
+                const location = entry.page ? `Page ${entry.page}` : entry.story;
+                if (!byText.has(entry.text)) byText.set(entry.text, { count: 0, locations: [] });
+                const row = byText.get(entry.text);
+                row.count++;
+                if (!row.locations.includes(location)) row.locations.push(location);
             }
 
-            this.translator.setLanguages(sourceLang, targetLang);
-            if (apiKey) {
-                this.translator.setApiKey(apiKey, provider);
-            } else {
-                this.translator.provider = provider;
+            if (byText.size === 0) {
+                throw new Error('No text found in this file');
             }
 
-            this.showProgress();
-            this.updateProgress(5, 'Starting translation...');
-
-            // Collect all text from all story files
-            const allTexts = [];
-            const storyMappings = [];
+            const csv = Papa.unparse({
+                fields: ['current', 'replace', 'occurrences', 'locations'],
+                data: Array.from(byText, ([text, row]) => [text, '', row.count, row.locations.join('; ')])
+            });
 
-            for (const storyPath of this.idmlProcessor.storyFiles) {
-                const storyFile = this.idmlProcessor.idmlZip.file(storyPath);
-                if (!storyFile) continue;
+            // BOM so Excel opens accented text as UTF-8
+            const blob = new Blob(['\ufeff' + csv], { type: 'text/csv;charset=utf-8' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = this.currentFile.name.replace(/\.(idml|pdf)$/i, '') + '_glossary.csv';
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
 
-                const xmlContent = await storyFile.async('text');
-                const extracted = this.translator.extractTextFromIDML(xmlContent);
+            this.hideLoading();
+            this.showSuccess(`Exported ${byText.size} distinct text lines (${entries.length} occurrences)`);
+        } catch (error) {
+            this.hideLoading();
+            this.showError('Text export failed: ' + error.message);
+        }
+    }
 
-                if (extracted.length > 0) {
-                    storyMappings.push({
-                        path: storyPath,
-                        originalXml: xmlContent,
-                        textMappings: extracted
-                    });
-                    allTexts.push(...extracted.map(t => t.decoded));
-                }
+    async exportXliff() {
+        try {
+            if (!this.currentFile || this.fileType !== 'idml') {
+                throw new Error('Please load an IDML file before exporting XLIFF');
             }
+            const version = document.getElementById('xliffVersion').value;
+            const { xliff, segmentCount } = await this.xliffConverter.exportIDML(this.idmlProcessor, {
+                version,
+                sourceLang: document.getElementById('sourceLang').value,
+                targetLang: document.getElementById('targetLang').value,
+                documentName: this.currentFile.name
+            });
 
-            if (allTexts.length === 0) {
-                throw new Error('No translatable text found in IDML');
-            }
+            const blob = new Blob([xliff], { type: 'application/xliff+xml' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = this.currentFile.name.replace(/\.idml$/i, '') + '.xlf';
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
 
-            this.updateProgress(10, `Translating ${allTexts.length} text segments...`);
+            this.showSuccess(`Exported ${segmentCount} segments as XLIFF ${version}`);
+        } catch (error) {
+            this.showError('XLIFF export failed: ' + error.message);
+        }
+    }
 
-            // Translate all texts with progress
-            const translated = await this.translator.translateBatch(allTexts, (percent, message) => {
-                this.updateProgress(10 + percent * 0.8, message);
-            });
+    async importXliff(file) {
+        try {
+            if (!this.currentFile || this.fileType !== 'idml') {
+                throw new Error('Please load the IDML file the XLIFF was exported from first');
+            }
 
-            this.updateProgress(90, 'Injecting translations...');
+            this.showProgress();
+            this.updateProgress(20, 'Reading XLIFF...');
+            const result = await this.xliffConverter.importIntoIDML(await file.text(), this.idmlProcessor);
+            this.idmlProcessor.clearHistory();
+            this.renderHistory();
+            this.updateProgress(100, 'Complete!');
 
-            // Inject translations back into stories
-            const modifiedFiles = new Map();
-            let translatedIndex = 0;
+            setTimeout(() => {
+                this.processedFile = result;
+                this.showDownloadSection(result);
+                this.renderReplacementDetails(result.replacementLog);
+                this.showSuccess(`Imported ${result.totalReplacements} translated segments (${result.untranslatedCount} without a target were left unchanged)`);
+            }, 500);
+        } catch (error) {
+            this.hideProgress();
+            this.showReplacementSection();
+            this.showError('XLIFF import failed: ' + error.message);
+        }
+    }
 
-            for (const storyMapping of storyMappings) {
-                // Add translations to mappings
-                for (const textMapping of storyMapping.textMappings) {
-                    textMapping.translated = translated[translatedIndex++];
-                }
+    // Fill the custom endpoint fields from one of
+    // CustomHttpProvider.presets
+    applyCustomProviderPreset(name) {
+        const preset = CustomHttpProvider.presets[name];
+        if (!preset) return;
+        document.getElementById('customUrl').value = preset.url;
+        document.getElementById('customHeaders').value = JSON.stringify(preset.headers, null, 2);
+        document.getElementById('customBody').value = preset.body;
+        document.getElementById('customResponsePath').value = preset.responsePath;
+        document.getElementById('customBatch').checked = !!preset.batch;
+    }
+
+    // The custom endpoint settings as CustomHttpProvider configuration
+    readCustomProvider() {
+        const preset = CustomHttpProvider.presets[document.getElementById('customPreset').value] || {};
+        let headers;
+        try {
+            headers = JSON.parse(document.getElementById('customHeaders').value.trim() || '{}');
+        } catch (error) {
+            throw new Error(`Custom endpoint headers are not valid JSON: ${error.message}`);
+        }
+        if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+            throw new Error('Custom endpoint headers must be a JSON object of header names and values');
+        }
+        return {
+            label: preset.label,
+            url: document.getElementById('customUrl').value.trim(),
+            method: 'POST',
+            headers,
+            body: document.getElementById('customBody').value,
+            responsePath: document.getElementById('customResponsePath').value.trim(),
+            batch: document.getElementById('customBatch').checked
+        };
+    }
 
-                // Inject translations into XML
-                const newXml = this.translator.injectTranslatedText(
-                    storyMapping.originalXml,
-                    storyMapping.textMappings
-                );
+    // The offline provider settings as PseudoProvider configuration
+    readPseudoProvider() {
+        return {
+            mode: document.getElementById('pseudoMode').value,
+            expansion: document.getElementById('pseudoExpansion').value,
+            brackets: document.getElementById('pseudoBrackets').checked,
+            dictionary: PseudoProvider.parseDictionary(document.getElementById('pseudoDictionary').value)
+        };
+    }
 
-                modifiedFiles.set(storyMapping.path, newXml);
+    // resumeJobId continues a saved translation job (see
+    // showTranslationJobNotice) instead of starting a new one;
+    // retrySegments limits it to those segment indices
+    async translateFile(resumeJobId = null, retrySegments = null) {
+        try {
+            if (!this.currentFile || this.fileType !== 'idml') {
+                throw new Error('Please load an IDML file before translating');
             }
 
-            // Create new IDML with translations
-            this.idmlProcessor.modifiedFiles = modifiedFiles;
-            const modifiedIdmlBytes = await this.idmlProcessor.createModifiedIDML();
-
-            this.updateProgress(100, 'Complete!');
+            // Get translation settings
+            const provider = document.getElementById('translationProvider').value;
+            const sourceLang = document.getElementById('sourceLang').value;
+            const targetLang = document.getElementById('targetLang').value;
+            const apiKey = document.getElementById('apiKeyInput').value.trim();
 
-            const result = {
-                success: true,
-                modifiedIdmlBytes,
-                totalReplacements: allTexts.length,
-                replacementLog: storyMappings.map(sm => ({
-                    file: sm.path,
-                    original: `${sm.textMappings.length} text segments`,
-                    replacement: 'Translated',
-                    count: sm.textMappings.length
-                }))
+            // Paragraph mode sends each paragraph as one segment; the legacy
+            // mode sends every <Content> element on its own
+            const tmToggle = document.getElementById('useTranslationMemory');
+            const paragraphToggle = document.getElementById('translateParagraphs');
+            // The accepted CSV doubles as the terminology list
+            const termsToggle = document.getElementById('useTerminology');
+            const terms = (!termsToggle || termsToggle.checked) && this.csvReplacements
+                ? Terminology.fromRules(this.csvReplacements).toJSON()
+                : [];
+            const settings = {
+                provider,
+                apiKey,
+                sourceLang,
+                targetLang,
+                useMemory: tmToggle ? tmToggle.checked : true,
+                batchOptions: {
+                    maxSegments: (document.getElementById('batchMaxSegments') || {}).value,
+                    maxChars: (document.getElementById('batchMaxChars') || {}).value,
+                    concurrency: (document.getElementById('batchConcurrency') || {}).value
+                },
+                byParagraph: paragraphToggle ? paragraphToggle.checked : true,
+                terms,
+                customProvider: provider === 'custom' ? this.readCustomProvider() : null,
+                pseudoProvider: provider === 'pseudo' ? this.readPseudoProvider() : null,
+                fileKey: TranslationJobs.fileKey(this.currentFile),
+                fileName: this.currentFile.name,
+                resumeJobId,
+                retrySegments
             };
+            // Missing keys and unsupported languages are reported before
+            // anything is sent
+            this.translator.configure(settings);
+            this.translator.checkProvider();
+
+            this.showProgress();
+            const signal = this.startCancelableJob();
+            this.updateProgress(5, 'Starting translation...');
+
+            // Translation replaces the stories, so keep the current ones in
+            // case a cancelled job is discarded
+            const before = new Map(this.idmlProcessor.modifiedFiles);
+            const job = Object.assign({}, settings, { signal });
+            const onProgress = (percent, message) => this.updateProgress(percent, message);
+            const result = this.idmlProcessor.remote
+                ? await this.processingClient.translate(this.idmlProcessor, job, onProgress)
+                : await this.translator.translateIDML(this.idmlProcessor, job, onProgress);
+
+            // Segments translated before cancelling are in the translation
+            // memory either way, so a discarded job is not paid for twice
+            if (result.cancelled && !this.keepPartialResult(`${result.totalReplacements} of ${result.segmentCount} segment(s) were translated before the job was cancelled; the rest keep their original text.`, result.totalReplacements)) {
+                this.idmlProcessor.modifiedFiles = before;
+                return this.showCancelled();
+            }
+            // The translated stories cannot be undone run by run
+            this.idmlProcessor.clearHistory();
+            this.renderHistory();
 
+            this.updateProgress(100, 'Complete!');
+            const stats = result.stats;
             setTimeout(() => {
                 this.processedFile = result;
                 this.showDownloadSection(result);
                 this.renderReplacementDetails(result.replacementLog);
-                this.showSuccess(`Translated ${allTexts.length} text segments from ${sourceLang} to ${targetLang}`);
+                this.renderUntranslatedReport(result);
+                this.renderTermIssues(result);
+                this._updateTranslationMemoryStatus(`${stats.cached} segment(s) reused without an API call.`);
+                if (result.untranslated.length > 0 && !result.cancelled) {
+                    this.showSuccess(`Translated ${result.totalReplacements} of ${result.segmentCount} text segments from ${sourceLang} to ${targetLang}; ${result.untranslated.length} could not be translated`);
+                } else if (result.cancelled) {
+                    this.showSuccess(`Kept ${result.totalReplacements} of ${result.segmentCount} translated segments (${sourceLang} to ${targetLang}); the rest are untranslated`);
+                } else {
+                    this.showSuccess(`Translated ${result.totalReplacements} text segments from ${sourceLang} to ${targetLang} (${stats.cached} reused from memory or repeats)`);
+                }
             }, 500);
 
         } catch (error) {
+            if (error.name === 'AbortError') return this.showCancelled();
             this.hideProgress();
+            this.showReplacementSection();
             this.showError(error.message);
+        } finally {
+            this.endCancelableJob();
+            // The saved job has moved on, finished or been replaced
+            this.showTranslationJobNotice();
+        }
+    }
+
+    // Offer to resume or discard an unfinished translation job saved for
+    // the loaded IDML; hides the notice when there is none
+    async showTranslationJobNotice() {
+        const notice = document.getElementById('translationJobNotice');
+        if (!notice) return;
+        notice.style.display = 'none';
+        if (!this.currentFile || this.fileType !== 'idml' || !this.translationJobs.isAvailable()) return;
+
+        const file = this.currentFile;
+        let job;
+        try {
+            job = await this.translationJobs.findForFile(TranslationJobs.fileKey(file));
+        } catch (err) {
+            console.warn('Saved translation jobs could not be read:', err);
+            return;
         }
+        if (!job || this.currentFile !== file) return;
+
+        const { done, total, firstUntranslated } = TranslationJobs.progress(job);
+        notice.innerHTML = '';
+        const text = document.createElement('p');
+        text.style.margin = '0 0 6px 0';
+        text.textContent = `Unfinished translation of this file (${job.sourceLang} → ${job.targetLang}, ${job.provider}, ${new Date(job.updated).toLocaleString()}): ` +
+            `${done} of ${total} segment(s) translated${job.error ? `; stopped by: ${job.error}` : ''}. Resuming continues at segment ${firstUntranslated + 1}.`;
+        notice.appendChild(text);
+
+        const resumeBtn = document.createElement('button');
+        resumeBtn.type = 'button';
+        resumeBtn.className = 'add-pair-btn';
+        resumeBtn.innerHTML = '<i class="fas fa-play"></i> Resume translation';
+        resumeBtn.addEventListener('click', () => this.resumeTranslationJob(job));
+        const discardBtn = document.createElement('button');
+        discardBtn.type = 'button';
+        discardBtn.className = 'add-pair-btn';
+        discardBtn.innerHTML = '<i class="fas fa-trash"></i> Discard';
+        discardBtn.addEventListener('click', async () => {
+            try {
+                await this.translationJobs.delete(job.id);
+            } catch (err) {
+                this.showError('Failed to discard the saved translation: ' + err.message);
+            }
+            this.showTranslationJobNotice();
+        });
+        notice.appendChild(resumeBtn);
+        notice.appendChild(discardBtn);
+        notice.style.display = 'block';
+    }
+
+    // Restore a saved job's language pair, segmentation and provider in the
+    // settings, then continue it. A provider that needs a key still needs
+    // it entered; translateFile asks for it.
+    resumeTranslationJob(job) {
+        document.getElementById('sourceLang').value = job.sourceLang;
+        document.getElementById('targetLang').value = job.targetLang;
+        const paragraphToggle = document.getElementById('translateParagraphs');
+        if (paragraphToggle) paragraphToggle.checked = job.byParagraph;
+        const providerSelect = document.getElementById('translationProvider');
+        if (providerSelect.value !== job.provider) {
+            providerSelect.value = job.provider;
+            providerSelect.dispatchEvent(new Event('change'));
+        }
+        this.translateFile(job.id);
+    }
+
+    // Per-status segment counts of a translation and a table of the
+    // segments it left in the source language, with the reason for each.
+    // Failed segments can be retried one by one or all at once through the
+    // saved job.
+    renderUntranslatedReport(result) {
+        const container = document.getElementById('untranslatedReport');
+        if (!container) return;
+        container.innerHTML = '';
+        const missing = result.untranslated || [];
+        if (missing.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const counts = result.statusCounts || {};
+        const note = document.createElement('p');
+        note.className = 'hint';
+        note.textContent = `${missing.length} of ${result.segmentCount} segment(s) are still untranslated and keep their original text` +
+            (result.stoppedBy ? `. Translation stopped: ${result.stoppedBy}` : '') +
+            `. Translated: ${counts.translated || 0}, from memory or repeats: ${counts.cached || 0}, failed: ${counts.failed || 0}, skipped: ${counts.skipped || 0}.`;
+        container.appendChild(note);
+
+        const selected = new Set();
+        let retrySelectedBtn = null;
+        if (result.jobId) {
+            const retry = (segments) => {
+                this.editRules();
+                this.translateFile(result.jobId, segments);
+            };
+            retrySelectedBtn = document.createElement('button');
+            retrySelectedBtn.type = 'button';
+            retrySelectedBtn.className = 'add-pair-btn';
+            retrySelectedBtn.disabled = true;
+            retrySelectedBtn.innerHTML = '<i class="fas fa-redo"></i> Retry selected';
+            retrySelectedBtn.addEventListener('click', () => retry(Array.from(selected)));
+            const retryAllBtn = document.createElement('button');
+            retryAllBtn.type = 'button';
+            retryAllBtn.className = 'add-pair-btn';
+            retryAllBtn.innerHTML = '<i class="fas fa-play"></i> Retry all';
+            retryAllBtn.addEventListener('click', () => retry(null));
+            container.appendChild(retrySelectedBtn);
+            container.appendChild(retryAllBtn);
+        } else {
+            const hint = document.createElement('p');
+            hint.className = 'hint';
+            hint.textContent = 'Retrying needs the saved translation job, which this browser cannot store; translate the file again instead.';
+            container.appendChild(hint);
+        }
+
+        const table = document.createElement('table');
+        const headerRow = document.createElement('tr');
+        const headers = ['Segment', 'Story', 'Source text', 'Status', 'Reason'];
+        (result.jobId ? ['Retry', ...headers] : headers).forEach(h => {
+            const th = document.createElement('th'); th.textContent = h; headerRow.appendChild(th);
+        });
+        const thead = document.createElement('thead');
+        thead.appendChild(headerRow);
+        table.appendChild(thead);
+        const tbody = document.createElement('tbody');
+        for (const segment of missing) {
+            const tr = document.createElement('tr');
+            if (result.jobId) {
+                const pick = document.createElement('td');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.title = 'Retry this segment';
+                checkbox.addEventListener('change', () => {
+                    if (checkbox.checked) selected.add(segment.index);
+                    else selected.delete(segment.index);
+                    retrySelectedBtn.disabled = selected.size === 0;
+                });
+                pick.appendChild(checkbox);
+                tr.appendChild(pick);
+            }
+            for (const value of [segment.index + 1, segment.file, segment.source, segment.status, segment.error]) {
+                const td = document.createElement('td'); td.textContent = value; tr.appendChild(td);
+            }
+            tbody.appendChild(tr);
+        }
+        table.appendChild(tbody);
+        container.appendChild(table);
+        container.style.display = 'block';
+    }
+
+    // Translated segments that lack a required or protected term
+    renderTermIssues(result) {
+        const container = document.getElementById('termIssuesReport');
+        if (!container) return;
+        container.innerHTML = '';
+        const issues = result.termIssues || [];
+        if (issues.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const note = document.createElement('p');
+        note.className = 'hint';
+        note.textContent = `${issues.length} translated segment(s) are missing a term from the CSV. Check them before using the file.`;
+        container.appendChild(note);
+
+        const table = document.createElement('table');
+        const headerRow = document.createElement('tr');
+        ['Segment', 'Story', 'Source text', 'Translation', 'Missing terms'].forEach(h => {
+            const th = document.createElement('th'); th.textContent = h; headerRow.appendChild(th);
+        });
+        const thead = document.createElement('thead');
+        thead.appendChild(headerRow);
+        table.appendChild(thead);
+        const tbody = document.createElement('tbody');
+        for (const issue of issues) {
+            const tr = document.createElement('tr');
+            const missing = issue.missing.map(term => term.expected === term.source ? `${term.source} (keep)` : `${term.source} → ${term.expected}`).join(', ');
+            for (const value of [issue.index + 1, issue.file, issue.source, issue.translation, missing]) {
+                const td = document.createElement('td'); td.textContent = value; tr.appendChild(td);
+            }
+            tbody.appendChild(tr);
+        }
+        table.appendChild(tbody);
+        container.appendChild(table);
+        container.style.display = 'block';
+    }
+
+    // Confirm downloading a translation that left more than the configured
+    // share of its segments untranslated
+    _confirmUntranslatedDownload() {
+        const result = this.processedFile;
+        if (!result || !result.segmentCount || !result.untranslated || result.untranslated.length === 0) return true;
+        const input = document.getElementById('untranslatedWarnPercent');
+        const threshold = input && input.value !== '' ? Number(input.value) : 10;
+        const percent = result.untranslated.length / result.segmentCount * 100;
+        if (!(percent > threshold)) return true;
+        return confirm(`${result.untranslated.length} of ${result.segmentCount} segment(s) (${Math.round(percent)}%) failed or were not sent and keep their original text.\n\nDownload anyway?`);
     }
 }
 
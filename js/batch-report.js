@@ -0,0 +1,137 @@
+// Batch Report Module
+// Collects the per-file results of running one rule set over several files
+// (web batch mode and the CLI) into a single summary: replacements per file,
+// match totals per rule, the changes the XML check rejected and the rules
+// that matched nothing anywhere.
+
+class BatchReport {
+    // replacements are the rules that were applied, in the order they were
+    // passed to the processors (log entries refer to them by ruleIndex);
+    // `row` is used as the rule number when present, otherwise their
+    // position (1-based).
+    constructor(replacements, settings = {}) {
+        this.rules = replacements.map((rule, i) => ({
+            row: rule.row || i + 1,
+            find: rule.find,
+            replace: rule.replace,
+            matches: 0,
+            files: 0,
+            failed: 0
+        }));
+        this.report = Object.assign({ generated: new Date().toISOString() }, settings, {
+            files: [],
+            rules: this.rules,
+            unmatchedRows: [],
+            failedRows: []
+        });
+    }
+
+    // Record a processed file. `entry` carries whatever identifies the file
+    // (name, paths); type is 'idml' or 'pdf' and result is the processor's
+    // processReplacements() result. Returns the completed entry.
+    addResult(entry, type, result) {
+        const perRule = new Map();
+        const replacements = [];
+        for (const log of result.replacementLog || []) {
+            perRule.set(log.ruleIndex, (perRule.get(log.ruleIndex) || 0) + (log.count || 0));
+            replacements.push({
+                location: type === 'pdf' ? `page ${log.page}` : log.location || log.file,
+                original: log.original,
+                replacement: log.replacement,
+                count: log.count
+            });
+        }
+        // A rule whose change was rejected did match; it is reported as
+        // failed rather than as matching nothing
+        const failedChanges = (result.failedChanges || []).map(failure => {
+            const rule = this.rules[failure.ruleIndex];
+            if (rule) rule.failed++;
+            return {
+                location: failure.file,
+                original: failure.original,
+                replacement: failure.replacement,
+                error: failure.error
+            };
+        });
+        const failedRules = new Set((result.failedChanges || []).map(failure => failure.ruleIndex));
+        for (const [ruleIndex, rule] of this.rules.entries()) {
+            if (!perRule.has(ruleIndex)) continue;
+            rule.matches += perRule.get(ruleIndex);
+            rule.files++;
+        }
+
+        const completed = Object.assign(entry, {
+            type,
+            status: 'done',
+            totalReplacements: result.totalReplacements || 0,
+            replacements,
+            failedChanges,
+            unmatched: this.rules.filter((rule, ruleIndex) => !perRule.has(ruleIndex) && !failedRules.has(ruleIndex)).map(rule => rule.find)
+        });
+        this.report.files.push(completed);
+        return completed;
+    }
+
+    addFailure(entry, error) {
+        const completed = Object.assign(entry, {
+            status: 'failed',
+            error: error && error.message ? error.message : String(error),
+            totalReplacements: 0,
+            replacements: [],
+            failedChanges: [],
+            unmatched: []
+        });
+        this.report.files.push(completed);
+        return completed;
+    }
+
+    get failedCount() {
+        return this.report.files.filter(entry => entry.status === 'failed').length;
+    }
+
+    get totalReplacements() {
+        return this.report.files.reduce((sum, entry) => sum + entry.totalReplacements, 0);
+    }
+
+    // Final report object (safe to JSON.stringify)
+    finish() {
+        this.report.unmatchedRows = this.rules
+            .filter(rule => rule.matches === 0 && rule.failed === 0)
+            .map(rule => ({ row: rule.row, find: rule.find }));
+        this.report.failedRows = this.rules
+            .filter(rule => rule.failed > 0)
+            .map(rule => ({ row: rule.row, find: rule.find, failed: rule.failed }));
+        return this.report;
+    }
+
+    // Flat rows for a spreadsheet-friendly summary: one row per replacement
+    // and per rejected change, plus one row for each failed file or file
+    // without replacements.
+    toRows() {
+        const rows = [];
+        for (const entry of this.report.files) {
+            const name = entry.name || entry.input;
+            if (entry.status === 'failed') {
+                rows.push({ file: name, status: 'failed', location: '', original: '', replacement: '', count: 0, error: entry.error });
+                continue;
+            }
+            if (entry.replacements.length === 0 && entry.failedChanges.length === 0) {
+                rows.push({ file: name, status: entry.status, location: '', original: '', replacement: '', count: 0, error: '' });
+            }
+            for (const item of entry.replacements) {
+                rows.push({ file: name, status: entry.status, location: item.location, original: item.original, replacement: item.replacement, count: item.count, error: '' });
+            }
+            for (const item of entry.failedChanges) {
+                rows.push({ file: name, status: 'change failed', location: item.location, original: item.original, replacement: item.replacement, count: 0, error: item.error });
+            }
+        }
+        return rows;
+    }
+}
+
+// Export for use in other modules (browser global or CommonJS for the CLI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BatchReport;
+} else {
+    window.BatchReport = BatchReport;
+}
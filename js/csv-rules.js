@@ -0,0 +1,172 @@
+// CSV Rule Format
+// Turns an uploaded replacement CSV into rule objects for the processors.
+// Only the find/replace columns are required; every other column is
+// optional and sets the matching per-rule option. Shared by the web app and
+// the CLI so both accept exactly the same files.
+//
+//   current,replace,case_sensitive,whole_words,replace_all,regex,story,page,spread,layer,paragraph_style,enabled,note
+//
+// Rows are validated individually; parse() returns the valid rules together
+// with one message per rejected row instead of throwing on the first error.
+
+class CsvRules {
+    // Header aliases (after lowercasing and turning spaces/hyphens into
+    // underscores) for every supported column.
+    static get columns() {
+        return {
+            find: ['current', 'find', 'source', 'original', 'search'],
+            replace: ['replace', 'replacement', 'target', 'replace_with'],
+            caseSensitive: ['case_sensitive', 'casesensitive', 'match_case'],
+            wholeWords: ['whole_words', 'whole_word', 'wholewords'],
+            replaceAll: ['replace_all', 'replaceall', 'all'],
+            regex: ['regex', 'regexp', 'is_regex'],
+            regexFlags: ['regex_flags', 'flags'],
+            story: ['story', 'stories'],
+            page: ['page', 'pages'],
+            spread: ['spread', 'spreads'],
+            layer: ['layer', 'layers'],
+            paragraphStyle: ['paragraph_style', 'paragraphstyle', 'para_style'],
+            enabled: ['enabled', 'active'],
+            note: ['note', 'notes', 'comment']
+        };
+    }
+
+    static normalizeHeader(name) {
+        return String(name || '').replace(/^\uFEFF/, '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+    }
+
+    // Map each known column to the CSV's own header name. Returns null when
+    // the find or replace column is missing.
+    static mapHeaders(fields) {
+        const map = {};
+        for (const [key, aliases] of Object.entries(CsvRules.columns)) {
+            const field = (fields || []).find(h => aliases.includes(CsvRules.normalizeHeader(h)));
+            if (field !== undefined) map[key] = field;
+        }
+        return map.find !== undefined && map.replace !== undefined ? map : null;
+    }
+
+    // Empty cells mean "not set" so the run's global options still apply.
+    static parseBoolean(value) {
+        const v = String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+        if (v === '') return undefined;
+        if (['true', 'yes', 'y', '1', 'x', 'on'].includes(v)) return true;
+        if (['false', 'no', 'n', '0', 'off'].includes(v)) return false;
+        return null;
+    }
+
+    // Page scope: "3", "2-5" or a comma-separated list of both
+    static isValidPageSpec(spec) {
+        return /^\s*\d+\s*(?:-\s*\d+\s*)?(?:,\s*\d+\s*(?:-\s*\d+\s*)?)*$/.test(spec);
+    }
+
+    // Spread scope: a comma-separated list of spread numbers and ranges as
+    // for pages, and master spread names or prefixes ("masters", "A-Master",
+    // "B"): word characters joined by hyphens, with at least one letter
+    static isValidSpreadSpec(spec) {
+        return String(spec).split(',').map(part => part.trim()).every(part =>
+            /^\d+\s*(?:-\s*\d+)?$/.test(part) || (/^[\p{L}\p{N}_]+(?:-[\p{L}\p{N}_]+)*$/u.test(part) && /\p{L}/u.test(part)));
+    }
+
+    // Parse the output of Papa.parse(..., { header: true, skipEmptyLines: false }).
+    // Returns { rules, errors, disabled } where rules are
+    // { row, find, replace, options, note } ready for processReplacements,
+    // errors are { row, message } and disabled counts rows with enabled=false.
+    // Blank rows and rows without a replacement are ignored. Row numbers are spreadsheet line numbers (the
+    // header is line 1), which is why empty lines must not be skipped.
+    static parse(fields, rows) {
+        const map = CsvRules.mapHeaders(fields);
+        if (!map) {
+            throw new Error('CSV must include a find column (current or source) and a replace column (replace or replacement)');
+        }
+
+        const rules = [];
+        const errors = [];
+        let disabled = 0;
+        (rows || []).forEach((record, i) => {
+            const row = i + 2;
+            const cell = (key) => map[key] === undefined ? '' : String(record[map[key]] === undefined || record[map[key]] === null ? '' : record[map[key]]);
+            const find = cell('find');
+            const replace = cell('replace');
+            const rowErrors = [];
+
+            const options = {};
+            for (const key of ['caseSensitive', 'wholeWords', 'replaceAll', 'regex', 'enabled']) {
+                const value = CsvRules.parseBoolean(cell(key));
+                if (value === null) rowErrors.push(`${map[key]} must be true/false, yes/no or 1/0 (got "${cell(key).trim()}")`);
+                else if (value !== undefined) options[key] = value;
+            }
+            if (options.enabled === false) {
+                disabled++;
+                return;
+            }
+            delete options.enabled;
+
+            // Rows with an empty replacement are left alone (that is how an
+            // exported glossary template marks lines to keep)
+            if (!replace) return;
+            if (!find) rowErrors.push(`${map.find} is empty`);
+
+            const regexFlags = cell('regexFlags').trim();
+            if (regexFlags) {
+                if (/[^imsu]/.test(regexFlags)) rowErrors.push(`${map.regexFlags} may only contain i, m, s and u`);
+                options.regexFlags = regexFlags;
+            }
+            if (options.regex && find) {
+                try {
+                    RegexRules.build(find, options);
+                } catch (e) {
+                    rowErrors.push(e.message);
+                }
+            }
+
+            const story = cell('story').trim();
+            if (story) options.story = story;
+            const page = cell('page').trim();
+            if (page) {
+                if (CsvRules.isValidPageSpec(page)) options.page = page.replace(/\s+/g, '');
+                else rowErrors.push(`${map.page} must be a page number, a range like 2-5 or a list like 1,3,5-7 (got "${page}")`);
+            }
+            const spread = cell('spread').trim();
+            if (spread) {
+                if (CsvRules.isValidSpreadSpec(spread)) options.spread = spread;
+                else rowErrors.push(`${map.spread} must list spread numbers, ranges like 2-5, masters or master spread names like A-Master (got "${spread}")`);
+            }
+            const layer = cell('layer').trim();
+            if (layer) options.layer = layer;
+            const paragraphStyle = cell('paragraphStyle').trim();
+            if (paragraphStyle) options.paragraphStyle = paragraphStyle;
+
+            if (rowErrors.length > 0) {
+                errors.push({ row, message: rowErrors.join('; ') });
+                return;
+            }
+            rules.push({ row, find, replace, options, note: cell('note').trim() });
+        });
+
+        return { rules, errors, disabled };
+    }
+
+    // Short human-readable summary of a rule's options for previews
+    static describeOptions(options = {}) {
+        const parts = [];
+        if (options.caseSensitive) parts.push('case sensitive');
+        if (options.wholeWords) parts.push('whole words');
+        if (options.replaceAll === true) parts.push('replace all');
+        if (options.replaceAll === false) parts.push('first only');
+        if (options.regex) parts.push(options.regexFlags ? `regex (${options.regexFlags})` : 'regex');
+        if (options.story) parts.push(`story ${options.story}`);
+        if (options.page) parts.push(`page ${options.page}`);
+        if (options.spread) parts.push(`spread ${options.spread}`);
+        if (options.layer) parts.push(`layer ${options.layer}`);
+        if (options.paragraphStyle) parts.push(`paragraph style ${options.paragraphStyle}`);
+        return parts.join(', ');
+    }
+}
+
+// Export for use in other modules (browser global or CommonJS for the CLI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CsvRules;
+} else {
+    window.CsvRules = CsvRules;
+}
@@ -0,0 +1,363 @@
+// IDML Layout Model
+// Where the stories of an IDML sit on the page. Spreads/*.xml hold the
+// pages and the text frames; each TextFrame names the story it shows
+// (ParentStory) and its neighbours in the story's thread
+// (PreviousTextFrame/NextTextFrame). Geometry is worked out from the
+// frames' path points and ItemTransforms in spread coordinates, which is
+// enough to tell which page a frame is on and how big it is.
+// MasterSpreads/*.xml are read the same way, and designmap.xml names the
+// layers frames sit on, so rules can be scoped by page, spread or layer.
+//
+// Scanned with regular expressions so it also runs without a DOM (Web
+// Worker, Node CLI).
+
+class IDMLLayout {
+    constructor() {
+        this.spreads = []; // [{ path, id, index, pages, frames }] in document order
+        this.masterSpreads = []; // the same for master spreads, plus name and prefix
+        this.pages = []; // every page in document order
+        this.frames = new Map(); // frame id -> frame
+        this.storyFrames = new Map(); // story id -> frames in thread order
+        this.layers = new Map(); // layer id -> name
+    }
+
+    // Build the layout of a loaded IDML (a JSZip instance)
+    static async load(zip) {
+        const layout = new IDMLLayout();
+        const designmap = zip.file('designmap.xml');
+        const designmapXml = designmap ? await designmap.async('text') : '';
+        layout.layers = IDMLLayout.layerNames(designmapXml);
+        for (const path of IDMLLayout.packagePaths(zip, designmapXml, 'MasterSpread', 'MasterSpreads')) {
+            const xml = await zip.file(path).async('text');
+            layout.addMasterSpread(layout.parseSpread(xml, path, layout.masterSpreads.length + 1, true));
+        }
+        for (const path of IDMLLayout.packagePaths(zip, designmapXml, 'Spread', 'Spreads')) {
+            const xml = await zip.file(path).async('text');
+            layout.addSpread(layout.parseSpread(xml, path, layout.spreads.length + 1));
+        }
+        layout.linkStories();
+        return layout;
+    }
+
+    // Files of one kind (idPkg:Spread, idPkg:MasterSpread) in designmap.xml
+    // order, or sorted by name without a designmap
+    static packagePaths(zip, designmapXml, element, folder) {
+        const paths = [];
+        const refRegex = new RegExp(`<idPkg:${element}\\b[^>]*\\bsrc="([^"]+)"`, 'g');
+        let ref;
+        while ((ref = refRegex.exec(designmapXml)) !== null) {
+            if (zip.file(ref[1]) && !paths.includes(ref[1])) paths.push(ref[1]);
+        }
+        if (paths.length === 0) {
+            const fileRegex = new RegExp(`^${folder}/.+\\.xml$`);
+            zip.forEach(path => {
+                if (fileRegex.test(path)) paths.push(path);
+            });
+            paths.sort();
+        }
+        return paths;
+    }
+
+    // Layer ids and names from designmap.xml
+    static layerNames(designmapXml) {
+        const layers = new Map();
+        const layerRegex = /<Layer\b([^>]*)>/g;
+        let layer;
+        while ((layer = layerRegex.exec(designmapXml)) !== null) {
+            const id = IDMLLayout.attr(layer[1], 'Self');
+            if (id) layers.set(id, IDMLLayout.attr(layer[1], 'Name') || id);
+        }
+        return layers;
+    }
+
+    // Whether n is in a range list like "3", "2-5" or "1,3,5-7"
+    static inRanges(spec, n) {
+        return String(spec).split(',').some(part => {
+            const [from, to] = part.split('-').map(value => parseInt(value, 10));
+            return n >= from && n <= (isNaN(to) ? from : to);
+        });
+    }
+
+    // Story id of a story file path (Stories/Story_u1a2.xml -> u1a2)
+    static storyId(storyPath) {
+        return String(storyPath).split('/').pop().replace(/\.xml$/i, '').replace(/^Story_/, '');
+    }
+
+    static attr(attrs, name) {
+        const match = attrs.match(new RegExp(`\\b${name}="([^"]*)"`));
+        return match ? match[1] : null;
+    }
+
+    // ItemTransform "a b c d tx ty" as a matrix; identity when missing
+    static transform(attrs) {
+        const value = IDMLLayout.attr(attrs, 'ItemTransform');
+        const numbers = value ? value.trim().split(/\s+/).map(Number) : [];
+        return numbers.length === 6 && numbers.every(Number.isFinite) ? numbers : [1, 0, 0, 1, 0, 0];
+    }
+
+    // parent applied after child
+    static compose(parent, child) {
+        return [
+            parent[0] * child[0] + parent[2] * child[1],
+            parent[1] * child[0] + parent[3] * child[1],
+            parent[0] * child[2] + parent[2] * child[3],
+            parent[1] * child[2] + parent[3] * child[3],
+            parent[0] * child[4] + parent[2] * child[5] + parent[4],
+            parent[1] * child[4] + parent[3] * child[5] + parent[5]
+        ];
+    }
+
+    static apply(matrix, [x, y]) {
+        return [matrix[0] * x + matrix[2] * y + matrix[4], matrix[1] * x + matrix[3] * y + matrix[5]];
+    }
+
+    // Bounding box of points: { left, top, right, bottom }
+    static bounds(points) {
+        const xs = points.map(point => point[0]);
+        const ys = points.map(point => point[1]);
+        return { left: Math.min(...xs), top: Math.min(...ys), right: Math.max(...xs), bottom: Math.max(...ys) };
+    }
+
+    // One spread file: its pages and text frames in spread coordinates.
+    // Frames inside groups get the groups' transforms too, and the group's
+    // layer when they have none of their own. Frames on a master spread
+    // have spread null and master set to the master spread's index.
+    parseSpread(xml, path, index, master = false) {
+        const spread = { path, id: null, index, pages: [], frames: [] };
+        const tagRegex = /<(\/?)(Spread|MasterSpread|Page|Group|TextFrame|PathPointType|TextFramePreference)\b([^>]*?)(\/?)>/g;
+        const transforms = [[1, 0, 0, 1, 0, 0]]; // open groups and frames
+        const layers = [null]; // layer ids of the same
+        let frame = null;
+        let tag;
+        while ((tag = tagRegex.exec(xml)) !== null) {
+            const [, closing, name, attrs, selfClosing] = tag;
+            if (closing) {
+                if (name === 'Group' || name === 'TextFrame') {
+                    transforms.pop();
+                    layers.pop();
+                }
+                if (name === 'TextFrame' && frame) {
+                    spread.frames.push(this.finishFrame(frame));
+                    frame = null;
+                }
+                continue;
+            }
+            switch (name) {
+                case 'Spread':
+                    spread.id = IDMLLayout.attr(attrs, 'Self');
+                    break;
+                case 'MasterSpread':
+                    spread.id = IDMLLayout.attr(attrs, 'Self');
+                    spread.name = IDMLLayout.attr(attrs, 'Name') || spread.id;
+                    spread.prefix = IDMLLayout.attr(attrs, 'NamePrefix') || '';
+                    break;
+                case 'Page': {
+                    const numbers = (IDMLLayout.attr(attrs, 'GeometricBounds') || '0 0 0 0').split(/\s+/).map(Number);
+                    const [top, left, bottom, right] = numbers;
+                    const matrix = IDMLLayout.transform(attrs);
+                    spread.pages.push({
+                        id: IDMLLayout.attr(attrs, 'Self'),
+                        name: IDMLLayout.attr(attrs, 'Name') || String(spread.pages.length + 1),
+                        spread: master ? null : index,
+                        bounds: IDMLLayout.bounds([IDMLLayout.apply(matrix, [left, top]), IDMLLayout.apply(matrix, [right, bottom])])
+                    });
+                    break;
+                }
+                case 'Group':
+                    if (!selfClosing) {
+                        transforms.push(IDMLLayout.compose(transforms[transforms.length - 1], IDMLLayout.transform(attrs)));
+                        layers.push(IDMLLayout.attr(attrs, 'ItemLayer') || layers[layers.length - 1]);
+                    }
+                    break;
+                case 'TextFrame': {
+                    const matrix = IDMLLayout.compose(transforms[transforms.length - 1], IDMLLayout.transform(attrs));
+                    const layer = IDMLLayout.attr(attrs, 'ItemLayer') || layers[layers.length - 1];
+                    const created = {
+                        id: IDMLLayout.attr(attrs, 'Self'),
+                        storyId: IDMLLayout.attr(attrs, 'ParentStory'),
+                        previous: IDMLLayout.attr(attrs, 'PreviousTextFrame'),
+                        next: IDMLLayout.attr(attrs, 'NextTextFrame'),
+                        spread: master ? null : index,
+                        master: master ? index : null,
+                        layer,
+                        columns: 1,
+                        matrix,
+                        points: []
+                    };
+                    if (selfClosing) {
+                        spread.frames.push(this.finishFrame(created));
+                    } else {
+                        transforms.push(matrix);
+                        layers.push(layer);
+                        frame = created;
+                    }
+                    break;
+                }
+                case 'PathPointType':
+                    if (frame) {
+                        const anchor = (IDMLLayout.attr(attrs, 'Anchor') || '').split(/\s+/).map(Number);
+                        if (anchor.length === 2 && anchor.every(Number.isFinite)) frame.points.push(IDMLLayout.apply(frame.matrix, anchor));
+                    }
+                    break;
+                case 'TextFramePreference':
+                    if (frame) frame.columns = Number(IDMLLayout.attr(attrs, 'TextColumnCount')) || 1;
+                    break;
+            }
+        }
+        // Frames are matched to pages once every page of the spread is known
+        for (const item of spread.frames) item.page = this.pageFor(item, spread.pages);
+        return spread;
+    }
+
+    finishFrame(frame) {
+        const bounds = frame.points.length ? IDMLLayout.bounds(frame.points) : null;
+        delete frame.matrix;
+        delete frame.points;
+        return Object.assign(frame, {
+            bounds,
+            width: bounds ? bounds.right - bounds.left : 0,
+            height: bounds ? bounds.bottom - bounds.top : 0,
+            page: null
+        });
+    }
+
+    // The page holding the frame's centre, else the page it overlaps most;
+    // null for a frame on the pasteboard
+    pageFor(frame, pages) {
+        if (!frame.bounds) return null;
+        const cx = (frame.bounds.left + frame.bounds.right) / 2;
+        const cy = (frame.bounds.top + frame.bounds.bottom) / 2;
+        const containing = pages.find(page => cx >= page.bounds.left && cx <= page.bounds.right && cy >= page.bounds.top && cy <= page.bounds.bottom);
+        if (containing) return containing;
+        let best = null;
+        let bestArea = 0;
+        for (const page of pages) {
+            const width = Math.min(frame.bounds.right, page.bounds.right) - Math.max(frame.bounds.left, page.bounds.left);
+            const height = Math.min(frame.bounds.bottom, page.bounds.bottom) - Math.max(frame.bounds.top, page.bounds.top);
+            if (width > 0 && height > 0 && width * height > bestArea) {
+                best = page;
+                bestArea = width * height;
+            }
+        }
+        return best;
+    }
+
+    addSpread(spread) {
+        this.spreads.push(spread);
+        for (const page of spread.pages) {
+            page.position = this.pages.length + 1; // 1-based in the document
+            this.pages.push(page);
+        }
+        for (const frame of spread.frames) {
+            if (frame.id) this.frames.set(frame.id, frame);
+        }
+    }
+
+    // Master pages have no document position
+    addMasterSpread(spread) {
+        this.masterSpreads.push(spread);
+        for (const frame of spread.frames) {
+            if (frame.id) this.frames.set(frame.id, frame);
+        }
+    }
+
+    // Group frames by story, following each thread from its first frame
+    linkStories() {
+        this.storyFrames = new Map();
+        const byStory = new Map();
+        for (const frame of this.frames.values()) {
+            if (!frame.storyId) continue;
+            if (!byStory.has(frame.storyId)) byStory.set(frame.storyId, []);
+            byStory.get(frame.storyId).push(frame);
+        }
+        for (const [storyId, frames] of byStory) {
+            const ordered = [];
+            const seen = new Set();
+            const heads = frames.filter(frame => !frame.previous || frame.previous === 'n' || !this.frames.has(frame.previous));
+            for (let frame of heads) {
+                while (frame && !seen.has(frame.id)) {
+                    seen.add(frame.id);
+                    ordered.push(frame);
+                    frame = frame.next && frame.next !== 'n' ? this.frames.get(frame.next) : null;
+                }
+            }
+            // Frames of a broken thread keep document order
+            for (const frame of frames) if (!seen.has(frame.id)) ordered.push(frame);
+            this.storyFrames.set(storyId, ordered);
+        }
+    }
+
+    // Frames a story flows through, by story path or id
+    framesForStory(story) {
+        return this.storyFrames.get(IDMLLayout.storyId(story)) || [];
+    }
+
+    // Whether any frame of the story is in scope: { page, spread, layer },
+    // each optional and all of them applying. page is a range list of
+    // document page positions (1 = first page, whatever the page is
+    // called). spread is a range list of spread positions, and may also
+    // name master spreads: "masters" for all of them, or a master's name or
+    // prefix ("A-Master", "A"). layer is a comma-separated list of layer
+    // names. A story without frames is never in scope.
+    storyInScope(story, scope = {}) {
+        return this.framesForStory(story).some(frame => this.frameInScope(frame, scope));
+    }
+
+    frameInScope(frame, { page, spread, layer } = {}) {
+        if (page && !(frame.page && frame.page.position && IDMLLayout.inRanges(page, frame.page.position))) return false;
+        if (spread && !this.spreadMatches(spread, frame)) return false;
+        if (layer) {
+            const name = this.layerName(frame).toLowerCase();
+            if (!String(layer).split(',').some(wanted => wanted.trim().toLowerCase() === name)) return false;
+        }
+        return true;
+    }
+
+    spreadMatches(spec, frame) {
+        const master = frame.master ? this.masterSpreads[frame.master - 1] : null;
+        return String(spec).split(',').map(part => part.trim()).filter(Boolean).some(part => {
+            if (/^\d+(?:\s*-\s*\d+)?$/.test(part)) return !master && IDMLLayout.inRanges(part.replace(/\s+/g, ''), frame.spread);
+            if (!master) return false;
+            const wanted = part.toLowerCase();
+            return wanted === 'masters' || wanted === 'master' || [master.name, master.prefix, master.id]
+                .some(name => name && name.toLowerCase() === wanted);
+        });
+    }
+
+    layerName(frame) {
+        return frame.layer ? this.layers.get(frame.layer) || frame.layer : '';
+    }
+
+    // "Spread 2, page 3, frame u1f4" ("page iv (4)" where a page's name
+    // differs from its position); master frames read "Master A-Master,
+    // frame u1f4". The layer is added when the document has more than one.
+    describeFrame(frame) {
+        let text;
+        if (frame.master) {
+            const master = this.masterSpreads[frame.master - 1];
+            text = `Master ${master ? master.name : frame.master}, frame ${frame.id}`;
+        } else {
+            const page = !frame.page ? 'pasteboard'
+                : frame.page.name === String(frame.page.position) ? `page ${frame.page.name}` : `page ${frame.page.name} (${frame.page.position})`;
+            text = `Spread ${frame.spread}, ${page}, frame ${frame.id}`;
+        }
+        if (this.layers.size > 1 && frame.layer) text += `, layer ${this.layerName(frame)}`;
+        return text;
+    }
+
+    // The frames of a story described one after another, at most limit of
+    // them; empty for a story that is not placed
+    describeStory(story, limit = 3) {
+        const frames = this.framesForStory(story);
+        const parts = frames.slice(0, limit).map(frame => this.describeFrame(frame));
+        if (frames.length > limit) parts.push(`${frames.length - limit} more frame(s)`);
+        return parts.join('; ');
+    }
+}
+
+// Export for use in other modules (browser global or CommonJS for the CLI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IDMLLayout;
+} else {
+    window.IDMLLayout = IDMLLayout;
+}
@@ -4,12 +4,24 @@ class IDMLProcessor {
         this.idmlZip = null;
         this.storyFiles = [];
         this.modifiedFiles = new Map();
+        // Session history of runs made through runWithHistory (see there)
+        this.history = [];
+        this.redoStack = [];
+        this._runCounter = 0;
+        this.layout = null; // IDMLLayout of the loaded document, built on first use
+        // Set by ProcessingClient.attach: processing, scanning and packaging
+        // then run in its Web Worker (see js/processing-client.js)
+        this.remote = null;
     }
 
     async loadIDML(file) {
         try {
             // IDML files are ZIP archives containing XML files
             this.idmlZip = await JSZip.loadAsync(file);
+            // Changes and history belong to the previously loaded document
+            this.modifiedFiles = new Map();
+            this.clearHistory();
+            this.layout = null;
             
             // Find all story files (these contain the text content).
             // Prefer the order defined in designmap.xml (document order) when
@@ -21,14 +33,16 @@ class IDMLProcessor {
             if (designmapFile) {
                 try {
                     const dmText = await designmapFile.async('text');
-                    const parser = new DOMParser();
-                    const dmDoc = parser.parseFromString(dmText, 'text/xml');
-                    // StoryRef elements usually reference story files via Self attr
-                    const refs = dmDoc.getElementsByTagName('StoryRef');
-                    for (let i = 0; i < refs.length; i++) {
-                        const selfAttr = refs[i].getAttribute('Self') || refs[i].getAttribute('self');
-                        if (selfAttr && selfAttr.startsWith('Stories/') && selfAttr.endsWith('.xml')) {
-                            if (this.idmlZip.file(selfAttr)) this.storyFiles.push(selfAttr);
+                    // Stories are listed as <idPkg:Story src="Stories/..."/>;
+                    // some exporters use StoryRef elements with a Self attr.
+                    // Scanned with a regex so this also runs without a DOM.
+                    const refRegex = /<(?:idPkg:Story\b[^>]*\bsrc|StoryRef\b[^>]*\b[Ss]elf)="([^"]+)"/g;
+                    let ref;
+                    while ((ref = refRegex.exec(dmText)) !== null) {
+                        const storyPath = ref[1];
+                        if (storyPath.startsWith('Stories/') && storyPath.endsWith('.xml') &&
+                            this.idmlZip.file(storyPath) && !this.storyFiles.includes(storyPath)) {
+                            this.storyFiles.push(storyPath);
                         }
                     }
                 } catch (dmErr) {
@@ -61,19 +75,83 @@ class IDMLProcessor {
     }
 
     async processReplacements(replacements, options = {}) {
+        if (this.remote) return this.remote.run(this, 'process', replacements, options);
         try {
             let totalReplacements = 0;
             const replacementLog = [];
+            const failedChanges = [];
 
             // Iterate replacements in order (CSV rows). By default, we perform
             // first-occurrence-per-row semantics (search stories in order and stop
             // after the first found). If options.replaceAll (or per-replacement
             // replacement.options.replaceAll) is true, then we replace all
             // occurrences across all story files for that replacement.
-            for (const replacement of replacements) {
-                if (!replacement.find || !replacement.replace) continue;
+            //
+            // Every replaced match is logged as its own change, with a
+            // changeId equal to its match id ("<rule index>|<story path>|
+            // <ordinal>", see matchId). Passing a Set of those ids as
+            // options.skipChanges re-runs the same rules while leaving the
+            // listed matches out, which is how the review screen drops
+            // changes a reviewer unticked.
+            //
+            // options.approvedMatches (a Set of match ids from preScanMatches)
+            // replaces the first/all choice: exactly the approved occurrences
+            // are replaced and every other one is left alone.
+            //
+            // options.simultaneous makes every rule match the original text
+            // only: inserted text is held back as placeholder tokens (see
+            // _maskInsert) until all rules have run, so no rule sees another
+            // rule's output. Where two rules match overlapping text the
+            // earlier rule wins.
+            //
+            // options.singlePass runs the literal rules through one
+            // multi-pattern search per story instead (see _runSinglePass);
+            // it implies simultaneous matching.
+            //
+            // A change whose story no longer parses as XML is dropped and
+            // listed in failedChanges ({ ruleIndex, file, original,
+            // replacement, error }) instead of the log.
+            //
+            // options.onProgress(percent, message) hears how far the run is.
+            //
+            // Aborting options.signal (an AbortSignal) stops the run before
+            // the next rule, or the next story in a single pass. The changes
+            // made so far are packaged and the result has cancelled: true;
+            // stoppedAt is the first rule that did not run (null when a
+            // single pass was interrupted, as it works story by story).
+            //
+            // Rules with a page, spread or layer option only change stories
+            // placed there (see inScope); their log entries get a location
+            // naming the story's frames.
+            const progress = this._progressReporter(options.onProgress);
+            let cancelled = false;
+            let stoppedAt = null;
+            const skipChanges = options.skipChanges || null;
+            const approvedMatches = options.approvedMatches || null;
+            const inserts = options.simultaneous || options.singlePass ? [] : null;
+            const scoped = await this._layoutFor(replacements, options);
+            let singlePass = null;
+            if (options.singlePass) {
+                singlePass = await this._runSinglePass(replacements, options, replacementLog, inserts, progress);
+                failedChanges.push(...singlePass.failed);
+                totalReplacements += singlePass.total;
+                cancelled = singlePass.cancelled;
+            }
+            for (const [ruleIndex, replacement] of replacements.entries()) {
+                if (cancelled || await this._cancelRequested(options.signal)) {
+                    if (!options.singlePass) stoppedAt = ruleIndex;
+                    cancelled = true;
+                    break;
+                }
+                progress(ruleIndex / replacements.length * 95, `Applying rule ${ruleIndex + 1} of ${replacements.length}...`);
+                // enabled: false keeps a rule's index (and so its change ids)
+                // while leaving it out of the run
+                if (!replacement.find || !replacement.replace || replacement.enabled === false) continue;
+                if (singlePass && singlePass.handled.has(ruleIndex)) continue;
 
                 const repOptions = Object.assign({}, options, replacement.options || {});
+                if (approvedMatches) repOptions.replaceAll = true;
+                if (inserts) repOptions.maskInsert = (text) => this._maskInsert(inserts, text);
 
                 // Debug pre-scan: if debug is enabled, find and record the first
                 // story (in document order) that contains a match for this
@@ -83,11 +161,12 @@ class IDMLProcessor {
                 if (repOptions.debug) {
                     let firstFound = null;
                     for (const storyPath of this.storyFiles) {
+                        if (!this.inScope(storyPath, repOptions)) continue;
                         const storyFile = this.idmlZip.file(storyPath);
                         if (!storyFile) continue;
                         const xmlContent = this.modifiedFiles.has(storyPath) ? this.modifiedFiles.get(storyPath) : await storyFile.async('text');
                         try {
-                            const probe = this.performXMLTextReplacementOnce(xmlContent, replacement.find, replacement.replace, repOptions);
+                            const probe = this._replaceInStory(xmlContent, replacement.find, replacement.replace, repOptions, /* firstOnly */ true);
                             if (probe && probe.count > 0) {
                                 firstFound = { story: storyPath, matchType: probe.matchType || 'block-level', debugMatches: probe.debugMatches || [] };
                                 break;
@@ -104,6 +183,7 @@ class IDMLProcessor {
                     // Replace all occurrences across all story files
                     let anyFound = false;
                     for (const storyPath of this.storyFiles) {
+                        if (!this.inScope(storyPath, repOptions)) continue;
                         const storyFile = this.idmlZip.file(storyPath);
                         if (!storyFile) continue;
 
@@ -118,33 +198,32 @@ class IDMLProcessor {
                             xmlContent = await storyFile.async('text');
                         }
 
-                        const { newXml, count, debugMatches, matchType } = this.performXMLTextReplacement(
+                        // Every match is its own change; rejected and
+                        // unapproved ones are left as they are
+                        const accept = (ordinal) => {
+                            const id = this.matchId(ruleIndex, storyPath, ordinal);
+                            return (!approvedMatches || approvedMatches.has(id)) && !(skipChanges && skipChanges.has(id));
+                        };
+                        const { newXml, count, debugMatches, matchType, offered, changes } = this._replaceMatches(
                             xmlContent,
                             replacement.find,
                             replacement.replace,
-                            repOptions
+                            repOptions,
+                            accept
                         );
+                        if (offered > 0) anyFound = true;
 
                         if (count > 0) {
                             // Validate the XML immediately after modification to catch corruption early
-                            try {
-                                const parser = new DOMParser();
-                                const doc = parser.parseFromString(newXml, 'text/xml');
-                                const parsererror = doc.getElementsByTagName('parsererror');
-                                if (parsererror && parsererror.length > 0) {
-                                    console.error(`[IDMLProcessor] XML corruption detected in ${storyPath} after replacing '${replacement.find}'. Reverting this replacement.`);
-                                    console.warn(`Problematic replacement: "${replacement.find}" -> "${replacement.replace}"`);
-                                    // Skip this replacement - don't save the corrupted XML
-                                    anyFound = true; // mark as attempted to avoid error
-                                    continue;
-                                }
-                            } catch (parseErr) {
-                                console.error(`[IDMLProcessor] XML parse error in ${storyPath} after replacing '${replacement.find}'. Reverting this replacement.`, parseErr);
+                            const xmlError = this._checkXML(newXml);
+                            if (xmlError) {
+                                console.error(`[IDMLProcessor] XML corruption detected in ${storyPath} after replacing '${replacement.find}'. Reverting this replacement.`, xmlError);
                                 console.warn(`Problematic replacement: "${replacement.find}" -> "${replacement.replace}"`);
-                                anyFound = true;
+                                // Skip this replacement - don't save the corrupted XML
+                                failedChanges.push({ ruleIndex, file: storyPath, original: replacement.find, replacement: replacement.replace, error: xmlError });
                                 continue;
                             }
-                            
+
                             this.modifiedFiles.set(storyPath, newXml);
                             totalReplacements += count;
                             const debug = this._createDebugSnippet(xmlContent, newXml) || {};
@@ -223,16 +302,12 @@ class IDMLProcessor {
                             } catch (e) {
                                 console.warn('Failed to build targeted debug blocks:', e);
                             }
-                            replacementLog.push({
-                                file: storyPath,
-                                original: replacement.find,
-                                replacement: replacement.replace,
-                                count: count,
-                                debug
-                            });
+                            const paragraphs = this.storyParagraphs(xmlContent);
+                            for (const change of changes) {
+                                replacementLog.push(this._matchEntry(ruleIndex, replacement, storyPath, paragraphs, change, debug));
+                            }
                             console.log(`[IDMLProcessor] Replaced ${count} occurrence(s) for '${replacement.find}' in ${storyPath}`);
                             if (debug) console.log(`[IDMLProcessor][debug] ${storyPath}:`, debug);
-                            anyFound = true;
                         }
                     }
 
@@ -243,6 +318,7 @@ class IDMLProcessor {
                     // Old behavior: replace only the first occurrence (search stories in order)
                     let replaced = false;
                     for (const storyPath of this.storyFiles) {
+                        if (!this.inScope(storyPath, repOptions)) continue;
                         const storyFile = this.idmlZip.file(storyPath);
                         if (!storyFile) continue;
 
@@ -255,45 +331,41 @@ class IDMLProcessor {
                             xmlContent = await storyFile.async('text');
                         }
 
-                        // Try to replace only the first match inside this story
-                        const { newXml, count, debugMatches, matchType } = this.performXMLTextReplacementOnce(
+                        // Try to replace only the first match inside this
+                        // story. A rejected first occurrence stays as it is;
+                        // the rule must not move on to an occurrence nobody
+                        // reviewed.
+                        const skipped = (ordinal) => skipChanges && skipChanges.has(this.matchId(ruleIndex, storyPath, ordinal));
+                        const { newXml, count, debugMatches, matchType, offered, changes } = this._replaceMatches(
                             xmlContent,
                             replacement.find,
                             replacement.replace,
-                            repOptions
+                            repOptions,
+                            (ordinal) => ordinal === 0 && !skipped(ordinal)
                         );
+                        if (offered > 0 && skipped(0)) {
+                            replaced = true;
+                            break;
+                        }
 
                         if (count > 0) {
                             // Validate the XML immediately after modification to catch corruption early
-                            try {
-                                const parser = new DOMParser();
-                                const doc = parser.parseFromString(newXml, 'text/xml');
-                                const parsererror = doc.getElementsByTagName('parsererror');
-                                if (parsererror && parsererror.length > 0) {
-                                    console.error(`[IDMLProcessor] XML corruption detected in ${storyPath} after replacing '${replacement.find}'. Skipping this replacement.`);
-                                    console.warn(`Problematic replacement: "${replacement.find}" -> "${replacement.replace}"`);
-                                    // Try next story for this replacement
-                                    continue;
-                                }
-                            } catch (parseErr) {
-                                console.error(`[IDMLProcessor] XML parse error in ${storyPath} after replacing '${replacement.find}'. Skipping this replacement.`, parseErr);
+                            const xmlError = this._checkXML(newXml);
+                            if (xmlError) {
+                                console.error(`[IDMLProcessor] XML corruption detected in ${storyPath} after replacing '${replacement.find}'. Skipping this replacement.`, xmlError);
                                 console.warn(`Problematic replacement: "${replacement.find}" -> "${replacement.replace}"`);
+                                failedChanges.push({ ruleIndex, file: storyPath, original: replacement.find, replacement: replacement.replace, error: xmlError });
+                                // Try next story for this replacement
                                 continue;
                             }
-                            
+
                             // Store modified content for this story
                             this.modifiedFiles.set(storyPath, newXml);
                             totalReplacements += count;
                             const debug = this._createDebugSnippet(xmlContent, newXml) || {};
                             debug.matches = debugMatches || [];
                             debug.method = matchType || 'block-level';
-                            replacementLog.push({
-                                file: storyPath,
-                                original: replacement.find,
-                                replacement: replacement.replace,
-                                count: count,
-                                debug
-                            });
+                            replacementLog.push(this._matchEntry(ruleIndex, replacement, storyPath, this.storyParagraphs(xmlContent), changes[0], debug));
                             console.log(`[IDMLProcessor] Replaced first occurrence for '${replacement.find}' in ${storyPath}`);
                             if (debug) console.log(`[IDMLProcessor][debug] ${storyPath}:`, debug);
                             replaced = true;
@@ -307,18 +379,31 @@ class IDMLProcessor {
                 }
             }
 
+            // Regex rules after a single pass are logged after the literal ones
+            if (singlePass) replacementLog.sort((a, b) => a.ruleIndex - b.ruleIndex);
+            if (scoped) {
+                for (const entry of replacementLog) {
+                    if (scoped.has(entry.ruleIndex)) entry.location = this.layout.describeStory(entry.file) || entry.file;
+                }
+            }
+            if (inserts && inserts.length > 0) this._unmaskRun(inserts, replacementLog);
+
             // Debug summary before packaging
             console.log('[IDMLProcessor] Total replacements across all stories:', totalReplacements);
             console.log('[IDMLProcessor] Total modified files to include in new IDML:', this.modifiedFiles.size);
 
             // Create new IDML file with modifications
+            progress(95, 'Packaging IDML...');
             const modifiedIdmlBytes = await this.createModifiedIDML();
 
             return {
                 success: true,
                 modifiedIdmlBytes,
                 totalReplacements,
-                replacementLog
+                replacementLog,
+                failedChanges,
+                cancelled,
+                stoppedAt
             };
 
         } catch (error) {
@@ -327,17 +412,564 @@ class IDMLProcessor {
         }
     }
 
+    // Single-pass engine (options.singlePass). Every literal rule goes into
+    // one Aho-Corasick automaton and each story's Content blocks are walked
+    // once, instead of one pass (and one XML check) per rule and story.
+    // Like simultaneous mode, rules only see the original text: inserts are
+    // masked until _unmaskRun. Where candidates overlap, options.overlap
+    // picks the winner: 'longest' (default) or 'priority' (the earlier rule,
+    // as in sequential mode). A rule without a candidate inside a single
+    // block still gets the cross-block fallback of _replaceInStory, and
+    // regex rules are left to the sequential loop. Without overlapping rules
+    // the output is the same as a sequential run.
+    // Returns { total, handled, cancelled, failed } with handled the Set of
+    // rule indexes run here and failed the changes dropped by the XML
+    // check; a cancelled pass keeps the stories it finished.
+    async _runSinglePass(replacements, options, replacementLog, inserts, progress = () => {}) {
+        const skipChanges = options.skipChanges || null;
+        const approvedMatches = options.approvedMatches || null;
+        const maskInsert = (text) => this._maskInsert(inserts, text);
+        const rules = [];
+        const patternIds = new Map();
+        const patternRules = [];
+
+        for (const [ruleIndex, replacement] of replacements.entries()) {
+            if (!replacement.find || !replacement.replace || replacement.enabled === false) continue;
+            const opts = Object.assign({ caseSensitive: false, wholeWords: false }, options, replacement.options || {});
+            if (opts.regex) continue;
+            const normFind = replacement.find.replace(/[\s\u00A0]+/g, ' ').trim();
+            if (!normFind) continue;
+            if (approvedMatches) opts.replaceAll = true;
+            opts.maskInsert = maskInsert;
+
+            // Rules are searched case-insensitively; case-sensitive ones are
+            // checked against the matched text afterwards
+            const pattern = normFind.toLowerCase();
+            if (!patternIds.has(pattern)) {
+                patternIds.set(pattern, patternRules.length);
+                patternRules.push([]);
+            }
+            const rule = { ruleIndex, replacement, opts, normFind };
+            patternRules[patternIds.get(pattern)].push(rule);
+            rules.push(rule);
+        }
+
+        const handled = new Set(rules.map(rule => rule.ruleIndex));
+        const failed = [];
+        let total = 0;
+        let cancelled = false;
+        if (rules.length === 0) return { total, handled, cancelled, failed };
+
+        const automaton = new AhoCorasick(Array.from(patternIds.keys()));
+        const done = new Set(); // first-only rules that have had their one match
+        for (const [storyNumber, storyPath] of this.storyFiles.entries()) {
+            if (await this._cancelRequested(options.signal)) {
+                cancelled = true;
+                break;
+            }
+            progress(storyNumber / this.storyFiles.length * 90, `Scanning story ${storyNumber + 1} of ${this.storyFiles.length}...`);
+            const storyFile = this.idmlZip.file(storyPath);
+            if (!storyFile) continue;
+            const active = new Set(rules
+                .filter(rule => !done.has(rule.ruleIndex) && this.inScope(storyPath, rule.opts))
+                .map(rule => rule.ruleIndex));
+            if (active.size === 0) continue;
+
+            const xmlContent = this.modifiedFiles.has(storyPath) ? this.modifiedFiles.get(storyPath) : await storyFile.async('text');
+            const byStyle = rules.some(rule => active.has(rule.ruleIndex) && rule.opts.paragraphStyle);
+            const story = this._singlePassStory(xmlContent, storyPath, automaton, patternRules, active, { overlap: options.overlap, approvedMatches, byStyle });
+
+            // Rejected matches are left out but keep their text from the
+            // candidates they overlap; a first-only rule whose match was
+            // rejected does not move on to a later occurrence
+            const skipped = (ruleIndex, ordinal) => !!skipChanges && skipChanges.has(this.matchId(ruleIndex, storyPath, ordinal));
+            let newXml = xmlContent;
+            const logged = [];
+            const entries = [];
+            for (const [ruleIndex, edits] of story.edits) {
+                const rule = edits[0].rule;
+                if (!rule.opts.replaceAll) done.add(ruleIndex);
+                const kept = edits.filter(edit => !skipped(ruleIndex, edit.ordinal));
+                if (kept.length > 0) entries.push({ rule, edits: kept });
+            }
+            if (entries.length > 0) {
+                newXml = this._applySinglePassEdits(xmlContent, story.blocks, entries);
+                const xmlError = this._checkXML(newXml);
+                if (xmlError) {
+                    console.error(`[IDMLProcessor] XML corruption detected in ${storyPath} after the single-pass replacements. Leaving this story unchanged.`, xmlError);
+                    newXml = xmlContent;
+                    for (const { rule } of entries) {
+                        failed.push({ ruleIndex: rule.ruleIndex, file: storyPath, original: rule.replacement.find, replacement: rule.replacement.replace, error: xmlError });
+                    }
+                } else {
+                    const paragraphs = this.storyParagraphs(xmlContent);
+                    for (const { rule, edits } of entries) {
+                        total += edits.length;
+                        for (const edit of edits) {
+                            const block = story.blocks[edit.block];
+                            const change = { ordinal: edit.ordinal, detail: this._matchDetail(block.norm, edit, block.fullStart), inserted: rule.replacement.replace };
+                            const debug = { method: 'single-pass', matches: [{ block: edit.block, normStart: edit.start, normEnd: edit.end }] };
+                            logged.push(this._matchEntry(rule.ruleIndex, rule.replacement, storyPath, paragraphs, change, debug));
+                        }
+                    }
+                }
+            }
+
+            // Cross-block fallback for rules that had no candidate inside a
+            // block but whose find occurs once the blocks are joined. Its
+            // ordinals follow the rule's candidates inside blocks.
+            for (const { rule, ranges } of story.crossBlock) {
+                if (done.has(rule.ruleIndex)) continue;
+                const base = story.ordinals.get(rule.ruleIndex) || 0;
+                const accept = (ordinal) => {
+                    if (!rule.opts.replaceAll) return ordinal === 0 && !skipped(rule.ruleIndex, base);
+                    return (!approvedMatches || approvedMatches.has(this.matchId(rule.ruleIndex, storyPath, base + ordinal))) && !skipped(rule.ruleIndex, base + ordinal);
+                };
+                const storyOptions = Object.assign({}, rule.opts, { _onlyRanges: ranges });
+                const result = this._replaceMatches(newXml, rule.replacement.find, rule.replacement.replace, storyOptions, accept);
+                if (result.count === 0) {
+                    if (!rule.opts.replaceAll && result.offered > 0 && skipped(rule.ruleIndex, base)) done.add(rule.ruleIndex);
+                    continue;
+                }
+                const xmlError = this._checkXML(result.newXml);
+                if (xmlError) {
+                    failed.push({ ruleIndex: rule.ruleIndex, file: storyPath, original: rule.replacement.find, replacement: rule.replacement.replace, error: xmlError });
+                    continue;
+                }
+                if (!rule.opts.replaceAll) done.add(rule.ruleIndex);
+                const paragraphs = this.storyParagraphs(newXml);
+                const debug = { method: 'cross-block', matches: result.debugMatches || [] };
+                for (const change of result.changes) {
+                    logged.push(this._matchEntry(rule.ruleIndex, rule.replacement, storyPath, paragraphs, Object.assign({}, change, { ordinal: base + change.ordinal }), debug));
+                }
+                total += result.count;
+                newXml = result.newXml;
+            }
+
+            replacementLog.push(...logged);
+
+            if (newXml !== xmlContent) this.modifiedFiles.set(storyPath, newXml);
+        }
+
+        return { total, handled, cancelled, failed };
+    }
+
+    // Candidates of the active rules in one story, overlaps resolved.
+    // Returns { blocks, edits, ordinals, crossBlock }: the story's Content
+    // blocks, a Map of rule index -> accepted edits [{ rule, block, start,
+    // end, ordinal }] in document order (offsets into the block's normalized
+    // text, ordinal as in matchId), a Map of rule index -> candidates
+    // offered and the rules to try across blocks.
+    // settings is { overlap, approvedMatches, byStyle } with byStyle set when
+    // an active rule has a paragraph style scope.
+    _singlePassStory(xmlContent, storyPath, automaton, patternRules, active, settings) {
+        const { overlap, approvedMatches, byStyle } = settings;
+        const isWordChar = (ch) => /[A-Za-z0-9_]/.test(ch || '');
+        const contentRegex = /<Content[^>]*>(.*?)<\/Content>/gs;
+        const blocks = [];
+        let m;
+        while ((m = contentRegex.exec(xmlContent)) !== null) {
+            const innerStart = m.index + m[0].indexOf('>') + 1;
+            blocks.push(Object.assign({ inner: m[1], innerStart, fullStart: m.index }, this._normalizeWithMap(m[1])));
+        }
+
+        // Paragraph style scopes need the ParagraphStyleRange around a block
+        const styleRanges = [];
+        if (byStyle) {
+            const psrRegex = /<ParagraphStyleRange(\s[^>]*)?(?<!\/)>[\s\S]*?<\/ParagraphStyleRange>/g;
+            while ((m = psrRegex.exec(xmlContent)) !== null) styleRanges.push({ start: m.index, end: m.index + m[0].length, attrs: m[1] || '' });
+        }
+        const styleRangeAt = (offset) => styleRanges.findIndex(r => r.start <= offset && offset < r.end);
+
+        const ordinals = new Map();
+        const offered = new Set();
+        const edits = new Map();
+        const claimed = new Set(); // first-only rules that got their match
+        blocks.forEach((block, blockIndex) => {
+            const lower = block.norm.toLowerCase();
+            const hits = automaton.search(lower).sort((a, b) => a.start - b.start || a.end - b.end);
+            const candidates = [];
+            const lastEnd = new Map();
+            for (const hit of hits) {
+                for (const rule of patternRules[hit.pattern]) {
+                    const { ruleIndex, opts } = rule;
+                    if (!active.has(ruleIndex) || claimed.has(ruleIndex)) continue;
+                    if (opts.caseSensitive && block.norm.slice(hit.start, hit.end) !== rule.normFind) continue;
+                    if (opts.wholeWords && (isWordChar(lower[hit.start - 1]) || isWordChar(lower[hit.end]))) continue;
+                    // Plain finds resume after a match, as indexOf does in
+                    // sequential mode; whole-word finds resume one later
+                    if (!opts.wholeWords && hit.start < (lastEnd.get(ruleIndex) || 0)) continue;
+                    // Style-scoped rules fall back per ParagraphStyleRange,
+                    // as _replaceInStory does
+                    let offeredKey = ruleIndex;
+                    if (opts.paragraphStyle) {
+                        const range = styleRangeAt(block.fullStart);
+                        if (range === -1 || !this._paragraphStyleMatches(styleRanges[range].attrs, opts.paragraphStyle)) continue;
+                        offeredKey = `${ruleIndex}|${range}`;
+                    }
+                    lastEnd.set(ruleIndex, hit.end);
+                    offered.add(offeredKey);
+                    const ordinal = ordinals.get(ruleIndex) || 0;
+                    ordinals.set(ruleIndex, ordinal + 1);
+                    if (approvedMatches && !approvedMatches.has(this.matchId(ruleIndex, storyPath, ordinal))) continue;
+                    candidates.push({ rule, block: blockIndex, start: hit.start, end: hit.end, ordinal });
+                }
+            }
+            if (candidates.length === 0) return;
+
+            // Longest match first, or earliest rule first; a candidate is
+            // kept when none of its characters is taken yet
+            candidates.sort(overlap === 'priority'
+                ? (a, b) => a.rule.ruleIndex - b.rule.ruleIndex || a.start - b.start
+                : (a, b) => (b.end - b.start) - (a.end - a.start) || a.start - b.start || a.rule.ruleIndex - b.rule.ruleIndex);
+            const taken = new Uint8Array(block.norm.length);
+            const accepted = [];
+            for (const candidate of candidates) {
+                let free = true;
+                for (let i = candidate.start; i < candidate.end && free; i++) free = !taken[i];
+                if (!free) continue;
+                taken.fill(1, candidate.start, candidate.end);
+                accepted.push(candidate);
+            }
+
+            accepted.sort((a, b) => a.start - b.start);
+            for (const edit of accepted) {
+                const ruleIndex = edit.rule.ruleIndex;
+                if (!edit.rule.opts.replaceAll) {
+                    if (claimed.has(ruleIndex)) continue;
+                    claimed.add(ruleIndex);
+                }
+                if (!edits.has(ruleIndex)) edits.set(ruleIndex, []);
+                edits.get(ruleIndex).push(edit);
+            }
+        });
+
+        // Cross-block candidates only exist where the joined text matches.
+        // Entries are { rule, ranges } with ranges the style ranges still
+        // to try for style-scoped rules.
+        const crossBlock = [];
+        const joined = automaton.search(blocks.map(block => block.norm).join(' ').replace(/ +/g, ' ').toLowerCase());
+        const seen = new Set();
+        for (const hit of joined) {
+            for (const rule of patternRules[hit.pattern]) {
+                if (!active.has(rule.ruleIndex) || seen.has(rule.ruleIndex)) continue;
+                seen.add(rule.ruleIndex);
+                if (!rule.opts.paragraphStyle) {
+                    if (!offered.has(rule.ruleIndex)) crossBlock.push({ rule, ranges: null });
+                    continue;
+                }
+                const ranges = new Set();
+                styleRanges.forEach((range, index) => {
+                    if (this._paragraphStyleMatches(range.attrs, rule.opts.paragraphStyle) && !offered.has(`${rule.ruleIndex}|${index}`)) ranges.add(index);
+                });
+                if (ranges.size > 0) crossBlock.push({ rule, ranges });
+            }
+        }
+        crossBlock.sort((a, b) => a.rule.ruleIndex - b.rule.ruleIndex);
+        return { blocks, edits, ordinals, crossBlock };
+    }
+
+    // Write the accepted edits of several rules into a story in one go.
+    // Inserted text is masked, so it needs no escaping here.
+    _applySinglePassEdits(xmlContent, blocks, entries) {
+        const perBlock = new Map();
+        for (const { rule, edits } of entries) {
+            for (const edit of edits) {
+                const block = blocks[edit.block];
+                const unescStart = block.mapNormToUnesc[edit.start];
+                const unescEnd = edit.end < block.mapNormToUnesc.length ? block.mapNormToUnesc[edit.end] : block.unescaped.length;
+                if (!perBlock.has(edit.block)) perBlock.set(edit.block, []);
+                perBlock.get(edit.block).push({
+                    from: block.mapUnesc[unescStart],
+                    to: unescEnd < block.mapUnesc.length ? block.mapUnesc[unescEnd] : block.inner.length,
+                    text: rule.opts.maskInsert(rule.replacement.replace)
+                });
+            }
+        }
+
+        let out = '';
+        let pos = 0;
+        for (const blockIndex of Array.from(perBlock.keys()).sort((a, b) => a - b)) {
+            const block = blocks[blockIndex];
+            let inner = block.inner;
+            for (const piece of perBlock.get(blockIndex).sort((a, b) => b.from - a.from)) {
+                inner = inner.slice(0, piece.from) + piece.text + inner.slice(piece.to);
+            }
+            out += xmlContent.slice(pos, block.innerStart) + inner;
+            pos = block.innerStart + block.inner.length;
+        }
+        return out + xmlContent.slice(pos);
+    }
+
+    // Session history. Each run made through runWithHistory is recorded as
+    // { id, label, time, replacements, options, totalReplacements, log,
+    // before, after } where before/after are snapshots of modifiedFiles
+    // (Maps share the story strings, so a snapshot costs one Map). The
+    // history is a stack: undo() restores the last run's `before`, redo()
+    // its `after`, and loading another IDML clears it. options.onProgress
+    // and options.signal belong to one call and are not recorded. A
+    // cancelled run is recorded with the rules it got to (all of them when
+    // a single pass was interrupted); discardLastRun() drops it.
+    async runWithHistory(replacements, options = {}, label = '') {
+        const before = new Map(this.modifiedFiles);
+        let result;
+        try {
+            result = await this.processReplacements(replacements, options);
+        } catch (error) {
+            // Do not leave half of a failed run behind
+            this.modifiedFiles = before;
+            throw error;
+        }
+        this.history.push({
+            id: ++this._runCounter,
+            label: (label || `${replacements.length} rule(s)`) + (result.cancelled && !/ \(cancelled\)$/.test(label) ? ' (cancelled)' : ''),
+            time: new Date().toISOString(),
+            replacements: result.cancelled && result.stoppedAt !== null ? replacements.slice(0, result.stoppedAt) : replacements,
+            options: Object.assign({}, options, { onProgress: undefined, signal: undefined }),
+            totalReplacements: result.totalReplacements,
+            log: result.replacementLog,
+            before,
+            after: new Map(this.modifiedFiles)
+        });
+        this.redoStack = [];
+        return result;
+    }
+
+    // Run different rules (or the same rules with different options) in
+    // place of the last run, e.g. after editing the CSV
+    async replaceLastRun(replacements, options = {}, label = '') {
+        const last = this.history.pop();
+        if (!last) return this.runWithHistory(replacements, options, label);
+        this.modifiedFiles = new Map(last.before);
+        try {
+            return await this.runWithHistory(replacements, options, label || last.label);
+        } catch (error) {
+            this.history.push(last);
+            this.modifiedFiles = new Map(last.after);
+            throw error;
+        }
+    }
+
+    // Forget every run. Translation and XLIFF import rewrite modifiedFiles
+    // outside runWithHistory; undoing a run after them would restore a
+    // snapshot without their text, so they start a new history.
+    clearHistory() {
+        this.history = [];
+        this.redoStack = [];
+    }
+
+    undo() {
+        const entry = this.history.pop();
+        if (!entry) return null;
+        this.modifiedFiles = new Map(entry.before);
+        this.redoStack.push(entry);
+        return entry;
+    }
+
+    // Undo the last run without keeping it for redo
+    discardLastRun() {
+        const entry = this.history.pop();
+        if (entry) this.modifiedFiles = new Map(entry.before);
+        return entry || null;
+    }
+
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+        this.modifiedFiles = new Map(entry.after);
+        this.history.push(entry);
+        return entry;
+    }
+
+    // Take one rule out of an earlier run: that run is re-processed from its
+    // own starting point without the rule (kept as enabled: false so rule
+    // indexes do not move) and every later run is replayed on top of it.
+    // Returns the result of the last replayed run.
+    async undoRule(runId, ruleIndex) {
+        const index = this.history.findIndex(entry => entry.id === runId);
+        if (index === -1) throw new Error(`Run ${runId} is not in the history`);
+        const replay = this.history.splice(index);
+        const redoStack = this.redoStack;
+        this.modifiedFiles = new Map(replay[0].before);
+
+        let result = null;
+        try {
+            for (const [i, entry] of replay.entries()) {
+                const replacements = i === 0
+                    ? entry.replacements.map((rule, ri) => ri === ruleIndex ? Object.assign({}, rule, { enabled: false }) : rule)
+                    : entry.replacements;
+                result = await this.runWithHistory(replacements, entry.options, entry.label);
+            }
+        } catch (error) {
+            this.history.splice(index, this.history.length - index, ...replay);
+            this.modifiedFiles = new Map(replay[replay.length - 1].after);
+            this.redoStack = redoStack;
+            throw error;
+        }
+        return result;
+    }
+
+    // Whether a rule with these options applies to a story: its story scope
+    // and its layout scope (page, spread, layer; see
+    // IDMLLayout.storyInScope). Scoping works on whole stories, so a
+    // threaded story is in scope when any of its frames is. The layout must
+    // have been loaded (_layoutFor) for rules with a layout scope.
+    inScope(storyPath, options = {}) {
+        if (!this.storyInScope(storyPath, options.story)) return false;
+        if (!IDMLProcessor.hasLayoutScope(options)) return true;
+        return this.layout.storyInScope(storyPath, options);
+    }
+
+    static hasLayoutScope(options = {}) {
+        return !!(options.page || options.spread || options.layer);
+    }
+
+    // Loads the layout when a rule has a layout scope. Returns the Set of
+    // those rules' indexes, or null when there are none.
+    async _layoutFor(replacements, options) {
+        const scoped = new Set();
+        for (const [ruleIndex, replacement] of replacements.entries()) {
+            if (replacement && IDMLProcessor.hasLayoutScope(Object.assign({}, options, replacement.options || {}))) scoped.add(ruleIndex);
+        }
+        if (scoped.size === 0) return null;
+        await this.getLayout();
+        return scoped;
+    }
+
+    // Story scope of a rule: a comma-separated list of story file paths
+    // (Stories/Story_u1a2.xml), file names with or without .xml, or story
+    // ids (u1a2). No scope means every story.
+    storyInScope(storyPath, spec) {
+        if (!spec) return true;
+        const fileName = storyPath.split('/').pop();
+        const baseName = fileName.replace(/\.xml$/i, '');
+        const id = baseName.replace(/^Story_/, '');
+        return String(spec).split(',').map(s => s.trim()).filter(Boolean)
+            .some(wanted => [storyPath, fileName, baseName, id].includes(wanted));
+    }
+
+    // Apply a rule to one story. With a paragraphStyle scope only the
+    // ParagraphStyleRanges using that style are searched; without one this
+    // is performXMLTextReplacement(Once).
+    //
+    // options.matchFilter(ordinal, detail) makes the replacement selective:
+    // every candidate match in the story is offered in document order
+    // (ordinal 0, 1, ...) and only those it returns true for are replaced.
+    // detail is { at, matched, before, after } with `at` the XML offset of
+    // the match's Content element. Used with firstOnly = false; the result
+    // then also has replaced: [{ ordinal, inserted, ranges }], one entry per
+    // match actually written (cross-block matches can still be refused as
+    // unsafe after they were accepted).
+    //
+    // options._onlyRanges (a Set of ParagraphStyleRange indexes in document
+    // order) further limits a paragraphStyle scope to those ranges.
+    _replaceInStory(xmlContent, findText, replaceText, options, firstOnly) {
+        if (options.matchFilter) options = Object.assign({}, options, { _matchCursor: { index: 0, base: 0, at: 0, replaced: [] } });
+        const cursor = options._matchCursor;
+        const run = (xml) => firstOnly
+            ? this.performXMLTextReplacementOnce(xml, findText, replaceText, options)
+            : this.performXMLTextReplacement(xml, findText, replaceText, options);
+        if (!options.paragraphStyle) return cursor ? Object.assign(run(xmlContent), { replaced: cursor.replaced }) : run(xmlContent);
+
+        let count = 0;
+        let matchType = null;
+        const debugMatches = [];
+        // Self-closing ranges hold no text and are skipped by the lookbehind
+        const psrRegex = /<ParagraphStyleRange(\s[^>]*)?(?<!\/)>[\s\S]*?<\/ParagraphStyleRange>/g;
+        let rangeIndex = -1;
+        const newXml = xmlContent.replace(psrRegex, (match, attrs, offset) => {
+            rangeIndex++;
+            if (firstOnly && count > 0) return match;
+            if (options._onlyRanges && !options._onlyRanges.has(rangeIndex)) return match;
+            if (!this._paragraphStyleMatches(attrs || '', options.paragraphStyle)) return match;
+            if (cursor) cursor.base = offset;
+            const result = run(match);
+            if (result.count === 0) return match;
+            count += result.count;
+            debugMatches.push(...(result.debugMatches || []));
+            matchType = matchType || result.matchType;
+            return result.newXml;
+        });
+        return cursor ? { newXml, count, debugMatches, matchType, replaced: cursor.replaced } : { newXml, count, debugMatches, matchType };
+    }
+
+    // Decoded paragraphs of a story in reading order:
+    // [{ index, style, text, offset }]. A paragraph ends at a <Br/>;
+    // ParagraphStyleRanges without a trailing <Br/> still end one. index is
+    // 1-based within the story and offset is where the paragraph's first
+    // element starts in the XML.
+    storyParagraphs(xmlContent) {
+        const paragraphs = [];
+        const psrRegex = /<ParagraphStyleRange(\s[^>]*)?(?<!\/)>([\s\S]*?)<\/ParagraphStyleRange>/g;
+        const pieceRegex = /<Content(?:\s[^>]*)?>([\s\S]*?)<\/Content>|<Br\s*\/>/g;
+        const collect = (body, style, base) => {
+            let text = '';
+            let offset = null;
+            let piece;
+            pieceRegex.lastIndex = 0;
+            while ((piece = pieceRegex.exec(body)) !== null) {
+                if (offset === null) offset = base + piece.index;
+                if (piece[1] === undefined) {
+                    paragraphs.push({ index: paragraphs.length + 1, style, text, offset });
+                    text = '';
+                    offset = null;
+                } else {
+                    text += this._unescapeForXML(piece[1]);
+                }
+            }
+            if (offset !== null) paragraphs.push({ index: paragraphs.length + 1, style, text, offset });
+        };
+
+        let psr;
+        let found = false;
+        while ((psr = psrRegex.exec(xmlContent)) !== null) {
+            found = true;
+            const applied = (psr[1] || '').match(/\bAppliedParagraphStyle="([^"]*)"/);
+            const style = applied ? applied[1].replace(/%3a/gi, ':').replace(/^ParagraphStyle\//, '') : '';
+            collect(psr[2], style, psr.index + psr[0].indexOf('>') + 1);
+        }
+        if (!found) collect(xmlContent, '', 0);
+        return paragraphs;
+    }
+
+    // The paragraph (from storyParagraphs) containing an XML offset
+    _paragraphAt(paragraphs, offset) {
+        let found = null;
+        for (const paragraph of paragraphs) {
+            if (paragraph.offset > offset) break;
+            found = paragraph;
+        }
+        return found;
+    }
+
+    // Compare a ParagraphStyleRange's AppliedParagraphStyle with a style
+    // name from a rule. "Body", "ParagraphStyle/Body" and, for styles in a
+    // group, the bare style name all match.
+    _paragraphStyleMatches(attrs, wanted) {
+        const applied = attrs.match(/\bAppliedParagraphStyle="([^"]*)"/);
+        if (!applied) return false;
+        const name = applied[1].replace(/%3a/gi, ':').replace(/^ParagraphStyle\//, '');
+        const want = String(wanted).trim().replace(/^ParagraphStyle\//, '');
+        return name === want || name.split(':').pop() === want;
+    }
+
     performXMLTextReplacement(xmlContent, findText, replaceText, options) {
         let count = 0;
         let newXml = xmlContent;
+        const cursor = options._matchCursor;
+        const offered = cursor ? cursor.index : 0;
 
         // IDML stores text content in <Content> tags within story files
-        // We need to be careful to only replace text content, not XML tags or attributes
+        // We need to be careful to only replace text content, not XML tags or attributes.
+        // Every <Content> (including those inside CharacterStyleRanges) is
+        // visited exactly once; a second pass would re-match text that the
+        // first one inserted.
         
         const contentRegex = /<Content[^>]*>(.*?)<\/Content>/gs;
 
         
-        newXml = newXml.replace(contentRegex, (match, contentText) => {
+        newXml = newXml.replace(contentRegex, (match, contentText, offset) => {
+            if (cursor) cursor.at = cursor.base + offset;
             const { newText, replacementCount } = this.replaceTextContent(
                 contentText, 
                 findText, 
@@ -349,35 +981,17 @@ class IDMLProcessor {
             return match.replace(contentText, newText);
         });
 
-        // Also check text in CharacterStyleRange elements
-        const charStyleRegex = /<CharacterStyleRange[^>]*>(.*?)<\/CharacterStyleRange>/gs;
-        
-        newXml = newXml.replace(charStyleRegex, (match, charContent) => {
-            // Look for Content tags within CharacterStyleRange
-            const updatedCharContent = charContent.replace(contentRegex, (contentMatch, contentText) => {
-                const { newText, replacementCount } = this.replaceTextContent(
-                    contentText, 
-                    findText, 
-                    replaceText, 
-                    options
-                );
-                
-                count += replacementCount;
-                return contentMatch.replace(contentText, newText);
-            });
-            
-            return match.replace(charContent, updatedCharContent);
-        });
-
         // If no replacements were found inside individual Content blocks,
         // attempt a pragmatic cross-block replacement fallback: try to match
         // the findText across adjacent <Content> blocks (useful for
         // multi-paragraph/heading spans). This inserts the replacement into
         // the first matched block and clears the consumed text from subsequent
         // blocks to avoid touching XML tags.
+        // With a match filter, candidates that were offered and rejected must
+        // not be picked up again by the fallback
         let debugMatches = [];
         let matchType = null;
-        if (count === 0) {
+        if (count === 0 && (!cursor || cursor.index === offered)) {
             const crossResult = this._replaceAcrossContentBlocks(xmlContent, findText, replaceText, options, /* firstOnly */ false);
             if (crossResult.count > 0) {
                 newXml = crossResult.newXml;
@@ -492,52 +1106,7 @@ class IDMLProcessor {
     _normalizedReplace(originalText, findText, replaceText, options = {}, firstOnly = false) {
         const opts = Object.assign({ caseSensitive: false, wholeWords: false }, options || {});
 
-        // Unescape common XML entities and build mapping from unescaped indices
-        // back to original string indices. This handles cases where XML stores
-        // '&' as '&amp;' etc.
-        const unescapeWithMap = (str) => {
-            const out = [];
-            const mapUnesc = [];
-            let i = 0;
-            while (i < str.length) {
-                if (str[i] === '&') {
-                    const rest = str.slice(i);
-                    if (rest.startsWith('&amp;')) { out.push('&'); mapUnesc.push(i); i += 5; continue; }
-                    if (rest.startsWith('&lt;')) { out.push('<'); mapUnesc.push(i); i += 4; continue; }
-                    if (rest.startsWith('&gt;')) { out.push('>'); mapUnesc.push(i); i += 4; continue; }
-                    if (rest.startsWith('&quot;')) { out.push('"'); mapUnesc.push(i); i += 6; continue; }
-                    if (rest.startsWith('&apos;')) { out.push('\''); mapUnesc.push(i); i += 6; continue; }
-                }
-                out.push(str[i]); mapUnesc.push(i); i++;
-            }
-            return { unescaped: out.join(''), mapUnesc };
-        };
-
-        const { unescaped, mapUnesc } = unescapeWithMap(originalText);
-
-        // Build normalized text and mapping from normalized indices back to
-        // unescaped indices.
-        const buildNormalized = (str) => {
-            const normChars = [];
-            const map = []; // map[normIndex] = sourceIndex (in unescaped string)
-            let i = 0;
-            while (i < str.length) {
-                const ch = str[i];
-                if (/[\s\u00A0]/.test(ch)) {
-                    let j = i; while (j < str.length && /[\s\u00A0]/.test(str[j])) j++;
-                    normChars.push(' ');
-                    map.push(i);
-                    i = j;
-                } else {
-                    normChars.push(ch);
-                    map.push(i);
-                    i++;
-                }
-            }
-            return { norm: normChars.join(''), map };
-        };
-
-        const { norm: normUnesc, map: mapNormToUnesc } = buildNormalized(unescaped);
+        const { unescaped, mapUnesc, norm: normUnesc, mapNormToUnesc } = this._normalizeWithMap(originalText);
         const normFind = findText.replace(/[\s\u00A0]+/g, ' ').trim();
 
         let searchOrig = normUnesc;
@@ -548,7 +1117,12 @@ class IDMLProcessor {
         }
 
         const matches = [];
-        if (opts.wholeWords) {
+        if (opts.regex) {
+            // Regex rules run against the same normalized, unescaped text so
+            // the index mapping below still applies. Each match carries its
+            // own expanded replacement (capture-group backreferences).
+            matches.push(...RegexRules.findAll(normUnesc, findText, replaceText, opts, firstOnly));
+        } else if (opts.wholeWords) {
             // Manual search with boundary checks so we handle word-boundary
             // behavior reliably on the normalized string (covers ASCII word chars).
             const execSource = opts.caseSensitive ? normUnesc : normUnesc.toLowerCase();
@@ -574,6 +1148,16 @@ class IDMLProcessor {
             }
         }
 
+        // Selective replacement (see _replaceInStory): offer each candidate
+        const cursor = opts._matchCursor;
+        if (cursor) {
+            const offered = matches.splice(0, matches.length);
+            for (const m of offered) {
+                const ordinal = cursor.index++;
+                if (opts.matchFilter(ordinal, this._matchDetail(normUnesc, m, cursor.at))) matches.push(Object.assign(m, { ordinal }));
+            }
+        }
+
         if (matches.length === 0) return { newText: originalText, replacementCount: 0, debugMatches: [] };
 
         // Map normalized matches back to original indices using two-step mapping:
@@ -591,17 +1175,85 @@ class IDMLProcessor {
             const matchedUnescaped = unescaped.slice(unescStartIndex, unescEndIndex);
             debugMatches.push({ normStart: m.start, normEnd: m.end, unescStartIndex, unescEndIndex, origStart, origEnd, matchedUnescaped });
 
-            newText = newText.slice(0, origStart) + replaceText + newText.slice(origEnd);
+            const insertText = (typeof m.replacement === 'string') ? m.replacement : replaceText;
+            // Masked inserts are escaped when they are put back (_unmaskRun)
+            newText = newText.slice(0, origStart) + (opts.maskInsert ? opts.maskInsert(insertText) : this._escapeForXML(insertText)) + newText.slice(origEnd);
+            if (cursor) cursor.replaced.push({ ordinal: m.ordinal, inserted: insertText, ranges: [] });
             total++;
         }
 
         return { newText, replacementCount: total, debugMatches };
     }
 
+    // Unescaped, whitespace-collapsed copy of a Content element's text with
+    // index maps back to the source: mapNormToUnesc[i] is the unescaped
+    // index of norm[i] and mapUnesc[j] the source index of unescaped[j].
+    _normalizeWithMap(originalText) {
+        // Unescape common XML entities and build mapping from unescaped indices
+        // back to original string indices. This handles cases where XML stores
+        // '&' as '&amp;' etc.
+        const unescapeWithMap = (str) => {
+            const out = [];
+            const mapUnesc = [];
+            let i = 0;
+            while (i < str.length) {
+                if (str[i] === '&') {
+                    const rest = str.slice(i);
+                    if (rest.startsWith('&amp;')) { out.push('&'); mapUnesc.push(i); i += 5; continue; }
+                    if (rest.startsWith('&lt;')) { out.push('<'); mapUnesc.push(i); i += 4; continue; }
+                    if (rest.startsWith('&gt;')) { out.push('>'); mapUnesc.push(i); i += 4; continue; }
+                    if (rest.startsWith('&quot;')) { out.push('"'); mapUnesc.push(i); i += 6; continue; }
+                    if (rest.startsWith('&apos;')) { out.push('\''); mapUnesc.push(i); i += 6; continue; }
+                }
+                out.push(str[i]); mapUnesc.push(i); i++;
+            }
+            return { unescaped: out.join(''), mapUnesc };
+        };
+
+        const { unescaped, mapUnesc } = unescapeWithMap(originalText);
+
+        // Build normalized text and mapping from normalized indices back to
+        // unescaped indices.
+        const buildNormalized = (str) => {
+            const normChars = [];
+            const map = []; // map[normIndex] = sourceIndex (in unescaped string)
+            let i = 0;
+            while (i < str.length) {
+                const ch = str[i];
+                if (/[\s\u00A0]/.test(ch)) {
+                    let j = i; while (j < str.length && /[\s\u00A0]/.test(str[j])) j++;
+                    normChars.push(' ');
+                    map.push(i);
+                    i = j;
+                } else {
+                    normChars.push(ch);
+                    map.push(i);
+                    i++;
+                }
+            }
+            return { norm: normChars.join(''), map };
+        };
+
+        const { norm: normUnesc, map: mapNormToUnesc } = buildNormalized(unescaped);
+        return { unescaped, mapUnesc, norm: normUnesc, mapNormToUnesc };
+    }
+
     // Attempt to find and replace findText that spans across multiple adjacent
     // <Content> blocks in a story XML. This is a pragmatic fallback that
     // writes the replacement into the first involved block and clears the
     // consumed ranges from subsequent blocks to avoid touching XML tags.
+    //
+    // options.crossBlockStyle selects how the replacement is laid out when
+    // the match crosses CharacterStyleRange boundaries:
+    //   'collapse'     (default) merge adjacent Content blocks into one; only
+    //                  allowed when nothing but <Content> sits between them
+    //   'proportional' split the replacement by each range's share of the
+    //                  matched characters
+    //   'words'        split the replacement by each range's share of the
+    //                  matched words, keeping whole words together
+    //   'first'/'last' put the whole replacement in the first/last range
+    // options.inheritStyle (a character style name such as 'Bold') puts the
+    // whole replacement in the range whose AppliedCharacterStyle contains it.
     _replaceAcrossContentBlocks(xmlContent, findText, replaceText, options = {}, firstOnly = false) {
         const contentRegex = /<Content[^>]*>(.*?)<\/Content>/gs;
         const blocks = [];
@@ -683,7 +1335,11 @@ class IDMLProcessor {
         if (!options.caseSensitive) { searchSource = normCombined.toLowerCase(); searchTerm = normFind.toLowerCase(); }
 
         const matches = [];
-        if (options.wholeWords) {
+        if (options.regex) {
+            // Regex rules see the blocks joined by a single space, exactly like
+            // literal finds do, so a pattern can span style ranges.
+            matches.push(...RegexRules.findAll(normCombined, findText, replaceText, options, firstOnly));
+        } else if (options.wholeWords) {
             // Manual boundary-aware search on the normalized combined string.
             const execSource = options.caseSensitive ? searchSource : searchSource.toLowerCase();
             const term = options.caseSensitive ? searchTerm : searchTerm.toLowerCase();
@@ -711,12 +1367,24 @@ class IDMLProcessor {
             }
         }
 
+        const cursor = options._matchCursor;
+        if (cursor) {
+            const offered = matches.splice(0, matches.length);
+            for (const match of offered) {
+                const entry = normMap[match.start];
+                const at = cursor.base + (entry ? blocks[entry.blockIndex].fullStart : 0);
+                const ordinal = cursor.index++;
+                if (options.matchFilter(ordinal, this._matchDetail(normCombined, match, at))) matches.push(Object.assign(match, { ordinal }));
+            }
+        }
+
         if (matches.length === 0) return { newXml: xmlContent, count: 0, debugMatches: [] };
 
         // For each match (or only first), map back to blocks and perform replacements
         let newXml = xmlContent;
         let total = 0;
         const debugMatches = [];
+        let csrRanges = null; // built lazily for the replacement log
         for (let mi = matches.length - 1; mi >= 0; mi--) {
             const match = matches[mi];
             const startMapEntry = normMap[match.start];
@@ -726,7 +1394,7 @@ class IDMLProcessor {
             const startBlock = startMapEntry.blockIndex;
             const startInner = startMapEntry.innerIndex;
             const endBlock = endMapEntry.blockIndex;
-            const endInner = endMapEntry.innerIndex + 1; // exclusive
+            const endInner = this._entityEnd(blocks[endBlock].inner, endMapEntry.innerIndex); // exclusive
 
             // Safety check: verify that the matched text doesn't extend beyond
             // the boundaries of Content blocks into XML structure. Also ensure
@@ -752,10 +1420,40 @@ class IDMLProcessor {
                     continue;
                 }
             }
-            
+
+            // Regex matches carry their own expanded replacement
+            const insertText = (typeof match.replacement === 'string') ? match.replacement : replaceText;
+
+            // Style-preserving modes leave every <Content> element (and the
+            // CharacterStyleRange around it) in place and only rewrite the
+            // consumed text inside each one.
+            let styleMode = options.inheritStyle ? 'inherit' : (options.crossBlockStyle || 'collapse');
+            if (styleMode === 'collapse' && startBlock !== endBlock
+                && !/^(?:\s*<Content[^>]*>(?:(?!<\/Content>)[\s\S])*<\/Content>\s*)+$/.test(xmlContent.slice(blocks[startBlock].fullStart, blocks[endBlock].fullEnd))) {
+                // Collapsing would delete the style range tags in between.
+                // Keep them and put the text in the first range instead.
+                styleMode = 'first';
+            }
+            if (styleMode !== 'collapse' && startBlock !== endBlock) {
+                if (!csrRanges) csrRanges = this._mapCharacterStyleRanges(xmlContent);
+                const spread = this._spreadAcrossBlocks(newXml, xmlContent, blocks, normCombined, normMap, match,
+                    { startBlock, startInner, endBlock, endInner }, insertText, styleMode, options.inheritStyle, csrRanges, options.maskInsert);
+                if (!spread) continue;
+                newXml = spread.newXml;
+                debugMatches.push({
+                    normStart: match.start, normEnd: match.end, startBlock, endBlock, startInner, endInner,
+                    matched: normCombined.slice(match.start, match.end),
+                    styleMode, ranges: spread.ranges
+                });
+                if (cursor) cursor.replaced.push({ ordinal: match.ordinal, inserted: insertText, ranges: spread.ranges });
+                total++;
+                if (firstOnly) break;
+                continue;
+            }
+
             try {
                 const between = xmlContent.slice(blocks[startBlock].fullStart, blocks[endBlock].fullEnd);
-                const onlyContentsRe = /^(?:\s*<Content[^>]*>[\s\S]*?<\/Content>\s*)+$/;
+                const onlyContentsRe = /^(?:\s*<Content[^>]*>(?:(?!<\/Content>)[\s\S])*<\/Content>\s*)+$/;
                 if (!onlyContentsRe.test(between)) {
                     // Not safe to collapse; skip this match to avoid corrupting XML
                     console.warn('Skipping cross-block collapse: intervening XML contains non-Content tags (unsafe).');
@@ -788,10 +1486,8 @@ class IDMLProcessor {
                 console.warn('Error unescaping post-text, skipping this replacement:', e);
                 continue;
             }
-            
-            // Ensure replaceText is also properly escaped for XML
-            const escapedReplace = this._escapeForXML(replaceText);
-            const newStartInner = preUnesc + replaceText + postUnesc;
+
+            const newStartInner = preUnesc + (options.maskInsert ? options.maskInsert(insertText) : insertText) + postUnesc;
 
             // Safe to collapse the consecutive <Content> elements: replace the
             // entire region from the start of the first Content full element
@@ -820,12 +1516,24 @@ class IDMLProcessor {
             newXml = candidateXml;
 
             // record debug info about this cross-block match
+            let changedRanges = [];
             try {
                 const matched = normCombined.slice(match.start, match.end);
-                debugMatches.push({ normStart: match.start, normEnd: match.end, startBlock, endBlock, startInner, endInner, matched });
+                if (!csrRanges) csrRanges = this._mapCharacterStyleRanges(xmlContent);
+                const range = this._findEnclosingRange(csrRanges, blocks[startBlock].fullStart);
+                const ranges = [{
+                    block: startBlock,
+                    rangeIndex: range ? range.index : null,
+                    characterStyle: range ? range.appliedStyle : null,
+                    before: matched,
+                    after: insertText
+                }];
+                debugMatches.push({ normStart: match.start, normEnd: match.end, startBlock, endBlock, startInner, endInner, matched, styleMode, ranges });
+                changedRanges = ranges;
             } catch (e) {
                 // ignore
             }
+            if (cursor) cursor.replaced.push({ ordinal: match.ordinal, inserted: insertText, ranges: changedRanges });
 
             total++;
             if (firstOnly) break;
@@ -834,9 +1542,248 @@ class IDMLProcessor {
         return { newXml, count: total, debugMatches };
     }
 
-    // Escape text for safe insertion back into XML Content elements
+    // Write one replacement across several Content blocks without merging
+    // them, so each CharacterStyleRange keeps its formatting. Returns
+    // { newXml, ranges } or null when the span is not safe to edit.
+    _spreadAcrossBlocks(newXml, xmlContent, blocks, normCombined, normMap, match, span, replacement, styleMode, inheritStyle, csrRanges, maskInsert) {
+        const { startBlock, startInner, endBlock, endInner } = span;
+
+        // Only Content text is rewritten, so intervening style ranges and line
+        // breaks are left untouched. Refuse to span embedded objects though —
+        // a match that runs into a table or anchored frame is almost never
+        // what the rule meant.
+        const between = xmlContent.slice(blocks[startBlock].fullEnd, blocks[endBlock].fullStart);
+        if (/<(Table|Cell|TextFrame|Rectangle|Oval|Polygon|GraphicLine|Group|Footnote|Note)\b/.test(between)) {
+            console.warn('Skipping style-preserving cross-block replacement: match spans an embedded object.');
+            return null;
+        }
+
+        // Consumed [from, to) inner offsets per involved block, weighted by
+        // the characters and word starts each block contributes to the match.
+        const parts = [];
+        for (let bi = startBlock; bi <= endBlock; bi++) {
+            const from = bi === startBlock ? startInner : 0;
+            const to = bi === endBlock ? endInner : blocks[bi].inner.length;
+            parts.push({ blockIndex: bi, from, to, chars: 0, words: 0 });
+        }
+        for (let p = match.start; p < match.end; p++) {
+            const entry = normMap[p];
+            if (!entry || normCombined[p] === ' ') continue;
+            const part = parts[entry.blockIndex - startBlock];
+            if (!part) continue;
+            part.chars++;
+            if (p === match.start || normCombined[p - 1] === ' ') part.words++;
+        }
+
+        const pieces = parts.map(() => '');
+        if (styleMode === 'proportional' || styleMode === 'words') {
+            const key = styleMode === 'words' ? 'words' : 'chars';
+            const totalWeight = parts.reduce((sum, part) => sum + part[key], 0);
+            // Word mode hands out whole tokens (a word plus its trailing
+            // whitespace); proportional mode hands out characters.
+            const leading = styleMode === 'words' ? (replacement.match(/^\s*/) || [''])[0] : '';
+            const units = styleMode === 'words' ? (replacement.slice(leading.length).match(/\S+\s*/g) || []) : Array.from(replacement);
+            let cumulative = 0;
+            let taken = 0;
+            for (let k = 0; k < parts.length; k++) {
+                cumulative += parts[k][key];
+                let cut;
+                if (k === parts.length - 1) cut = units.length;
+                else if (totalWeight === 0) cut = k === 0 ? units.length : taken;
+                else cut = Math.round(units.length * cumulative / totalWeight);
+                pieces[k] = units.slice(taken, Math.max(taken, cut)).join('');
+                taken = Math.max(taken, cut);
+            }
+            pieces[0] = leading + pieces[0];
+        } else {
+            let target = styleMode === 'last' ? parts.length - 1 : 0;
+            if (styleMode === 'inherit') {
+                const wanted = String(inheritStyle).toLowerCase();
+                const found = parts.findIndex(part => {
+                    const range = this._findEnclosingRange(csrRanges, blocks[part.blockIndex].fullStart);
+                    return range && range.appliedStyle && range.appliedStyle.toLowerCase().includes(wanted);
+                });
+                if (found === -1) {
+                    console.warn(`No matched range uses character style '${inheritStyle}'; using the first range.`);
+                } else {
+                    target = found;
+                }
+            }
+            pieces[target] = replacement;
+        }
+
+        // Apply from the last block backwards so earlier offsets stay valid
+        let out = newXml;
+        const ranges = [];
+        for (let k = parts.length - 1; k >= 0; k--) {
+            const part = parts[k];
+            const b = blocks[part.blockIndex];
+            const before = this._unescapeForXML(b.inner.slice(part.from, part.to));
+            const written = maskInsert && pieces[k] ? maskInsert(pieces[k]) : pieces[k];
+            out = out.slice(0, b.innerStart + part.from) + this._escapeForXML(written) + out.slice(b.innerStart + part.to);
+            if (before !== pieces[k]) {
+                const range = this._findEnclosingRange(csrRanges, b.fullStart);
+                ranges.unshift({
+                    block: part.blockIndex,
+                    rangeIndex: range ? range.index : null,
+                    characterStyle: range ? range.appliedStyle : null,
+                    before,
+                    after: pieces[k]
+                });
+            }
+        }
+
+        return { newXml: out, ranges };
+    }
+
+    // List every CharacterStyleRange in a story with its source span and
+    // AppliedCharacterStyle, in document order.
+    _mapCharacterStyleRanges(xmlContent) {
+        const ranges = [];
+        const stack = [];
+        const tagRe = /<(\/?)CharacterStyleRange\b([^>]*?)(\/?)>/g;
+        let m;
+        while ((m = tagRe.exec(xmlContent)) !== null) {
+            if (m[1]) {
+                const open = stack.pop();
+                if (open) open.end = m.index + m[0].length;
+                continue;
+            }
+            const styleMatch = /AppliedCharacterStyle="([^"]*)"/.exec(m[2]);
+            const range = {
+                index: ranges.length,
+                start: m.index,
+                end: m.index + m[0].length,
+                appliedStyle: styleMatch ? styleMatch[1] : null
+            };
+            ranges.push(range);
+            if (!m[3]) stack.push(range);
+        }
+        return ranges;
+    }
+
+    // Innermost CharacterStyleRange containing a source offset, or null
+    _findEnclosingRange(ranges, offset) {
+        let best = null;
+        for (const range of ranges || []) {
+            if (range.start <= offset && offset < range.end) best = range;
+        }
+        return best;
+    }
+
+    // Exclusive end offset for the character at index i, stepping over a
+    // whole XML entity so a match never stops halfway through '&amp;'.
+    _entityEnd(str, i) {
+        if (str[i] === '&') {
+            const semi = str.indexOf(';', i);
+            if (semi !== -1 && semi - i <= 6) return semi + 1;
+        }
+        return i + 1;
+    }
+
+    // Apply a rule to one story match by match: every candidate is offered
+    // to accept(ordinal) (see _replaceInStory). Returns the _replaceInStory
+    // result plus offered, the number of candidates, and changes:
+    // [{ ordinal, detail, inserted, ranges }] for the matches written, in
+    // document order.
+    _replaceMatches(xmlContent, findText, replaceText, options, accept) {
+        const details = new Map();
+        let offered = 0;
+        const matchFilter = (ordinal, detail) => {
+            offered++;
+            if (!accept(ordinal)) return false;
+            details.set(ordinal, detail);
+            return true;
+        };
+        const result = this._replaceInStory(xmlContent, findText, replaceText, Object.assign({}, options, { matchFilter }), /* firstOnly */ false);
+        result.offered = offered;
+        result.changes = result.replaced
+            .map(change => Object.assign({ detail: details.get(change.ordinal) }, change))
+            .sort((a, b) => a.ordinal - b.ordinal);
+        return result;
+    }
+
+    // Log entry for one replaced match (a change from _replaceMatches). Its
+    // context is the match with up to 60 characters either side, before and
+    // after the change, and the paragraph it is in.
+    _matchEntry(ruleIndex, replacement, storyPath, paragraphs, change, debug) {
+        const { detail } = change;
+        const paragraph = this._paragraphAt(paragraphs, detail.at);
+        const lead = (detail.before.length >= 60 ? '…' : '') + detail.before;
+        const tail = detail.after + (detail.after.length >= 60 ? '…' : '');
+        const before = lead + detail.matched + tail;
+        const after = lead + change.inserted + tail;
+        return {
+            changeId: this.matchId(ruleIndex, storyPath, change.ordinal),
+            ruleIndex,
+            file: storyPath,
+            original: replacement.find,
+            replacement: replacement.replace,
+            count: 1,
+            changedRanges: change.ranges || [],
+            context: [{
+                paragraph: paragraph ? paragraph.index : null,
+                style: paragraph ? paragraph.style : '',
+                before,
+                after,
+                diff: typeof TextDiff !== 'undefined' ? TextDiff.words(before, after) : []
+            }],
+            debug
+        };
+    }
+
+    // What a match filter is shown for one candidate: the matched text and
+    // up to `contextLen` characters either side of it
+    _matchDetail(text, match, at, contextLen = 60) {
+        return {
+            at,
+            matched: text.slice(match.start, match.end),
+            before: text.slice(Math.max(0, match.start - contextLen), match.start),
+            after: text.slice(match.end, match.end + contextLen)
+        };
+    }
+
+    // Simultaneous mode placeholders: \uE000, the insert's number in
+    // private-use "digits" \uE010-\uE01F, \uE001. No rule can match inside
+    // one because it holds no letters, digits or spaces.
+    _maskInsert(inserts, text) {
+        const digits = (inserts.push(text) - 1).toString(16).split('')
+            .map(d => String.fromCharCode(0xE010 + parseInt(d, 16))).join('');
+        return `\uE000${digits}\uE001`;
+    }
+
+    _unmaskText(text, inserts, escape = false) {
+        return String(text).replace(/\uE000([\uE010-\uE01F]+)\uE001/g, (token, digits) => {
+            const n = parseInt(Array.from(digits).map(d => (d.charCodeAt(0) - 0xE010).toString(16)).join(''), 16);
+            const value = inserts[n] === undefined ? '' : inserts[n];
+            return escape ? this._escapeForXML(value) : value;
+        });
+    }
+
+    // Put the real replacement text in place of the placeholders once every
+    // rule has run: in the modified stories (escaped) and in the log
+    _unmaskRun(inserts, replacementLog) {
+        for (const [storyPath, xml] of this.modifiedFiles) {
+            if (xml.includes('\uE000')) this.modifiedFiles.set(storyPath, this._unmaskText(xml, inserts, true));
+        }
+        for (const entry of replacementLog) {
+            for (const ctx of entry.context || []) {
+                ctx.before = this._unmaskText(ctx.before, inserts);
+                ctx.after = this._unmaskText(ctx.after, inserts);
+                ctx.diff = typeof TextDiff !== 'undefined' ? TextDiff.words(ctx.before, ctx.after) : [];
+            }
+            for (const range of entry.changedRanges || []) {
+                range.before = this._unmaskText(range.before, inserts);
+                range.after = this._unmaskText(range.after, inserts);
+            }
+        }
+    }
+
+    // Escape text for safe insertion back into XML Content elements.
+    // Characters XML 1.0 forbids (a vertical tab pasted from Word, say) are
+    // dropped, as no escape can represent them.
     _escapeForXML(text) {
-        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+        return text.replace(/[^\t\n\r\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
     }
 
     // Unescape common XML entities to their character equivalents
@@ -868,6 +1815,7 @@ class IDMLProcessor {
     }
 
     async createModifiedIDML() {
+        if (this.remote) return this.remote.run(this, 'package');
         // Create a new ZIP file with all original files plus modifications
         const newZip = new JSZip();
         // Before packaging, validate that any modified XML files are
@@ -875,20 +1823,14 @@ class IDMLProcessor {
         // tags that InDesign cannot open. If validation fails we throw
         // a descriptive error including the offending file path.
         try {
-            const parser = new DOMParser();
             for (const [path, content] of this.modifiedFiles) {
                 // Only validate XML files (skip binaries like images)
                 if (!path.toLowerCase().endsWith('.xml')) continue;
-                try {
-                    const doc = parser.parseFromString(content, 'text/xml');
-                    const parsererror = doc.getElementsByTagName('parsererror');
-                    if (parsererror && parsererror.length > 0) {
-                        // Extract a short snippet for debugging
-                        const snippet = content.slice(0, 800);
-                        throw new Error(`XML parse error in modified file '${path}'. Snippet: ${snippet}`);
-                    }
-                } catch (e) {
-                    throw new Error(`Validation failed for modified XML file '${path}': ${e.message}`);
+                const xmlError = this._checkXML(content);
+                if (xmlError) {
+                    // Extract a short snippet for debugging
+                    const snippet = content.slice(0, 800);
+                    throw new Error(`Validation failed for modified XML file '${path}': ${xmlError}. Snippet: ${snippet}`);
                 }
             }
         } catch (validationErr) {
@@ -924,6 +1866,51 @@ class IDMLProcessor {
         });
     }
 
+    // Well-formedness check for a modified XML file. Returns an error message
+    // or null. Uses the browser's DOMParser where there is one and the
+    // pure-JS XMLChecker elsewhere (Node CLI, the processing worker).
+    _checkXML(xml) {
+        if (typeof DOMParser !== 'undefined') {
+            try {
+                const doc = new DOMParser().parseFromString(xml, 'text/xml');
+                const parsererror = doc.getElementsByTagName('parsererror');
+                if (parsererror && parsererror.length > 0) {
+                    return parsererror[0].textContent || 'XML parse error';
+                }
+                return null;
+            } catch (e) {
+                return e.message;
+            }
+        }
+        const result = XMLChecker.check(xml);
+        return result.ok ? null : result.error;
+    }
+
+    // Cancellation point of the processing loops: true once signal is
+    // aborted. Gives the event loop a turn every 50 ms or so, so that a
+    // Cancel click (or a worker's cancel message) gets through a long run.
+    async _cancelRequested(signal) {
+        if (!signal) return false;
+        if (!this._lastYield || Date.now() - this._lastYield > 50) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+            this._lastYield = Date.now();
+        }
+        return signal.aborted;
+    }
+
+    // Wraps an onProgress(percent, message) callback so it only hears whole
+    // percentages that move forward; a worker posts each one to the page
+    _progressReporter(onProgress) {
+        if (typeof onProgress !== 'function') return () => {};
+        let last = -1;
+        return (percent, message) => {
+            const rounded = Math.min(100, Math.floor(percent));
+            if (rounded <= last) return;
+            last = rounded;
+            onProgress(rounded, message);
+        };
+    }
+
     escapeRegExp(string) {
         return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
     }
@@ -959,12 +1946,6 @@ class IDMLProcessor {
                 throw new Error('designmap.xml not found');
             }
 
-            const designmapContent = await designmapFile.async('text');
-            
-            // Parse basic info from designmap
-            const parser = new DOMParser();
-            const xmlDoc = parser.parseFromString(designmapContent, 'text/xml');
-            
             const info = {
                 storyCount: this.storyFiles.length,
                 hasDesignmap: true,
@@ -983,10 +1964,68 @@ class IDMLProcessor {
         }
     }
 
+    // Pages, spreads and text frames of the loaded document (see
+    // js/idml-layout.js)
+    async getLayout() {
+        if (!this.idmlZip) throw new Error('No IDML loaded');
+        if (!this.layout) this.layout = await IDMLLayout.load(this.idmlZip);
+        return this.layout;
+    }
+
+    // Stories whose text grew by more than threshold (0.1 = 10%) through the
+    // changes in modifiedFiles, as a rough warning of overset text: the
+    // frames a story flows through do not grow with it. Text length is the
+    // decoded paragraph text; real fit depends on fonts and styles, which
+    // are not considered.
+    // Returns { threshold, checked, stories: [{ story, before, after,
+    // ratio, frames: [{ id, spread, page, width, height, columns,
+    // location }] }] }, largest growth first. ratio is null for a story
+    // that had no text.
+    async expansionReport({ threshold = 0.1 } = {}) {
+        const layout = await this.getLayout();
+        const textLength = xml => this.storyParagraphs(xml).reduce((sum, paragraph) => sum + paragraph.text.length, 0);
+        const stories = [];
+        let checked = 0;
+        for (const [storyPath, xml] of this.modifiedFiles) {
+            const original = this.storyFiles.includes(storyPath) && this.idmlZip.file(storyPath);
+            if (!original) continue;
+            checked++;
+            const before = textLength(await original.async('text'));
+            const after = textLength(xml);
+            const ratio = before ? after / before : null;
+            if (ratio === null ? after === 0 : ratio <= 1 + threshold) continue;
+            stories.push({
+                story: storyPath,
+                before,
+                after,
+                ratio,
+                frames: layout.framesForStory(storyPath).map(frame => ({
+                    id: frame.id,
+                    spread: frame.spread,
+                    page: frame.page ? frame.page.name : null,
+                    width: Math.round(frame.width),
+                    height: Math.round(frame.height),
+                    columns: frame.columns,
+                    location: layout.describeFrame(frame)
+                }))
+            });
+        }
+        stories.sort((a, b) => (b.ratio === null ? Infinity : b.ratio) - (a.ratio === null ? Infinity : a.ratio));
+        return { threshold, checked, stories };
+    }
+
     // Extract all textual content lines from story files (for export/preview)
     async getAllTextLines() {
+        const entries = await this.getAllTextEntries();
+        return entries.map(entry => entry.text);
+    }
+
+    // Same as getAllTextLines but keeps the story each line came from:
+    // returns [{ text, story }] in document order. Text is entity-decoded so
+    // an exported line can be pasted straight back into a `current` column.
+    async getAllTextEntries() {
         if (!this.idmlZip) throw new Error('No IDML loaded');
-        const lines = [];
+        const entries = [];
         const contentRegex = /<Content[^>]*>(.*?)<\/Content>/gs;
         for (const storyPath of this.storyFiles) {
             const storyFile = this.idmlZip.file(storyPath);
@@ -994,46 +2033,95 @@ class IDMLProcessor {
             const xmlContent = await storyFile.async('text');
             let match;
             while ((match = contentRegex.exec(xmlContent)) !== null) {
-                const txt = match[1].replace(/\s+/g, ' ').trim();
-                if (txt) lines.push(txt);
+                const txt = this._unescapeForXML(match[1]).replace(/\s+/g, ' ').trim();
+                if (txt) entries.push({ text: txt, story: storyPath });
             }
         }
-        return lines;
+        return entries;
     }
 
-    // Non-destructive pre-scan: report candidate matches across story files
-    // for the provided replacements. This does NOT modify any files and is
-    // intended for diagnostics (returns an array of match entries).
+    // Id of one occurrence of a rule: "<rule index>|<story path>|<ordinal>"
+    // where ordinal counts the rule's candidate matches in that story
+    matchId(ruleIndex, storyPath, ordinal) {
+        return `${ruleIndex}|${storyPath}|${ordinal}`;
+    }
+
+    // Non-destructive match inventory: every occurrence of every rule, in
+    // rule order and document order, for approving matches one by one.
+    // Returns [{ matchId, ruleIndex, ordinal, file, paragraph, style,
+    // original, replacement, matched, before, after, approved }] where
+    // `approved` is what a normal run would replace (every match for
+    // replaceAll rules, otherwise the rule's first match). Pass the ids of
+    // the approved entries to processReplacements as options.approvedMatches.
+    // Matches of rules with a page, spread or layer scope also have a
+    // location naming the story's frames.
+    //
+    // Rules are scanned against the text earlier rules leave behind with
+    // their default selection, as processReplacements will see it. When one
+    // rule's replacement creates or removes another rule's matches, changing
+    // the earlier rule's approvals can shift the later ids; scan again then.
     async preScanMatches(replacements, options = {}) {
+        if (this.remote) return this.remote.run(this, 'scan', replacements, options);
         if (!this.idmlZip) throw new Error('No IDML loaded');
         const results = [];
-
-        for (const replacement of replacements) {
-            if (!replacement || !replacement.find) continue;
+        const stories = new Map(this.modifiedFiles);
+        // A single pass matches the original text, as simultaneous mode does
+        const inserts = options.simultaneous || options.singlePass ? [] : null;
+        const progress = this._progressReporter(options.onProgress);
+        const scoped = await this._layoutFor(replacements, options);
+
+        for (const [ruleIndex, replacement] of replacements.entries()) {
+            progress(ruleIndex / replacements.length * 100, `Scanning rule ${ruleIndex + 1} of ${replacements.length}...`);
+            if (!replacement || !replacement.find || !replacement.replace || replacement.enabled === false) continue;
             const repOptions = Object.assign({}, options, replacement.options || {});
+            if (inserts) repOptions.maskInsert = (text) => this._maskInsert(inserts, text);
+            let approvedOne = false;
 
             for (const storyPath of this.storyFiles) {
+                if (!this.inScope(storyPath, repOptions)) continue;
                 const storyFile = this.idmlZip.file(storyPath);
                 if (!storyFile) continue;
-                const xmlContent = await storyFile.async('text');
-
+                const xmlContent = stories.has(storyPath) ? stories.get(storyPath) : await storyFile.async('text');
+
+                const found = [];
+                const matchFilter = (ordinal, detail) => {
+                    const approved = !!repOptions.replaceAll || !approvedOne;
+                    approvedOne = true;
+                    found.push(Object.assign({
+                        matchId: this.matchId(ruleIndex, storyPath, ordinal),
+                        ruleIndex,
+                        ordinal,
+                        file: storyPath,
+                        original: replacement.find,
+                        replacement: replacement.replace,
+                        approved
+                    }, detail));
+                    return approved;
+                };
+
+                let probe;
                 try {
-                    // Use the existing single-match probe which is non-destructive
-                    const probe = this.performXMLTextReplacementOnce(xmlContent, replacement.find, replacement.replace, repOptions);
-                    if (probe && probe.count > 0) {
-                        const debug = probe.debugMatches || [];
-                        const snippet = this._createDebugSnippet(xmlContent, probe.newXml) || {};
-                        results.push({
-                            file: storyPath,
-                            original: replacement.find,
-                            replacement: replacement.replace,
-                            count: probe.count,
-                            debug: Object.assign({}, snippet, { matches: debug, matchType: probe.matchType })
-                        });
-                    }
+                    probe = this._replaceInStory(xmlContent, replacement.find, replacement.replace,
+                        Object.assign({}, repOptions, { matchFilter }), /* firstOnly */ false);
                 } catch (e) {
                     // Log and continue; pre-scan should be robust and not fail
                     console.warn('preScan probe failed for', storyPath, e);
+                    continue;
+                }
+                if (found.length === 0) continue;
+                if (probe.count > 0 && !this._checkXML(probe.newXml)) stories.set(storyPath, probe.newXml);
+
+                const paragraphs = this.storyParagraphs(xmlContent);
+                for (const match of found) {
+                    const paragraph = this._paragraphAt(paragraphs, match.at);
+                    delete match.at;
+                    if (inserts) {
+                        for (const key of ['matched', 'before', 'after']) match[key] = this._unmaskText(match[key], inserts);
+                    }
+                    match.paragraph = paragraph ? paragraph.index : null;
+                    match.style = paragraph ? paragraph.style : '';
+                    if (scoped && scoped.has(ruleIndex)) match.location = this.layout.describeStory(storyPath) || storyPath;
+                    results.push(match);
                 }
             }
         }
@@ -1042,5 +2130,9 @@ class IDMLProcessor {
     }
 }
 
-// Export for use in other modules
-window.IDMLProcessor = IDMLProcessor;
\ No newline at end of file
+// Export for use in other modules (browser global or CommonJS for the CLI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IDMLProcessor;
+} else {
+    window.IDMLProcessor = IDMLProcessor;
+}
\ No newline at end of file
@@ -3,6 +3,8 @@ class PDFProcessor {
     constructor() {
         this.pdfDocument = null;
         this.originalPdfBytes = null;
+        // Set by ProcessingClient.attach (see js/processing-client.js)
+        this.remote = null;
     }
 
     async loadPDF(file) {
@@ -59,19 +61,26 @@ class PDFProcessor {
     }
 
     async getAllTextLines() {
+        const entries = await this.getAllTextEntries();
+        return entries.map(entry => entry.text);
+    }
+
+    // Text lines with the page they were found on: [{ text, page }]
+    async getAllTextEntries() {
         const content = await this.extractTextContent();
-        const lines = [];
+        const entries = [];
         for (const page of content) {
             const grouped = this.groupTextIntoLines(page.textItems);
             grouped.forEach(g => {
                 const t = (g.text || '').trim();
-                if (t) lines.push(t);
+                if (t) entries.push({ text: t, page: page.pageNumber });
             });
         }
-        return lines;
+        return entries;
     }
 
     async processReplacements(replacements, options = {}) {
+        if (this.remote) return this.remote.run(this, 'process', replacements, options);
         try {
             // Load the PDF with pdf-lib for modification using the independent copy
             const pdfDoc = await PDFLib.PDFDocument.load(this.pdfLibBytes);
@@ -87,19 +96,36 @@ class PDFProcessor {
             const helveticaFont = await pdfDoc.embedFont(PDFLib.StandardFonts.Helvetica);
 
             // Process replacements one-by-one so we can choose first-match-per-row
-            // or replace-all semantics per replacement.
-            for (const replacement of replacements) {
+            // or replace-all semantics per replacement. Changes are identified
+            // as "<rule index>|p<page>|l<line>"; ids in options.skipChanges are
+            // left out (see IDMLProcessor.processReplacements). Aborting
+            // options.signal stops before the next rule and saves what has
+            // been drawn so far (cancelled: true, stoppedAt: that rule).
+            const skipChanges = options.skipChanges || null;
+            const onProgress = typeof options.onProgress === 'function' ? options.onProgress : null;
+            let stoppedAt = null;
+            for (const [ruleIndex, replacement] of replacements.entries()) {
+                if (options.signal) {
+                    // Let a Cancel click through between rules
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                    if (options.signal.aborted) {
+                        stoppedAt = ruleIndex;
+                        break;
+                    }
+                }
+                if (onProgress) onProgress(Math.floor(ruleIndex / replacements.length * 95), `Applying rule ${ruleIndex + 1} of ${replacements.length}...`);
                 if (!replacement.find || !replacement.replace) continue;
                 const repOptions = Object.assign({}, options, replacement.options || {});
 
                 if (repOptions.replaceAll) {
                     // Replace all occurrences across all pages/lines
                     for (let pageIndex = 0; pageIndex < textContent.length; pageIndex++) {
+                        if (!this.pageInScope(repOptions.page, pageIndex + 1)) continue;
                         const pageData = textContent[pageIndex];
                         const page = pages[pageIndex];
                         const lines = this.groupTextIntoLines(pageData.textItems);
 
-                        for (const line of lines) {
+                        for (const [lineIndex, line] of lines.entries()) {
                             const { found, newText, count } = this.performTextReplacement(
                                 line.text,
                                 replacement.find,
@@ -108,6 +134,9 @@ class PDFProcessor {
                             );
 
                             if (found && count > 0) {
+                                const changeId = `${ruleIndex}|p${pageIndex + 1}|l${lineIndex + 1}`;
+                                if (skipChanges && skipChanges.has(changeId)) continue;
+
                                 const textPosition = this.calculateTextPosition(line);
                                 const fontSize = Math.max(8, line.fontSize || 10);
                                 const textWidth = helveticaFont.widthOfTextAtSize(newText, fontSize);
@@ -141,11 +170,14 @@ class PDFProcessor {
 
                                 totalReplacements += count;
                                 replacementLog.push({
+                                    changeId,
+                                    ruleIndex,
                                     page: pageIndex + 1,
                                     original: replacement.find,
                                     replacement: replacement.replace,
                                     position: textPosition,
-                                    count
+                                    count,
+                                    context: [this.describeLineChange(lines, lineIndex, newText)]
                                 });
                             }
                         }
@@ -154,11 +186,12 @@ class PDFProcessor {
                     // Find and replace only the first occurrence in the document
                     let foundOne = false;
                     for (let pageIndex = 0; pageIndex < textContent.length && !foundOne; pageIndex++) {
+                        if (!this.pageInScope(repOptions.page, pageIndex + 1)) continue;
                         const pageData = textContent[pageIndex];
                         const page = pages[pageIndex];
                         const lines = this.groupTextIntoLines(pageData.textItems);
 
-                        for (const line of lines) {
+                        for (const [lineIndex, line] of lines.entries()) {
                             const { found, newText, count } = this.performTextReplacement(
                                 line.text,
                                 replacement.find,
@@ -167,6 +200,14 @@ class PDFProcessor {
                             );
 
                             if (found && count > 0) {
+                                const changeId = `${ruleIndex}|p${pageIndex + 1}|l${lineIndex + 1}`;
+                                if (skipChanges && skipChanges.has(changeId)) {
+                                    // Rejected: keep this occurrence and do not
+                                    // move on to one that was never reviewed
+                                    foundOne = true;
+                                    break;
+                                }
+
                                 const textPosition = this.calculateTextPosition(line);
                                 const fontSize = Math.max(8, line.fontSize || 10);
                                 const textWidth = helveticaFont.widthOfTextAtSize(newText, fontSize);
@@ -200,11 +241,14 @@ class PDFProcessor {
 
                                 totalReplacements += count;
                                 replacementLog.push({
+                                    changeId,
+                                    ruleIndex,
                                     page: pageIndex + 1,
                                     original: replacement.find,
                                     replacement: replacement.replace,
                                     position: textPosition,
-                                    count
+                                    count,
+                                    context: [this.describeLineChange(lines, lineIndex, newText)]
                                 });
 
                                 // stop searching for this replacement and move to next replacement
@@ -217,13 +261,16 @@ class PDFProcessor {
             }
 
             // Save the modified PDF
+            if (onProgress) onProgress(95, 'Saving PDF...');
             const modifiedPdfBytes = await pdfDoc.save();
             
             return {
                 success: true,
                 modifiedPdfBytes,
                 totalReplacements,
-                replacementLog
+                replacementLog,
+                cancelled: stoppedAt !== null,
+                stoppedAt
             };
 
         } catch (error) {
@@ -232,6 +279,20 @@ class PDFProcessor {
         }
     }
 
+    // Review details for a replaced line, shaped like the IDML paragraph
+    // entries: { line, before, after, diff } plus the neighbouring lines.
+    describeLineChange(lines, lineIndex, newText) {
+        const before = lines[lineIndex].text;
+        return {
+            line: lineIndex + 1,
+            before,
+            after: newText,
+            diff: typeof TextDiff !== 'undefined' ? TextDiff.words(before, newText) : [],
+            previous: lineIndex > 0 ? lines[lineIndex - 1].text : '',
+            next: lineIndex + 1 < lines.length ? lines[lineIndex + 1].text : ''
+        };
+    }
+
     isRTLLanguage(lang) {
         return ['ar','he','fa','ur'].includes(lang);
     }
@@ -292,7 +353,19 @@ class PDFProcessor {
         let newText = text;
         let count = 0;
 
-        if (options.wholeWords) {
+        if (options.regex) {
+            // Regex rules share their matching and $1/$<name> expansion with
+            // the IDML processor so one rule set behaves the same for both.
+            const matches = RegexRules.findAll(text, findText, replaceText, options, !options.replaceAll);
+            count = matches.length;
+            if (count > 0) {
+                found = true;
+                for (let i = matches.length - 1; i >= 0; i--) {
+                    const m = matches[i];
+                    newText = newText.slice(0, m.start) + m.replacement + newText.slice(m.end);
+                }
+            }
+        } else if (options.wholeWords) {
             // Use different flags based on whether we replace all occurrences
             if (options.replaceAll) {
                 const countRegex = new RegExp(`\\b${this.escapeRegExp(searchText)}\\b`, options.caseSensitive ? 'g' : 'gi');
@@ -354,6 +427,16 @@ class PDFProcessor {
         };
     }
 
+    // Page scope of a rule: "3", "2-5" or "1,3,5-7" (1-based). No scope
+    // means every page.
+    pageInScope(spec, pageNumber) {
+        if (!spec) return true;
+        return String(spec).split(',').some(part => {
+            const [from, to] = part.split('-').map(n => parseInt(n, 10));
+            return pageNumber >= from && pageNumber <= (isNaN(to) ? from : to);
+        });
+    }
+
     escapeRegExp(string) {
         return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
     }
@@ -363,5 +446,9 @@ class PDFProcessor {
     }
 }
 
-// Export for use in other modules
-window.PDFProcessor = PDFProcessor;
\ No newline at end of file
+// Export for use in other modules (browser global or CommonJS for the CLI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PDFProcessor;
+} else {
+    window.PDFProcessor = PDFProcessor;
+}
@@ -0,0 +1,183 @@
+// Processing Client
+// Runs IDML/PDF processing, match scans, packaging and translation in a
+// dedicated Web Worker (js/processing-worker.js) so large documents do not
+// freeze the page. A processor handed to attach() forwards its heavy calls
+// here; everything else about it (modifiedFiles, session history) stays in
+// the page and modifiedFiles travels with each request.
+//
+// Messages, all tagged with the request id:
+//   page -> worker  { id, type: 'load', fileType, bytes }
+//                   { id, type: 'scan' | 'process' | 'package', fileType, replacements, options, modifiedFiles }
+//                   { id, type: 'translate', settings, modifiedFiles }
+//                   { id, type: 'cancel' }
+//   worker -> page  { id, type: 'progress', percent, message }
+//                   { id, type: 'done', result, modifiedFiles }
+//                   { id, type: 'error', message }
+//
+// An AbortSignal passed with a request (options.signal, or settings.signal
+// when translating) sends 'cancel'. The worker then stops and answers with
+// its partial result (result.cancelled); one that has not answered within
+// cancelGraceMs is terminated, the call rejects with an AbortError and a
+// new worker is started for the next request.
+
+class ProcessingClient {
+    constructor(workerUrl = 'js/processing-worker.js') {
+        this.workerUrl = workerUrl;
+        this.worker = null;
+        this.pending = new Map(); // request id -> { resolve, reject, onProgress }
+        this.sources = new WeakMap(); // processor -> { fileType, bytes }
+        this.loaded = null; // processor whose document the worker holds
+        this.nextId = 1;
+        // How long a cancelled request may take to answer with its partial
+        // result before the worker is terminated
+        this.cancelGraceMs = 5000;
+    }
+
+    static isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+
+    // Load a processor's file into the worker; from then on the processor
+    // runs there. Returns false, leaving the processor to work in the page,
+    // when workers are unavailable or the worker cannot load the file.
+    async attach(processor, fileType, file) {
+        processor.remote = null;
+        if (!ProcessingClient.isSupported()) return false;
+        try {
+            const bytes = new Uint8Array(await file.arrayBuffer());
+            this.sources.set(processor, { fileType, bytes });
+            await this._load(processor);
+            processor.remote = this;
+            return true;
+        } catch (error) {
+            this.detach(processor);
+            if (error.name === 'AbortError') throw error;
+            console.warn('Processing worker unavailable, processing in the page instead:', error);
+            return false;
+        }
+    }
+
+    detach(processor) {
+        processor.remote = null;
+        this.sources.delete(processor);
+        if (this.loaded === processor) this.loaded = null;
+    }
+
+    // processReplacements ('process'), preScanMatches ('scan') or
+    // createModifiedIDML ('package') of an attached processor.
+    // options.onProgress receives the worker's progress events and
+    // options.signal cancels the request.
+    async run(processor, type, replacements = [], options = {}) {
+        const source = this.sources.get(processor);
+        if (!source) throw new Error('Processor is not attached to the processing worker');
+        if (this.loaded !== processor) await this._load(processor);
+
+        // Functions and the signal cannot be posted to a worker
+        const postable = {};
+        for (const [key, value] of Object.entries(options)) {
+            if (typeof value !== 'function' && key !== 'signal') postable[key] = value;
+        }
+        const reply = await this._request({
+            type,
+            fileType: source.fileType,
+            replacements,
+            options: postable,
+            modifiedFiles: processor.modifiedFiles
+        }, options.onProgress, [], options.signal);
+        if (reply.modifiedFiles) processor.modifiedFiles = reply.modifiedFiles;
+        return reply.result;
+    }
+
+    // Translator.translateIDML in the worker. settings are those of
+    // Translator.configure plus byParagraph and signal.
+    async translate(processor, settings, onProgress) {
+        if (this.loaded !== processor) await this._load(processor);
+        const postable = Object.assign({}, settings);
+        delete postable.signal;
+        const reply = await this._request({ type: 'translate', settings: postable, modifiedFiles: processor.modifiedFiles }, onProgress, [], settings.signal);
+        if (reply.modifiedFiles) processor.modifiedFiles = reply.modifiedFiles;
+        return reply.result;
+    }
+
+    async _load(processor) {
+        const source = this.sources.get(processor);
+        this.loaded = null;
+        // A copy is transferred so the page keeps its bytes for reloading
+        const bytes = source.bytes.slice();
+        await this._request({ type: 'load', fileType: source.fileType, bytes }, null, [bytes.buffer]);
+        this.loaded = processor;
+    }
+
+    _request(message, onProgress, transfer = [], signal = null) {
+        const worker = this._ensureWorker();
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                worker.postMessage({ id, type: 'cancel' });
+                setTimeout(() => {
+                    if (!this.pending.has(id)) return;
+                    this.pending.delete(id);
+                    const error = new Error('Processing cancelled');
+                    error.name = 'AbortError';
+                    reject(error);
+                    if (this.worker === worker) this._reset();
+                }, this.cancelGraceMs);
+            };
+            const settle = (callback) => (value) => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                callback(value);
+            };
+            this.pending.set(id, { resolve: settle(resolve), reject: settle(reject), onProgress });
+            worker.postMessage(Object.assign({ id }, message), transfer);
+            if (signal) {
+                if (signal.aborted) onAbort();
+                else signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    }
+
+    _ensureWorker() {
+        if (this.worker) return this.worker;
+        const worker = new Worker(this.workerUrl);
+        worker.onmessage = (event) => this._handleMessage(event.data);
+        // A worker that fails to start (or throws outside a request) fails
+        // everything that is waiting on it
+        worker.onerror = (event) => {
+            event.preventDefault();
+            const message = event.message || 'Processing worker failed';
+            for (const { reject } of this.pending.values()) reject(new Error(message));
+            this.pending.clear();
+            this._reset();
+        };
+        this.worker = worker;
+        return worker;
+    }
+
+    _handleMessage(data) {
+        const request = this.pending.get(data.id);
+        if (!request) return; // given up after a cancel
+        if (data.type === 'progress') {
+            if (request.onProgress) request.onProgress(data.percent, data.message);
+            return;
+        }
+        this.pending.delete(data.id);
+        if (data.type === 'error') {
+            request.reject(new Error(data.message));
+        } else {
+            request.resolve(data);
+        }
+    }
+
+    _reset() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.loaded = null;
+    }
+}
+
+// Export for use in other modules (browser global or CommonJS for the CLI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProcessingClient;
+} else {
+    window.ProcessingClient = ProcessingClient;
+}
@@ -0,0 +1,116 @@
+// Processing Worker
+// Runs the IDML/PDF processors and the translator off the page's main
+// thread. The page talks to it through ProcessingClient; the message
+// protocol is described in js/processing-client.js.
+//
+// The shared scripts register themselves on `window`, which a worker does
+// not have. DOMParser is missing too, so IDMLProcessor validates XML with
+// XMLChecker here.
+self.window = self;
+importScripts(
+    'https://unpkg.com/jszip@3.10.1/dist/jszip.min.js',
+    'https://unpkg.com/pdf-lib@1.17.1/dist/pdf-lib.min.js',
+    'regex-rules.js',
+    'xml-checker.js',
+    'text-diff.js',
+    'aho-corasick.js',
+    'pdf-processor.js',
+    'idml-layout.js',
+    'idml-processor.js',
+    'translation-memory.js',
+    'translation-jobs.js',
+    'terminology.js',
+    'translation-providers.js',
+    'translator.js'
+);
+
+const processors = { idml: new IDMLProcessor(), pdf: new PDFProcessor() };
+const translator = new Translator();
+const translationMemory = new TranslationMemory();
+if (translationMemory.isAvailable()) translator.setMemory(translationMemory);
+const translationJobs = new TranslationJobs();
+if (translationJobs.isAvailable()) translator.setJobStore(translationJobs);
+
+const controllers = new Map(); // request id -> AbortController
+// Requests run one at a time, in the order they arrive; cancel messages
+// are handled immediately
+let queue = Promise.resolve();
+
+// pdf.js is only needed for PDFs, so it is loaded on first use
+function ensurePdfJs() {
+    if (self.pdfjsLib) return;
+    importScripts('https://unpkg.com/pdfjs-dist@3.11.174/build/pdf.min.js');
+    pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://unpkg.com/pdfjs-dist@3.11.174/build/pdf.worker.min.js';
+}
+
+async function handle(message, onProgress, signal) {
+    const processor = processors[message.fileType || 'idml'];
+    if (!processor) throw new Error(`Unknown file type: ${message.fileType}`);
+    // The page owns modifiedFiles (and with it the session history)
+    if (message.modifiedFiles && processor === processors.idml) processor.modifiedFiles = message.modifiedFiles;
+
+    switch (message.type) {
+        case 'load':
+            if (processor === processors.pdf) {
+                ensurePdfJs();
+                await processor.loadPDF(new Blob([message.bytes]));
+            } else {
+                await processor.loadIDML(message.bytes);
+            }
+            return {};
+        case 'process': {
+            const options = Object.assign({}, message.options, { onProgress, signal });
+            const result = await processor.processReplacements(message.replacements, options);
+            return { result, modifiedFiles: processor.modifiedFiles };
+        }
+        case 'scan': {
+            const options = Object.assign({}, message.options, { onProgress });
+            return { result: await processor.preScanMatches(message.replacements, options) };
+        }
+        case 'package':
+            return { result: await processor.createModifiedIDML() };
+        case 'translate': {
+            translator.configure(message.settings);
+            const result = await translator.translateIDML(processor, Object.assign({}, message.settings, { signal }), onProgress);
+            return { result, modifiedFiles: processor.modifiedFiles };
+        }
+        default:
+            throw new Error(`Unknown request: ${message.type}`);
+    }
+}
+
+// Output buffers are transferred rather than copied
+function transferables(result) {
+    const list = [];
+    if (result instanceof Uint8Array) list.push(result.buffer);
+    if (result && result.modifiedIdmlBytes instanceof Uint8Array) list.push(result.modifiedIdmlBytes.buffer);
+    if (result && result.modifiedPdfBytes instanceof Uint8Array) list.push(result.modifiedPdfBytes.buffer);
+    return list;
+}
+
+self.onmessage = (event) => {
+    const message = event.data;
+    const id = message.id;
+    if (message.type === 'cancel') {
+        // Processing and translation stop at their next cancellation point
+        // and answer with what they have done
+        const controller = controllers.get(id);
+        if (controller) controller.abort();
+        return;
+    }
+
+    const controller = new AbortController();
+    controllers.set(id, controller);
+    const onProgress = (percent, text) => self.postMessage({ id, type: 'progress', percent, message: text });
+
+    queue = queue.then(async () => {
+        try {
+            const reply = await handle(message, onProgress, controller.signal);
+            self.postMessage(Object.assign({ id, type: 'done' }, reply), transferables(reply.result));
+        } catch (error) {
+            self.postMessage({ id, type: 'error', message: error.message });
+        } finally {
+            controllers.delete(id);
+        }
+    });
+};
@@ -0,0 +1,80 @@
+// Regex Rule Helpers
+// Shared by the IDML and PDF processors so one regex rule set behaves the
+// same way for both formats.
+class RegexRules {
+    // Build a global RegExp for a rule. `options.regexFlags` may add i/m/s/u;
+    // g is always set and y is dropped because callers iterate with exec().
+    // Case-insensitive matching follows the same caseSensitive option used by
+    // literal rules, and wholeWords wraps the pattern with the same ASCII
+    // word-character boundary the literal matcher uses.
+    static build(pattern, options = {}) {
+        let flags = (options.regexFlags || '').replace(/[^imsu]/g, '');
+        if (!options.caseSensitive && !flags.includes('i')) flags += 'i';
+        flags = Array.from(new Set(flags.split(''))).join('') + 'g';
+
+        let source = pattern;
+        if (options.wholeWords) {
+            source = `(?<![A-Za-z0-9_])(?:${pattern})(?![A-Za-z0-9_])`;
+        }
+
+        try {
+            return new RegExp(source, flags);
+        } catch (e) {
+            throw new Error(`Invalid regular expression '${pattern}': ${e.message}`);
+        }
+    }
+
+    // Find matches of a regex rule in text. Returns [{ start, end, replacement }]
+    // where replacement is the template with $1/$<name>/$& etc. expanded for
+    // that match. Empty matches are skipped so patterns like `a*` can't loop.
+    static findAll(text, pattern, replaceTemplate, options = {}, firstOnly = false) {
+        const re = RegexRules.build(pattern, options);
+        const matches = [];
+        let m;
+        while ((m = re.exec(text)) !== null) {
+            if (m[0].length === 0) {
+                re.lastIndex++;
+                continue;
+            }
+            matches.push({
+                start: m.index,
+                end: m.index + m[0].length,
+                replacement: RegexRules.expand(replaceTemplate, m, text)
+            });
+            if (firstOnly) break;
+        }
+        return matches;
+    }
+
+    // Expand a String.prototype.replace style template for a single exec()
+    // result: $$, $&, $`, $', $1..$99 and $<name>.
+    static expand(template, match, input) {
+        const groups = match.groups || {};
+        return String(template).replace(/\$(\$|&|`|'|\d{1,2}|<([^>]*)>)/g, (token, spec, name) => {
+            if (spec === '$') return '$';
+            if (spec === '&') return match[0];
+            if (spec === '`') return input.slice(0, match.index);
+            if (spec === '\'') return input.slice(match.index + match[0].length);
+            if (typeof name !== 'undefined') {
+                return Object.prototype.hasOwnProperty.call(groups, name) ? (groups[name] || '') : token;
+            }
+            // Prefer a two-digit group when it exists, otherwise fall back to one
+            // digit followed by a literal character (same as native replace).
+            let n = parseInt(spec, 10);
+            if (spec.length === 2 && n >= match.length) {
+                n = parseInt(spec[0], 10);
+                if (n === 0 || n >= match.length) return token;
+                return (match[n] || '') + spec[1];
+            }
+            if (n === 0 || n >= match.length) return token;
+            return match[n] || '';
+        });
+    }
+}
+
+// Export for use in other modules (browser global or CommonJS for the CLI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RegexRules;
+} else {
+    window.RegexRules = RegexRules;
+}
@@ -0,0 +1,238 @@
+// Rule Conflict Analysis
+// Rules run in order and each one sees the text the previous ones produced,
+// so "A -> B" followed by "B -> C" turns every A into C. analyze() looks at a
+// rule list before anything is processed and reports:
+//   chain          a later rule's find is exactly an earlier rule's replacement
+//   creates-match  an earlier rule's replacement contains a later rule's match
+//   cycle          rules whose replacements feed each other (A -> B, B -> A)
+//   duplicate      two rules with the same find
+//   substring      one rule also matches inside another rule's find
+// Only pairs of rules that can meet are compared (see _candidatePairs), so
+// CSVs with thousands of rows are checked quickly. Shared by the web app and
+// the CLI.
+
+class RuleAnalysis {
+    // replacements are the rule objects given to processReplacements and
+    // options the run's global options. With options.simultaneous (or
+    // singlePass) the rules never see each other's output, so only duplicate
+    // and substring overlaps are reported. Returns [{ type, severity, rules, message }]
+    // where rules are indexes into replacements and severity is 'warning'
+    // or 'info'.
+    static analyze(replacements, options = {}) {
+        const rules = [];
+        (replacements || []).forEach((rule, index) => {
+            if (!rule || !rule.find || !rule.replace || rule.enabled === false) return;
+            const opts = Object.assign({}, options, rule.options || {});
+            let matches;
+            try {
+                matches = RuleAnalysis._matcher(rule.find, opts);
+            } catch (e) {
+                return; // invalid regexes are reported by the CSV validation
+            }
+            rules.push({ index, rule, opts, matches, label: RuleAnalysis.label(rule, index), inserted: RuleAnalysis._insertedText(rule.replace, opts) });
+        });
+
+        const simultaneous = options.simultaneous || options.singlePass;
+        const issues = [];
+        const add = (type, severity, indexes, message) => issues.push({ type, severity, rules: indexes, message });
+        const feeds = new Map(rules.map(r => [r.index, []]));
+
+        const candidates = RuleAnalysis._candidatePairs(rules);
+        for (let a = 0; a < rules.length; a++) {
+            for (const b of candidates[a]) {
+                const first = rules[a];
+                const second = rules[b];
+                if (!RuleAnalysis._scopesOverlap(first.opts, second.opts)) continue;
+
+                // first's replacement produces text second matches
+                if (second.matches(first.inserted)) {
+                    feeds.get(first.index).push(second.index);
+                    if (!simultaneous && a < b) {
+                        // A regex template with group references is only
+                        // partly known, so it can't be an exact chain
+                        const exact = first.inserted === String(first.rule.replace);
+                        if (exact && RuleAnalysis._sameFind(second, first.inserted)) {
+                            add('chain', 'warning', [first.index, second.index],
+                                `${first.label} turns "${first.rule.find}" into "${first.rule.replace}", which ${second.label} then turns into "${second.rule.replace}"`);
+                        } else {
+                            add('creates-match', 'warning', [first.index, second.index],
+                                `${first.label}'s replacement "${first.rule.replace}" contains "${second.rule.find}", so ${second.label} also changes text inserted by ${first.label}`);
+                        }
+                    }
+                }
+
+                if (a < b && RuleAnalysis._sameFind(first, second.rule.find, second)) {
+                    add('duplicate', 'warning', [first.index, second.index],
+                        `${first.label} and ${second.label} both find "${first.rule.find}"; ${second.label} only sees occurrences ${first.label} left unchanged`);
+                } else if (first.matches(second.rule.find) && !RuleAnalysis._sameFind(first, second.rule.find, second)) {
+                    if (a < b) {
+                        add('substring', 'warning', [first.index, second.index],
+                            `${first.label} ("${first.rule.find}") runs first and also matches inside "${second.rule.find}", so ${second.label} may no longer match`);
+                    } else {
+                        add('substring', 'info', [second.index, first.index],
+                            `${second.label} replaces "${second.rule.find}" first; ${first.label} ("${first.rule.find}") matches the remaining occurrences`);
+                    }
+                }
+            }
+        }
+
+        if (!simultaneous) {
+            for (const cycle of RuleAnalysis._cycles(feeds)) {
+                const labels = cycle.map(index => rules.find(r => r.index === index).label);
+                add('cycle', 'warning', cycle,
+                    `${labels.join(', ')} feed each other's matches; the result depends on their order (consider applying simultaneously)`);
+            }
+        }
+        return issues;
+    }
+
+    // How a rule is named in messages: its CSV row when known
+    static label(rule, index) {
+        return rule.row ? `Row ${rule.row}` : `Rule ${index + 1}`;
+    }
+
+    // Predicate telling whether a rule matches somewhere in a text, using
+    // the same whitespace, case, whole-word and regex handling as the
+    // processors
+    static _matcher(find, opts) {
+        if (opts.regex) {
+            const re = RegexRules.build(find, opts);
+            return (text) => {
+                re.lastIndex = 0;
+                return re.test(text);
+            };
+        }
+        const fold = (text) => {
+            const normalized = String(text).replace(/[\s\u00A0]+/g, ' ').trim();
+            return opts.caseSensitive ? normalized : normalized.toLowerCase();
+        };
+        const term = fold(find);
+        if (!opts.wholeWords) return (text) => fold(text).includes(term);
+        const isWordChar = (ch) => /[A-Za-z0-9_]/.test(ch || '');
+        return (text) => {
+            const source = fold(text);
+            for (let at = source.indexOf(term); at !== -1; at = source.indexOf(term, at + 1)) {
+                if (!isWordChar(source[at - 1]) && !isWordChar(source[at + term.length])) return true;
+            }
+            return false;
+        };
+    }
+
+    // Text a rule inserts. For regex templates the group references are
+    // unknown until a match happens, so only the literal parts are used.
+    static _insertedText(replace, opts) {
+        return opts.regex ? String(replace).replace(/\$(\$|&|`|'|\d{1,2}|<[^>]*>)/g, (token, spec) => spec === '$' ? '$' : ' ') : String(replace);
+    }
+
+    // Whether a text is exactly what a rule looks for (a literal find equal
+    // to it, or a regex matching all of it). `other` is the rule the text
+    // came from when comparing two finds: both must agree on regex mode.
+    static _sameFind(rule, text, other = null) {
+        if (other && !!other.opts.regex !== !!rule.opts.regex) return false;
+        if (rule.opts.regex) {
+            if (other) return rule.rule.find === text && (rule.opts.regexFlags || '') === (other.opts.regexFlags || '');
+            const re = RegexRules.build(`^(?:${rule.rule.find})$`, rule.opts);
+            return re.test(String(text).trim());
+        }
+        const caseSensitive = rule.opts.caseSensitive && (!other || other.opts.caseSensitive);
+        const fold = (value) => {
+            const normalized = String(value).replace(/[\s\u00A0]+/g, ' ').trim();
+            return caseSensitive ? normalized : normalized.toLowerCase();
+        };
+        return fold(rule.rule.find) === fold(text);
+    }
+
+    // For each rule (by position in rules), the sorted positions of the
+    // rules it has to be compared with: those whose find occurs in its
+    // inserted text, or in whose find its own find occurs. Literal finds are
+    // located with one AhoCorasick automaton, folded more loosely than any
+    // matcher (lowercase, one sigma form), so no pair analyze() would report
+    // is left out. Regex rules and finds that are only whitespace can match
+    // anything and are paired with every rule.
+    static _candidatePairs(rules) {
+        const fold = (text) => String(text).replace(/[\s\u00A0]+/g, ' ').trim().toLowerCase().replace(/\u03C2/g, '\u03C3');
+        const pairs = rules.map(() => new Set());
+        const link = (a, b) => {
+            if (a !== b) pairs[a].add(b);
+        };
+        const literal = [];
+        const patterns = [];
+        rules.forEach((rule, position) => {
+            const find = rule.opts.regex ? '' : fold(rule.rule.find);
+            if (find) {
+                literal.push(position);
+                patterns.push(find);
+                return;
+            }
+            for (let other = 0; other < rules.length; other++) {
+                link(position, other);
+                link(other, position);
+            }
+        });
+        const automaton = new AhoCorasick(patterns);
+        rules.forEach((rule, position) => {
+            for (const found of automaton.search(fold(rule.inserted))) link(position, literal[found.pattern]);
+            if (rule.opts.regex) return;
+            for (const found of automaton.search(fold(rule.rule.find))) link(literal[found.pattern], position);
+        });
+        return pairs.map(set => Array.from(set).sort((x, y) => x - y));
+    }
+
+    // Rules limited to different stories or paragraph styles never meet
+    static _scopesOverlap(a, b) {
+        if (a.story && b.story) {
+            const stories = new Set(String(a.story).split(',').map(s => s.trim()));
+            if (!String(b.story).split(',').some(s => stories.has(s.trim()))) return false;
+        }
+        if (a.paragraphStyle && b.paragraphStyle && String(a.paragraphStyle).trim() !== String(b.paragraphStyle).trim()) return false;
+        return true;
+    }
+
+    // Groups of two or more rules that can reach each other through `feeds`
+    // (strongly connected components, Tarjan's algorithm)
+    static _cycles(feeds) {
+        const indexOf = new Map();
+        const low = new Map();
+        const stack = [];
+        const onStack = new Set();
+        const cycles = [];
+        let counter = 0;
+
+        const visit = (node) => {
+            indexOf.set(node, counter);
+            low.set(node, counter);
+            counter++;
+            stack.push(node);
+            onStack.add(node);
+            for (const next of feeds.get(node) || []) {
+                if (!indexOf.has(next)) {
+                    visit(next);
+                    low.set(node, Math.min(low.get(node), low.get(next)));
+                } else if (onStack.has(next)) {
+                    low.set(node, Math.min(low.get(node), indexOf.get(next)));
+                }
+            }
+            if (low.get(node) === indexOf.get(node)) {
+                const component = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    component.push(member);
+                } while (member !== node);
+                if (component.length > 1) cycles.push(component.sort((x, y) => x - y));
+            }
+        };
+        for (const node of feeds.keys()) {
+            if (!indexOf.has(node)) visit(node);
+        }
+        return cycles;
+    }
+}
+
+// Export for use in other modules (browser global or CommonJS for the CLI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RuleAnalysis;
+} else {
+    window.RuleAnalysis = RuleAnalysis;
+}
@@ -0,0 +1,141 @@
+// Terminology for Machine Translation
+// Terms that must come out of a translation in a fixed form: brand and
+// product names kept as they are (do-not-translate) and terms with a
+// required target translation. The list is built from the accepted CSV
+// rules, where a row whose replacement equals its source text is a
+// do-not-translate term and any other row forces its replacement.
+//
+// Providers without glossary support get the terms masked as {T1}, {T2}...
+// placeholders, which are swapped for the required output after
+// translation. check() then confirms every term made it into the output.
+
+class Terminology {
+    // entries: [{ source, target, caseSensitive }]
+    constructor(entries = []) {
+        // Longest first so "Acme Cloud" wins over "Acme"
+        this.entries = entries
+            .filter(entry => entry && entry.source && entry.target)
+            .map(entry => ({
+                source: entry.source,
+                target: entry.target,
+                caseSensitive: !!entry.caseSensitive,
+                keep: entry.source === entry.target
+            }))
+            .sort((a, b) => b.source.length - a.source.length);
+        this.pattern = this.entries.length ? Terminology.buildPattern(this.entries) : null;
+    }
+
+    // Literal CSV rules become terms; regex and scoped rules only make sense
+    // for find/replace runs and are left out
+    static fromRules(rules = []) {
+        return new Terminology((rules || [])
+            .filter(rule => rule.find && rule.replace && !(rule.options && (rule.options.regex || rule.options.story || rule.options.page || rule.options.spread || rule.options.layer || rule.options.paragraphStyle)))
+            .map(rule => ({ source: rule.find, target: rule.replace, caseSensitive: !!(rule.options && rule.options.caseSensitive) })));
+    }
+
+    static escape(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    // One alternation over every term, whole words only (the same ASCII
+    // word boundary RegexRules uses). Case-sensitive terms are matched
+    // exactly in the callback.
+    static buildPattern(entries) {
+        const alternatives = entries.map(entry => Terminology.escape(entry.source)).join('|');
+        return new RegExp(`(?<![A-Za-z0-9_])(?:${alternatives})(?![A-Za-z0-9_])`, 'gi');
+    }
+
+    isEmpty() {
+        return this.entries.length === 0;
+    }
+
+    // The term a matched piece of text belongs to, or null
+    entryFor(matched) {
+        return this.entries.find(entry => (entry.caseSensitive ? entry.source === matched : entry.source.toLowerCase() === matched.toLowerCase())) || null;
+    }
+
+    // Occurrences of terms in text: [{ entry, start, end }]
+    find(text) {
+        if (!this.pattern || !text) return [];
+        const found = [];
+        this.pattern.lastIndex = 0;
+        let match;
+        while ((match = this.pattern.exec(text)) !== null) {
+            const entry = this.entryFor(match[0]);
+            if (entry) found.push({ entry, start: match.index, end: match.index + match[0].length });
+        }
+        return found;
+    }
+
+    // Replace every term in text by a {Tn} placeholder. Returns the masked
+    // text and the output each placeholder stands for: the target, or for a
+    // do-not-translate term the text exactly as it was matched.
+    mask(text) {
+        const slots = [];
+        let masked = '';
+        let last = 0;
+        for (const { entry, start, end } of this.find(text)) {
+            slots.push(this.expected(entry, text.slice(start, end)));
+            masked += text.slice(last, start) + `{T${slots.length}}`;
+            last = end;
+        }
+        return { text: slots.length ? masked + text.slice(last) : text, slots };
+    }
+
+    // Put the required output back in place of the placeholders. Providers
+    // sometimes add spaces inside the braces or change their case.
+    unmask(text, slots) {
+        if (!slots.length || typeof text !== 'string') return text;
+        return text.replace(/\{\s*[Tt]\s*(\d+)\s*\}/g, (token, n) => {
+            const slot = slots[Number(n) - 1];
+            return slot === undefined ? token : slot;
+        });
+    }
+
+    // Output required for one occurrence of a term
+    expected(entry, matched) {
+        return entry.keep ? matched : entry.target;
+    }
+
+    // Terms of source that are missing from translation, as
+    // [{ source, expected }], counting repeated terms
+    check(source, translation) {
+        const expected = new Map(); // required output -> { entry, count }
+        for (const { entry, start, end } of this.find(source)) {
+            const target = this.expected(entry, source.slice(start, end));
+            const item = expected.get(target) || { entry, count: 0 };
+            item.count++;
+            expected.set(target, item);
+        }
+        const missing = [];
+        const output = String(translation || '');
+        for (const [target, { entry, count }] of expected) {
+            const re = new RegExp(Terminology.escape(target), entry.caseSensitive || entry.keep ? 'g' : 'gi');
+            if ((output.match(re) || []).length < count) missing.push({ source: entry.source, expected: target });
+        }
+        return missing;
+    }
+
+    // Entries in DeepL's glossary TSV format (one "source<TAB>target" line
+    // per term; DeepL rejects repeated sources)
+    toTSV() {
+        const seen = new Set();
+        return this.entries
+            .filter(entry => !/[\t\r\n]/.test(entry.source + entry.target))
+            .filter(entry => !seen.has(entry.source.trim()) && seen.add(entry.source.trim()))
+            .map(entry => `${entry.source.trim()}\t${entry.target.trim()}`)
+            .join('\n');
+    }
+
+    // Plain data for configure() and the processing worker
+    toJSON() {
+        return this.entries.map(({ source, target, caseSensitive }) => ({ source, target, caseSensitive }));
+    }
+}
+
+// Export for use in other modules (browser global or CommonJS for the CLI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Terminology;
+} else {
+    window.Terminology = Terminology;
+}
@@ -0,0 +1,115 @@
+// Text Diff Helpers
+// Word-level diff used by the change review to highlight what a replacement
+// removed and inserted in a paragraph or PDF line.
+
+class TextDiff {
+    // Diff two strings word by word. Returns segments
+    // [{ type: 'same' | 'del' | 'ins', text }] in reading order; joining the
+    // 'same' and 'del' texts gives `before`, 'same' and 'ins' gives `after`.
+    static words(before, after, maxCells = 250000) {
+        const a = TextDiff.tokenize(before);
+        const b = TextDiff.tokenize(after);
+
+        // Trim the common head and tail first; most changes are local
+        let head = 0;
+        while (head < a.length && head < b.length && a[head] === b[head]) head++;
+        let tail = 0;
+        while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+
+        const midA = a.slice(head, a.length - tail);
+        const midB = b.slice(head, b.length - tail);
+        const segments = [];
+        if (head > 0) segments.push({ type: 'same', text: a.slice(0, head).join('') });
+
+        if (midA.length * midB.length > maxCells) {
+            // Too large for an LCS table: report the middle as one change
+            if (midA.length) segments.push({ type: 'del', text: midA.join('') });
+            if (midB.length) segments.push({ type: 'ins', text: midB.join('') });
+        } else {
+            segments.push(...TextDiff._lcs(midA, midB));
+        }
+
+        if (tail > 0) segments.push({ type: 'same', text: a.slice(a.length - tail).join('') });
+        return TextDiff._merge(segments);
+    }
+
+    // Words and the whitespace between them as separate tokens
+    static tokenize(text) {
+        return String(text || '').match(/\s+|[^\s]+/g) || [];
+    }
+
+    static _lcs(a, b) {
+        const rows = a.length + 1;
+        const cols = b.length + 1;
+        const table = new Array(rows);
+        for (let i = 0; i < rows; i++) table[i] = new Uint32Array(cols);
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+            }
+        }
+
+        const segments = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                segments.push({ type: 'same', text: a[i] }); i++; j++;
+            } else if (table[i + 1][j] >= table[i][j + 1]) {
+                segments.push({ type: 'del', text: a[i] }); i++;
+            } else {
+                segments.push({ type: 'ins', text: b[j] }); j++;
+            }
+        }
+        while (i < a.length) segments.push({ type: 'del', text: a[i++] });
+        while (j < b.length) segments.push({ type: 'ins', text: b[j++] });
+        return segments;
+    }
+
+    // Join neighbouring segments of the same type. A lone whitespace token
+    // between two changes is folded into them so "old words" -> "new words"
+    // reads as one deletion and one insertion rather than a word salad.
+    static _merge(segments) {
+        const folded = [];
+        for (let k = 0; k < segments.length; k++) {
+            const seg = segments[k];
+            const prev = folded[folded.length - 1];
+            const next = segments[k + 1];
+            if (seg.type === 'same' && /^\s+$/.test(seg.text) && prev && prev.type !== 'same' && next && next.type !== 'same') {
+                folded.push({ type: 'del', text: seg.text }, { type: 'ins', text: seg.text });
+                continue;
+            }
+            folded.push(seg);
+        }
+
+        // Deletions before insertions within each changed stretch, then join
+        const out = [];
+        let k = 0;
+        while (k < folded.length) {
+            if (folded[k].type === 'same') {
+                const last = out[out.length - 1];
+                if (last && last.type === 'same') last.text += folded[k].text;
+                else out.push({ type: 'same', text: folded[k].text });
+                k++;
+                continue;
+            }
+            let del = '';
+            let ins = '';
+            while (k < folded.length && folded[k].type !== 'same') {
+                if (folded[k].type === 'del') del += folded[k].text;
+                else ins += folded[k].text;
+                k++;
+            }
+            if (del) out.push({ type: 'del', text: del });
+            if (ins) out.push({ type: 'ins', text: ins });
+        }
+        return out;
+    }
+}
+
+// Export for use in other modules (browser global or CommonJS for the CLI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TextDiff;
+} else {
+    window.TextDiff = TextDiff;
+}
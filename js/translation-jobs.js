@@ -0,0 +1,128 @@
+// Translation Job Store
+// Keeps the state of IDML translation jobs in IndexedDB so a job that
+// failed halfway (quota used up, network gone) or was interrupted by a page
+// reload can be resumed from the first untranslated segment instead of
+// starting over. A job records the document it belongs to, its segment
+// list, provider and language pair, and every translation finished so far.
+// Jobs are kept until they complete or are discarded; there is at most one
+// per document.
+
+class TranslationJobs {
+    constructor(dbName = 'indesign-update-jobs') {
+        this.dbName = dbName;
+        this.storeName = 'jobs';
+        this.db = null;
+    }
+
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    async open() {
+        if (this.db) return this.db;
+        if (!this.isAvailable()) throw new Error('IndexedDB is not available in this browser');
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    const store = db.createObjectStore(this.storeName, { keyPath: 'id' });
+                    store.createIndex('file', 'fileKey', { unique: false });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return this.db;
+    }
+
+    // Identifies a document across page reloads
+    static fileKey(file) {
+        return [file.name, file.size, file.lastModified || 0].join('|');
+    }
+
+    // Start a job for a document, replacing any earlier job for it.
+    // settings: { fileKey, fileName, provider, sourceLang, targetLang, byParagraph }
+    async create(settings, segments) {
+        const previous = await this.findForFile(settings.fileKey);
+        if (previous) await this.delete(previous.id);
+        const now = new Date().toISOString();
+        const job = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            fileKey: settings.fileKey,
+            fileName: settings.fileName || '',
+            provider: settings.provider,
+            sourceLang: settings.sourceLang,
+            targetLang: settings.targetLang,
+            byParagraph: settings.byParagraph !== false,
+            segments,
+            translations: new Array(segments.length).fill(null), // null = not translated yet
+            statuses: new Array(segments.length).fill(null), // see Translator.translateBatch
+            errors: {}, // segment index -> why it is not translated
+            status: 'running',
+            error: null,
+            created: now,
+            updated: now
+        };
+        await this.save(job);
+        return job;
+    }
+
+    async save(job) {
+        job.updated = new Date().toISOString();
+        const db = await this.open();
+        await new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, 'readwrite');
+            tx.objectStore(this.storeName).put(job);
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    async get(id) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, 'readonly');
+            const request = tx.objectStore(this.storeName).get(id);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // The most recent job for a document, or null
+    async findForFile(fileKey) {
+        const db = await this.open();
+        const jobs = await new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, 'readonly');
+            const request = tx.objectStore(this.storeName).index('file').getAll(fileKey);
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+        return jobs.sort((a, b) => (a.updated < b.updated ? 1 : -1))[0] || null;
+    }
+
+    async delete(id) {
+        const db = await this.open();
+        await new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, 'readwrite');
+            tx.objectStore(this.storeName).delete(id);
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    // { done, total, firstUntranslated } of a job (firstUntranslated is -1
+    // when every segment is translated)
+    static progress(job) {
+        const done = job.translations.filter(translation => translation !== null).length;
+        return { done, total: job.segments.length, firstUntranslated: job.translations.indexOf(null) };
+    }
+}
+
+// Export for use in other modules (browser global or CommonJS for the CLI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TranslationJobs;
+} else {
+    window.TranslationJobs = TranslationJobs;
+}
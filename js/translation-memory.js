@@ -0,0 +1,259 @@
+// Translation Memory Module
+// Stores finished translations in IndexedDB so repeated strings (within a
+// document or across jobs) never hit a paid API twice. Entries are keyed by
+// provider, language pair and normalized source text and can be exchanged
+// with CAT tools as TMX 1.4.
+
+class TranslationMemory {
+    constructor(dbName = 'indesign-update-tm') {
+        this.dbName = dbName;
+        this.storeName = 'segments';
+        this.db = null;
+        // Provider name used for entries that came from an imported TMX file.
+        // They are used as a fallback for every provider.
+        this.importProvider = 'tmx';
+    }
+
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    async open() {
+        if (this.db) return this.db;
+        if (!this.isAvailable()) throw new Error('IndexedDB is not available in this browser');
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    const store = db.createObjectStore(this.storeName, { keyPath: 'key' });
+                    store.createIndex('lookup', ['target', 'text'], { unique: false });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return this.db;
+    }
+
+    // Collapse whitespace so "Hello  world\n" and "Hello world" share an entry
+    normalizeText(text) {
+        return String(text || '').normalize('NFC').replace(/\s+/g, ' ').trim();
+    }
+
+    // Lowercase language codes and drop region subtags (fr-FR -> fr) except
+    // where the UI distinguishes them (zh-TW).
+    normalizeLang(code) {
+        const lower = String(code || '').trim().toLowerCase();
+        if (!lower) return 'auto';
+        if (lower === 'zh-tw' || lower === 'zh-hant') return 'zh-tw';
+        return lower.split(/[-_]/)[0];
+    }
+
+    makeKey(provider, source, target, text) {
+        return [provider, this.normalizeLang(source), this.normalizeLang(target), this.normalizeText(text)].join('|');
+    }
+
+    // Look up a translation for one segment. Prefers an entry from the same
+    // provider and source language; with an auto-detected source any source
+    // language from that provider is accepted; imported TMX entries are the
+    // last resort. Returns the translation with the segment's own leading and
+    // trailing whitespace restored, or null on a miss.
+    async lookup(provider, source, target, text) {
+        const normalized = this.normalizeText(text);
+        if (!normalized) return null;
+
+        const db = await this.open();
+        const candidates = await new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, 'readonly');
+            const request = tx.objectStore(this.storeName).index('lookup').getAll([this.normalizeLang(target), normalized]);
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+        if (candidates.length === 0) return null;
+
+        const src = this.normalizeLang(source);
+        const rank = (entry) => {
+            if (entry.provider === provider && entry.source === src) return 0;
+            if (entry.provider === provider && src === 'auto') return 1;
+            if (entry.provider === this.importProvider && (entry.source === src || src === 'auto')) return 2;
+            return -1;
+        };
+        const best = candidates
+            .filter(entry => rank(entry) >= 0)
+            .sort((a, b) => rank(a) - rank(b))[0];
+        if (!best) return null;
+
+        return this._restoreWhitespace(text, best.translation);
+    }
+
+    async store(provider, source, target, text, translation) {
+        const normalized = this.normalizeText(text);
+        const normalizedTranslation = this.normalizeText(translation);
+        if (!normalized || !normalizedTranslation) return;
+
+        await this._putAll([{
+            key: this.makeKey(provider, source, target, text),
+            provider,
+            source: this.normalizeLang(source),
+            target: this.normalizeLang(target),
+            text: normalized,
+            translation: normalizedTranslation,
+            updated: new Date().toISOString()
+        }]);
+    }
+
+    async getAll() {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, 'readonly');
+            const request = tx.objectStore(this.storeName).getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async count() {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, 'readonly');
+            const request = tx.objectStore(this.storeName).count();
+            request.onsuccess = () => resolve(request.result || 0);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async clear() {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, 'readwrite');
+            tx.objectStore(this.storeName).clear();
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    // Serialize all entries as TMX 1.4. Each entry becomes one <tu> with the
+    // provider kept in an x-provider prop so a re-import restores it.
+    async exportTMX() {
+        const entries = await this.getAll();
+        const esc = (text) => String(text)
+            .replace(/[^\t\n\r\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        const tmxLang = (code) => code === 'auto' ? '*all*' : code;
+
+        const units = entries.map(entry => [
+            `    <tu tuid="${esc(entry.key)}" changedate="${esc((entry.updated || '').replace(/[-:]|\.\d+/g, ''))}">`,
+            `      <prop type="x-provider">${esc(entry.provider)}</prop>`,
+            `      <tuv xml:lang="${esc(tmxLang(entry.source))}"><seg>${esc(entry.text)}</seg></tuv>`,
+            `      <tuv xml:lang="${esc(entry.target)}"><seg>${esc(entry.translation)}</seg></tuv>`,
+            '    </tu>'
+        ].join('\n'));
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<tmx version="1.4">',
+            '  <header creationtool="InDesign Update" creationtoolversion="1.0" datatype="plaintext" segtype="block" adminlang="en" srclang="*all*" o-tmf="indesign-update"/>',
+            '  <body>',
+            ...units,
+            '  </body>',
+            '</tmx>',
+            ''
+        ].join('\n');
+    }
+
+    // Import a TMX document. Entries keep their x-provider prop when present
+    // (our own exports); anything else is stored under importProvider so it
+    // serves as a fallback for all providers. Every non-source <tuv> of a
+    // <tu> becomes its own entry. Returns the number of entries stored.
+    async importTMX(tmxText) {
+        const doc = new DOMParser().parseFromString(tmxText, 'text/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('TMX file is not well-formed XML');
+        }
+        const tmx = doc.getElementsByTagName('tmx')[0];
+        if (!tmx) throw new Error('Not a TMX file (missing <tmx> root element)');
+
+        const header = doc.getElementsByTagName('header')[0];
+        const headerSrc = header ? header.getAttribute('srclang') : null;
+        const langOf = (tuv) => tuv.getAttribute('xml:lang') || tuv.getAttribute('lang') || '';
+        const segOf = (tuv) => {
+            const seg = tuv.getElementsByTagName('seg')[0];
+            return seg ? seg.textContent : '';
+        };
+
+        const entries = [];
+        const units = doc.getElementsByTagName('tu');
+        for (let i = 0; i < units.length; i++) {
+            const tu = units[i];
+            let provider = this.importProvider;
+            const props = tu.getElementsByTagName('prop');
+            for (let p = 0; p < props.length; p++) {
+                if (props[p].getAttribute('type') === 'x-provider' && props[p].textContent.trim()) {
+                    provider = props[p].textContent.trim();
+                }
+            }
+
+            const tuvs = Array.from(tu.getElementsByTagName('tuv'));
+            if (tuvs.length < 2) continue;
+            const unitSrc = tu.getAttribute('srclang') || headerSrc;
+            let sourceTuv = tuvs[0];
+            if (unitSrc && unitSrc !== '*all*') {
+                sourceTuv = tuvs.find(tuv => this.normalizeLang(langOf(tuv)) === this.normalizeLang(unitSrc)) || sourceTuv;
+            }
+            const sourceLang = langOf(sourceTuv) === '*all*' ? 'auto' : langOf(sourceTuv);
+            const text = this.normalizeText(segOf(sourceTuv));
+            if (!text) continue;
+
+            for (const tuv of tuvs) {
+                if (tuv === sourceTuv) continue;
+                const translation = this.normalizeText(segOf(tuv));
+                if (!translation) continue;
+                entries.push({
+                    key: this.makeKey(provider, sourceLang, langOf(tuv), text),
+                    provider,
+                    source: this.normalizeLang(sourceLang),
+                    target: this.normalizeLang(langOf(tuv)),
+                    text,
+                    translation,
+                    updated: new Date().toISOString()
+                });
+            }
+        }
+
+        await this._putAll(entries);
+        return entries.length;
+    }
+
+    async _putAll(entries) {
+        if (entries.length === 0) return;
+        const db = await this.open();
+        await new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, 'readwrite');
+            const store = tx.objectStore(this.storeName);
+            for (const entry of entries) store.put(entry);
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    // Memory stores trimmed text; give a hit the same surrounding whitespace
+    // as the segment it is reused for so word spacing between Content
+    // blocks survives.
+    _restoreWhitespace(original, translation) {
+        const leading = (String(original).match(/^\s*/) || [''])[0];
+        const trailing = (String(original).match(/\s*$/) || [''])[0];
+        return leading + translation + trailing;
+    }
+}
+
+// Export for use in other modules (browser global or CommonJS for the CLI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TranslationMemory;
+} else {
+    window.TranslationMemory = TranslationMemory;
+}
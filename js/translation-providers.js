@@ -0,0 +1,608 @@
+// Translation Providers
+// Every machine translation service the Translator can use is a provider
+// with the same contract, so an in-house or self-hosted engine is added by
+// registering a provider instead of editing the Translator:
+//
+//   id, label          identifier stored with jobs and memory entries, and
+//                      the name shown to the user
+//   requiresKey        an API key (or endpoint URL) must be entered;
+//   acceptsKey         one may be entered
+//   limits             { maxSegments, maxChars } of one request. Providers
+//                      with limits get translateBatch() with chunks of the
+//                      batch, the others translate() one segment at a time.
+//   languages          language codes the provider accepts (null = any)
+//   translate(text, translator)         -> translation
+//   translateBatch(texts, translator)   -> translations in the same order
+//   mapError(status, message)           -> Error, fatal when moving on to
+//                                          the next segment will not help
+//   validate(translator)                throws when the provider cannot run
+//   prepare(translator), release(translator)
+//                      called around each batch; prepare resolves true
+//                      when the provider applies the terminology itself
+//   cacheable          false keeps the output out of the translation memory
+//
+// The translator passed in supplies apiKey, sourceLanguage, targetLanguage,
+// terminology, fetchWithRetry() (retries and cancellation) and
+// decodeHtmlEntities().
+
+class TranslationProvider {
+    constructor({ id, label, requiresKey = false, acceptsKey = requiresKey, limits = null, languages = null } = {}) {
+        this.id = id;
+        this.label = label || id;
+        this.requiresKey = requiresKey;
+        this.acceptsKey = acceptsKey;
+        this.limits = limits;
+        this.languages = languages;
+        this.keyPlaceholder = 'Enter your API key';
+        this.missingKeyMessage = `${this.label} requires an API key. Please enter your key or switch to MyMemory (free).`;
+    }
+
+    // Regional variants (pt-BR, zh-TW) count as their base language
+    supportsLanguage(code) {
+        if (!this.languages || !code || code === 'auto') return true;
+        return this.languages.includes(String(code).toLowerCase().split('-')[0]);
+    }
+
+    validate(translator) {
+        if (this.requiresKey && !translator.apiKey) throw new Error(this.missingKeyMessage);
+    }
+
+    // Each falls back on the other, so a provider implements at least one
+    async translate(text, translator) {
+        const [translated] = await this.translateBatch([text], translator);
+        return translated;
+    }
+
+    async translateBatch(texts, translator) {
+        const results = [];
+        for (const text of texts) results.push(await this.translate(text, translator));
+        return results;
+    }
+
+    // Rejected keys, used-up quotas and rate limits that outlasted the
+    // retries are fatal; anything else only fails the segment
+    mapError(status, message) {
+        const error = new Error(message || `${this.label} API error: ${status}`);
+        error.fatal = this.fatalStatuses().includes(status);
+        return error;
+    }
+
+    fatalStatuses() {
+        return [401, 403, 429];
+    }
+
+    async prepare() {
+        return false;
+    }
+
+    async release() {}
+
+    // Fails with the provider's error unless the response is 2xx
+    async checkResponse(response, messageOf) {
+        if (response.ok) return;
+        const message = await messageOf(response).catch(() => null);
+        throw this.mapError(response.status, message);
+    }
+}
+
+// MyMemory: free translation API (no key required, 500 requests/day limit per IP)
+class MyMemoryProvider extends TranslationProvider {
+    constructor() {
+        super({ id: 'mymemory', label: 'MyMemory' });
+    }
+
+    async translate(text, translator) {
+        const langPair = `${translator.sourceLanguage}|${translator.targetLanguage}`;
+        const url = `https://api.mymemory.translated.net/get?q=${encodeURIComponent(text)}&langpair=${encodeURIComponent(langPair)}`;
+
+        const response = await translator.fetchWithRetry(url);
+        await this.checkResponse(response, async () => null);
+
+        const data = await response.json();
+        if (data.responseStatus !== 200) {
+            throw this.mapError(Number(data.responseStatus), data.responseDetails || 'Translation failed');
+        }
+        // When the daily quota runs out MyMemory still answers 200, with a
+        // warning in place of the translation
+        const warning = String(data.responseData.translatedText || '');
+        if (data.quotaFinished || /^MYMEMORY WARNING/i.test(warning)) {
+            throw this.mapError(429, warning || 'MyMemory daily quota used up');
+        }
+
+        return translator.decodeHtmlEntities(data.responseData.translatedText);
+    }
+}
+
+// DeepL: high-quality translation (requires API key, free tier: 500k
+// chars/month). Accepts up to 50 `text` parameters per request.
+class DeepLProvider extends TranslationProvider {
+    constructor() {
+        super({
+            id: 'deepl',
+            label: 'DeepL',
+            requiresKey: true,
+            limits: { maxSegments: 50, maxChars: 100000 },
+            languages: ['ar', 'bg', 'cs', 'da', 'de', 'el', 'en', 'es', 'et', 'fi', 'fr', 'hu', 'id', 'it', 'ja', 'ko',
+                'lt', 'lv', 'nb', 'no', 'nl', 'pl', 'pt', 'ro', 'ru', 'sk', 'sl', 'sv', 'tr', 'uk', 'zh']
+        });
+        this.missingKeyMessage = 'DeepL API key required. Get one free at https://www.deepl.com/pro-api';
+        this.glossaryId = null; // glossary of the running batch (see prepare)
+    }
+
+    // 456: character quota used up
+    fatalStatuses() {
+        return [401, 403, 429, 456];
+    }
+
+    languageCode(code) {
+        return code.toLowerCase() === 'no' ? 'NB' : code.toUpperCase();
+    }
+
+    async translateBatch(texts, translator) {
+        const params = new URLSearchParams({
+            auth_key: translator.apiKey,
+            target_lang: this.languageCode(translator.targetLanguage)
+        });
+        for (const text of texts) params.append('text', text);
+
+        if (translator.sourceLanguage !== 'auto') {
+            params.append('source_lang', this.languageCode(translator.sourceLanguage));
+        }
+        if (this.glossaryId) params.append('glossary_id', this.glossaryId);
+
+        const response = await translator.fetchWithRetry('https://api-free.deepl.com/v2/translate', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: params
+        });
+        await this.checkResponse(response, async r => (await r.json()).message);
+
+        const data = await response.json();
+        if (!data.translations || data.translations.length !== texts.length) {
+            throw new Error(`DeepL returned ${data.translations ? data.translations.length : 0} translations for ${texts.length} texts`);
+        }
+        return data.translations.map(t => translator.decodeHtmlEntities(t.text));
+    }
+
+    // DeepL applies terminology itself through a glossary, created for the
+    // batch from the terms and deleted afterwards. Glossaries need an
+    // explicit source language; without one, or when DeepL refuses the
+    // glossary, the terms are masked as for the other providers.
+    async prepare(translator) {
+        this.glossaryId = null;
+        if (!translator.terminology || !translator.apiKey || translator.sourceLanguage === 'auto') return false;
+        try {
+            const response = await translator.fetchWithRetry('https://api-free.deepl.com/v2/glossaries', {
+                method: 'POST',
+                headers: {
+                    'Authorization': `DeepL-Auth-Key ${translator.apiKey}`,
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                body: new URLSearchParams({
+                    name: 'indesign-update terminology',
+                    source_lang: this.languageCode(translator.sourceLanguage),
+                    target_lang: this.languageCode(translator.targetLanguage),
+                    entries: translator.terminology.toTSV(),
+                    entries_format: 'tsv'
+                })
+            });
+            if (!response.ok) throw new Error(`DeepL glossary error: ${response.status}`);
+            this.glossaryId = (await response.json()).glossary_id || null;
+        } catch (error) {
+            if (translator.isAborted()) return false;
+            console.warn('DeepL glossary unavailable, masking terms instead:', error);
+        }
+        return !!this.glossaryId;
+    }
+
+    async release(translator) {
+        const id = this.glossaryId;
+        this.glossaryId = null;
+        if (!id) return;
+        try {
+            await fetch(`https://api-free.deepl.com/v2/glossaries/${id}`, {
+                method: 'DELETE',
+                headers: { 'Authorization': `DeepL-Auth-Key ${translator.apiKey}` }
+            });
+        } catch (error) {
+            console.warn('DeepL glossary could not be deleted:', error);
+        }
+    }
+}
+
+// Google Cloud Translation v2 (requires API key); takes an array in `q`,
+// up to 128 segments per request
+class GoogleProvider extends TranslationProvider {
+    constructor() {
+        super({ id: 'google', label: 'Google Cloud Translation', requiresKey: true, limits: { maxSegments: 128, maxChars: 30000 } });
+        this.missingKeyMessage = 'Google Cloud Translation API key required';
+    }
+
+    async translateBatch(texts, translator) {
+        const url = `https://translation.googleapis.com/language/translate/v2?key=${translator.apiKey}`;
+
+        const response = await translator.fetchWithRetry(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                q: texts,
+                target: translator.targetLanguage,
+                source: translator.sourceLanguage !== 'auto' ? translator.sourceLanguage : undefined
+            })
+        });
+        await this.checkResponse(response, async r => (await r.json()).error?.message);
+
+        const data = await response.json();
+        const translations = (data.data && data.data.translations) || [];
+        if (translations.length !== texts.length) {
+            throw new Error(`Google returned ${translations.length} translations for ${texts.length} texts`);
+        }
+        return translations.map(t => translator.decodeHtmlEntities(t.translatedText));
+    }
+}
+
+// Xano backend proxy: a server-side endpoint that keeps the real API keys
+// and forwards translation requests. The "key" is the endpoint URL
+// (e.g. https://x8ki-letl-twmt.n7.xano.io/api:xxx/translate).
+class XanoProvider extends TranslationProvider {
+    constructor() {
+        super({ id: 'xano', label: 'Xano', requiresKey: true });
+        this.keyPlaceholder = 'Enter your Xano endpoint URL (e.g., https://x8ki-letl-twmt.n7.xano.io/api:xxx/translate)';
+        this.keyIsUrl = true;
+        this.missingKeyMessage = 'Xano API endpoint URL required';
+    }
+
+    async translate(text, translator) {
+        const response = await translator.fetchWithRetry(translator.apiKey, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                text: text,
+                source: translator.sourceLanguage,
+                target: translator.targetLanguage
+            })
+        });
+        await this.checkResponse(response, async r => `Xano API error: ${r.status} - ${await r.text()}`);
+
+        const data = await response.json();
+        // Adjust based on your Xano endpoint response structure
+        // Example: { translatedText: "..." } or { translation: "..." }
+        const raw = data.translatedText || data.translation || data.text;
+        return translator.decodeHtmlEntities(raw);
+    }
+}
+
+// Any HTTP translation endpoint (LibreTranslate, an OpenAI-compatible chat
+// API, an in-house server) described by a request template and a response
+// path:
+//
+//   url, method, headers   the request; url and header values may use
+//                          {{source}}, {{target}} and {{apiKey}}
+//   body                   request body template. {{text}} is replaced by
+//                          the segment as a JSON string and {{texts}} by
+//                          the chunk as a JSON array; {{source}},
+//                          {{target}} and {{apiKey}} are inserted as plain
+//                          (JSON-escaped) text, so put them inside quotes
+//   responsePath           where the translation is in the JSON response,
+//                          dot separated with array indexes
+//                          ("choices.0.message.content"); "*" maps over an
+//                          array ("translations.*.text"). Empty means the
+//                          whole response body is the translation.
+//   batch                  send chunks with {{texts}} and expect an array
+//                          back; maxSegments and maxChars bound a chunk
+//   languages              accepted codes, empty for any
+class CustomHttpProvider extends TranslationProvider {
+    constructor(config = {}) {
+        const settings = Object.assign({}, CustomHttpProvider.presets.libretranslate, config);
+        super({
+            id: 'custom',
+            label: settings.label || 'Custom HTTP endpoint',
+            acceptsKey: true,
+            limits: settings.batch
+                ? { maxSegments: Number(settings.maxSegments) || 50, maxChars: Number(settings.maxChars) || 5000 }
+                : null,
+            languages: settings.languages && settings.languages.length ? settings.languages.map(code => String(code).toLowerCase()) : null
+        });
+        this.keyPlaceholder = 'Optional API key, sent where the request template uses {{apiKey}}';
+        this.config = settings;
+    }
+
+    // Starting points for the request and response mapping
+    static get presets() {
+        return {
+            libretranslate: {
+                label: 'LibreTranslate',
+                url: 'http://localhost:5000/translate',
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: '{"q": {{texts}}, "source": "{{source}}", "target": "{{target}}", "format": "text", "api_key": "{{apiKey}}"}',
+                responsePath: 'translatedText',
+                batch: true
+            },
+            openai: {
+                label: 'OpenAI-compatible chat API',
+                url: 'http://localhost:11434/v1/chat/completions',
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer {{apiKey}}' },
+                body: '{"model": "llama3.1", "temperature": 0, "messages": [' +
+                    '{"role": "system", "content": "Translate the user message into the language with code {{target}}. ' +
+                    'Keep placeholders such as {1}, {/1}, {T1} and {P1} exactly as they are. Reply with the translation only."}, ' +
+                    '{"role": "user", "content": {{text}}}]}',
+                responsePath: 'choices.0.message.content',
+                batch: false
+            }
+        };
+    }
+
+    validate() {
+        if (!this.config.url) throw new Error('Custom endpoint URL required');
+    }
+
+    // Fill a template; values() gives each token's replacement
+    fill(template, values) {
+        return String(template || '').replace(/\{\{\s*(text|texts|source|target|apiKey)\s*\}\}/g, (token, name) => values(name));
+    }
+
+    request(texts, translator) {
+        const plain = {
+            source: translator.sourceLanguage,
+            target: translator.targetLanguage,
+            apiKey: translator.apiKey || ''
+        };
+        const url = this.fill(this.config.url, name => encodeURIComponent(plain[name] !== undefined ? plain[name] : ''));
+        const headers = {};
+        for (const [name, value] of Object.entries(this.config.headers || {})) {
+            headers[name] = this.fill(value, key => (plain[key] !== undefined ? plain[key] : ''));
+        }
+        const method = (this.config.method || 'POST').toUpperCase();
+        const init = { method, headers };
+        if (method !== 'GET' && method !== 'HEAD') {
+            init.body = this.fill(this.config.body, name => {
+                if (name === 'text') return JSON.stringify(texts[0]);
+                if (name === 'texts') return JSON.stringify(texts);
+                return JSON.stringify(plain[name]).slice(1, -1);
+            });
+        }
+        return { url, init };
+    }
+
+    // Value at a dot path, mapping over arrays at "*"
+    static pick(data, path) {
+        if (!path) return data;
+        const [key, ...rest] = path.split('.');
+        if (data === null || data === undefined) return undefined;
+        if (key === '*') return Array.isArray(data) ? data.map(item => CustomHttpProvider.pick(item, rest.join('.'))) : undefined;
+        return CustomHttpProvider.pick(data[key], rest.join('.'));
+    }
+
+    async translateBatch(texts, translator) {
+        const { url, init } = this.request(texts, translator);
+        const response = await translator.fetchWithRetry(url, init);
+        await this.checkResponse(response, async r => `${this.label} error: ${r.status} - ${await r.text()}`);
+
+        let result;
+        if (this.config.responsePath) {
+            result = CustomHttpProvider.pick(await response.json(), this.config.responsePath);
+        } else {
+            result = await response.text();
+        }
+        const results = this.limits ? result : [result];
+        if (!Array.isArray(results) || results.length !== texts.length || results.some(r => typeof r !== 'string')) {
+            throw new Error(`${this.label} response has no translation at '${this.config.responsePath}' for ${texts.length} text(s)`);
+        }
+        // Chat models tend to add or drop surrounding whitespace; the
+        // segment's own is kept instead
+        return results.map((r, k) => {
+            const [, before, , after] = texts[k].match(/^(\s*)([\s\S]*?)(\s*)$/);
+            return before + translator.decodeHtmlEntities(r.trim()) + after;
+        });
+    }
+
+}
+
+// Offline provider for testing the translation flow without a network or
+// an account, and for checking layouts before paying for translation:
+//
+//   mode          'pseudo': accented letters and text lengthened by
+//                 `expansion` percent, by repeating vowels so words still
+//                 break like words
+//                 'reverse': the characters of each run reversed, for
+//                 right-to-left layout tests
+//                 'dictionary': a segment found in `dictionary`
+//                 ({ source: target }, case-insensitive) is replaced
+//                 whole; otherwise the entries are replaced word by word
+//                 and anything else is kept
+//   brackets      wrap each segment in [ ] so clipped text is easy to spot
+//
+// Run markers and {Tn}/{Pn} placeholders stay where they are, and the same
+// input always gives the same output.
+class PseudoProvider extends TranslationProvider {
+    constructor(config = {}) {
+        super({ id: 'pseudo', label: 'Offline pseudo-localization', limits: { maxSegments: 500, maxChars: 100000 } });
+        this.mode = ['pseudo', 'reverse', 'dictionary'].includes(config.mode) ? config.mode : 'pseudo';
+        const expansion = Number(config.expansion);
+        this.expansion = config.expansion !== undefined && config.expansion !== '' && Number.isFinite(expansion) && expansion >= 0 ? expansion : 35;
+        this.brackets = config.brackets !== false;
+        this.dictionary = new Map(); // lowercased source -> target
+        for (const [source, target] of Object.entries(config.dictionary || {})) {
+            if (source.trim()) this.dictionary.set(source.trim().toLowerCase(), String(target));
+        }
+        const sources = Array.from(this.dictionary.keys()).sort((a, b) => b.length - a.length);
+        this.dictionaryPattern = sources.length
+            ? new RegExp(`(?<![\\p{L}\\p{N}_])(?:${sources.map(source => source.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})(?![\\p{L}\\p{N}_])`, 'giu')
+            : null;
+        // The output depends on these settings, not just the text, so it is
+        // kept out of the translation memory
+        this.cacheable = false;
+    }
+
+    // Accented forms from Latin-1 and Latin Extended-A only, which most
+    // text fonts cover, so missing glyphs don't hide overflow problems
+    static get accents() {
+        return {
+            a: 'á', c: 'ç', d: 'ď', e: 'é', g: 'ğ', h: 'ĥ', i: 'í', j: 'ĵ', k: 'ķ', l: 'ļ', n: 'ñ', o: 'ö', r: 'ŕ',
+            s: 'š', t: 'ţ', u: 'ü', w: 'ŵ', y: 'ý', z: 'ž',
+            A: 'Å', C: 'Ç', D: 'Ď', E: 'É', G: 'Ğ', H: 'Ĥ', I: 'Í', J: 'Ĵ', K: 'Ķ', L: 'Ļ', N: 'Ñ', O: 'Ö', R: 'Ŕ',
+            S: 'Š', T: 'Ţ', U: 'Ü', W: 'Ŵ', Y: 'Ý', Z: 'Ž'
+        };
+    }
+
+    // "source = target" or "source<TAB>target" lines as a dictionary
+    static parseDictionary(text) {
+        const dictionary = {};
+        for (const line of String(text || '').split(/\r?\n/)) {
+            const match = line.match(/^([^\t=]+)(?:\t|=)(.*)$/);
+            if (match && match[1].trim()) dictionary[match[1].trim()] = match[2].trim();
+        }
+        return dictionary;
+    }
+
+    async translateBatch(texts) {
+        return texts.map(text => this.transform(text));
+    }
+
+    transform(text) {
+        // Even indices are text, odd indices run markers and placeholders
+        const parts = String(text).split(/(\{\/?\d+\}|\{[TP]\d+\})/);
+        const whole = parts.length === 1 && this.mode === 'dictionary' ? this.dictionary.get(text.trim().toLowerCase()) : undefined;
+        if (whole !== undefined) {
+            parts[0] = this.keepSpaces(text, () => whole);
+        } else if (this.mode === 'pseudo') {
+            this.pseudo(parts);
+        } else {
+            for (let i = 0; i < parts.length; i += 2) {
+                parts[i] = this.mode === 'reverse'
+                    ? this.keepSpaces(parts[i], core => Array.from(core).reverse().join(''))
+                    : this.lookup(parts[i]);
+            }
+        }
+        if (this.brackets) this.bracket(parts);
+        return parts.join('');
+    }
+
+    // Apply change to text without its leading and trailing whitespace
+    keepSpaces(text, change) {
+        const [, before, core, after] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        return core ? before + change(core) + after : text;
+    }
+
+    lookup(text) {
+        if (!this.dictionaryPattern) return text;
+        return text.replace(this.dictionaryPattern, matched => this.dictionary.get(matched.toLowerCase()));
+    }
+
+    // Lengthen the text parts by `expansion` percent of their length,
+    // spread over the words in proportion to their length, then accent
+    pseudo(parts) {
+        const length = parts.reduce((sum, part, i) => sum + (i % 2 ? 0 : part.length), 0);
+        const letters = parts.reduce((sum, part, i) => sum + (i % 2 ? 0 : (part.match(/\p{L}/gu) || []).length), 0);
+        const rate = letters ? Math.round(length * this.expansion / 100) / letters : 0;
+        const accents = PseudoProvider.accents;
+        let carry = 0;
+        for (let i = 0; i < parts.length; i += 2) {
+            parts[i] = parts[i].replace(/\p{L}+/gu, word => {
+                carry += Array.from(word).length * rate;
+                const extra = Math.floor(carry + 1e-9);
+                carry -= extra;
+                return Array.from(this.lengthen(word, extra)).map(c => accents[c] || c).join('');
+            });
+        }
+    }
+
+    // word with extra characters, repeating its vowels in turn (or its last
+    // letter when it has none)
+    lengthen(word, extra) {
+        if (extra <= 0) return word;
+        const chars = Array.from(word);
+        const vowels = chars.map((c, i) => (/[aeiouy]/i.test(c) ? i : -1)).filter(i => i >= 0);
+        const targets = vowels.length ? vowels : [chars.length - 1];
+        const counts = new Array(chars.length).fill(0);
+        for (let k = 0; k < extra; k++) counts[targets[k % targets.length]]++;
+        return chars.map((c, i) => c + c.toLowerCase().repeat(counts[i])).join('');
+    }
+
+    // [ after any leading run markers and ] before any trailing ones, so
+    // both land inside the first and last runs. Term and inline code
+    // placeholders count as content.
+    bracket(parts) {
+        const content = parts
+            .map((part, i) => (i % 2 ? /^\{[TP]/.test(part) : part.trim() !== ''))
+            .reduce((found, isContent, i) => (isContent ? found.concat(i) : found), []);
+        if (!content.length) return;
+        const first = content[0];
+        const last = content[content.length - 1];
+        if (first % 2) parts[first - 1] += '[';
+        else parts[first] = parts[first].replace(/^(\s*)/, '$1[');
+        if (last % 2) parts[last + 1] = ']' + parts[last + 1];
+        else parts[last] = parts[last].replace(/(\s*)$/, ']$1');
+    }
+}
+
+// The providers a Translator can use, by id
+class TranslationProviders {
+    constructor(providers = []) {
+        this.providers = new Map();
+        providers.forEach(provider => this.register(provider));
+    }
+
+    // The built-in providers; "custom" and "pseudo" are replaced once they
+    // are configured
+    static createDefault() {
+        return new TranslationProviders([
+            new MyMemoryProvider(),
+            new DeepLProvider(),
+            new GoogleProvider(),
+            new XanoProvider(),
+            new CustomHttpProvider(),
+            new PseudoProvider()
+        ]);
+    }
+
+    // Adds or replaces a provider
+    register(provider) {
+        if (!provider || !provider.id) throw new Error('A translation provider needs an id');
+        for (const method of ['translate', 'translateBatch', 'mapError']) {
+            if (typeof provider[method] !== 'function') throw new Error(`Translation provider '${provider.id}' has no ${method}()`);
+        }
+        // The inherited translate and translateBatch call each other
+        if (provider.translate === TranslationProvider.prototype.translate && provider.translateBatch === TranslationProvider.prototype.translateBatch) {
+            throw new Error(`Translation provider '${provider.id}' must implement translate() or translateBatch()`);
+        }
+        this.providers.set(provider.id, provider);
+        return provider;
+    }
+
+    get(id) {
+        return this.providers.get(id) || null;
+    }
+
+    list() {
+        return Array.from(this.providers.values());
+    }
+}
+
+Object.assign(TranslationProviders, {
+    TranslationProvider,
+    MyMemoryProvider,
+    DeepLProvider,
+    GoogleProvider,
+    XanoProvider,
+    CustomHttpProvider,
+    PseudoProvider
+});
+
+// Export for use in other modules (browser global or CommonJS for the CLI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TranslationProviders;
+} else {
+    window.TranslationProviders = TranslationProviders;
+    window.TranslationProvider = TranslationProvider;
+    window.CustomHttpProvider = CustomHttpProvider;
+    window.PseudoProvider = PseudoProvider;
+}
@@ -8,6 +8,56 @@ class Translator {
         this.provider = 'mymemory'; // default free provider (no key needed)
         this.sourceLanguage = 'auto';
         this.targetLanguage = 'en';
+        this.memory = null; // optional TranslationMemory, checked before any API call
+        this.jobs = null; // optional TranslationJobs, makes translateIDML resumable
+        this.terminology = null; // optional Terminology enforced on every translation
+        this.providerAppliesTerms = false; // see prepareProvider
+        // Every provider this translator can use, by id; this.provider
+        // names the current one
+        this.providers = TranslationProviders.createDefault();
+        this.useMemory = true;
+        this.lastBatchStats = null;
+        // AbortSignal of the running translateBatch; its requests, retries
+        // and delays stop when it is aborted
+        this.signal = null;
+
+        // Batching for providers whose APIs accept arrays (DeepL, Google).
+        // maxSegments/maxChars bound a single request, concurrency bounds the
+        // number of requests in flight, and 429/5xx responses are retried with
+        // exponential backoff. requestDelayMs spaces out the one-at-a-time
+        // providers (MyMemory, Xano).
+        this.batchOptions = {
+            maxSegments: 50,
+            maxChars: 5000,
+            concurrency: 3,
+            maxRetries: 4,
+            baseDelayMs: 500,
+            maxDelayMs: 16000,
+            requestDelayMs: 200
+        };
+    }
+
+    setMemory(memory) {
+        this.memory = memory;
+    }
+
+    setJobStore(jobs) {
+        this.jobs = jobs;
+    }
+
+    setTerminology(terminology) {
+        this.terminology = terminology && !terminology.isEmpty() ? terminology : null;
+    }
+
+    setBatchOptions(options = {}) {
+        for (const [key, value] of Object.entries(options)) {
+            const n = Number(value);
+            if (key in this.batchOptions && Number.isFinite(n) && n >= 0) this.batchOptions[key] = n;
+        }
+    }
+
+    supportsBatch() {
+        return !!this.getProvider().limits;
     }
 
     setApiKey(key, provider = 'deepl') {
@@ -21,13 +71,42 @@ class Translator {
         this.targetLanguage = target;
     }
 
+    // Apply a job's settings given as plain data, so the page and the
+    // processing worker configure a translator the same way:
+    // { provider, apiKey, sourceLang, targetLang, useMemory, batchOptions,
+    //   terms, customProvider, pseudoProvider } where terms are
+    //   Terminology entries and customProvider and pseudoProvider are the
+    //   CustomHttpProvider and PseudoProvider configurations
+    configure(settings = {}) {
+        if (settings.customProvider) this.registerProvider(new TranslationProviders.CustomHttpProvider(settings.customProvider));
+        if (settings.pseudoProvider) this.registerProvider(new TranslationProviders.PseudoProvider(settings.pseudoProvider));
+        this.setLanguages(settings.sourceLang || 'auto', settings.targetLang || 'en');
+        this.useMemory = settings.useMemory !== false;
+        this.setBatchOptions(settings.batchOptions || {});
+        this.setTerminology(settings.terms && settings.terms.length ? new Terminology(settings.terms) : null);
+        if (settings.apiKey !== undefined) {
+            // An empty key clears the previous one, so checkProvider()
+            // sees what was actually entered
+            this.setApiKey(settings.apiKey || null, settings.provider || this.provider);
+        } else if (settings.provider) {
+            this.provider = settings.provider;
+        }
+    }
+
     // Decode HTML/numeric entities returned by translation APIs
     decodeHtmlEntities(str) {
         if (!str || typeof str !== 'string') return str;
         try {
             // First decode numeric entities like &#39;
             str = str.replace(/&#(\d+);/g, function(_, n) { return String.fromCharCode(Number(n)); });
-            // Use DOM to decode named entities
+            // Use DOM to decode named entities; without a DOM (Node CLI)
+            // handle hex references and the entities the APIs actually emit
+            if (typeof document === 'undefined') {
+                const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: '\u00A0' };
+                return str
+                    .replace(/&#x([0-9a-fA-F]+);/g, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+                    .replace(/&([a-zA-Z]+);/g, (m, name) => Object.prototype.hasOwnProperty.call(named, name) ? named[name] : m);
+            }
             const d = document.createElement('div');
             d.innerHTML = str;
             return d.textContent || d.innerText || '';
@@ -36,174 +115,609 @@ class Translator {
         }
     }
 
+    // The provider settings name, or the current one (see
+    // js/translation-providers.js)
+    getProvider(id = this.provider) {
+        const provider = this.providers.get(id);
+        if (!provider) throw new Error(`Unsupported translation provider: ${id}`);
+        return provider;
+    }
+
+    // Adds an in-house or self-hosted engine, or replaces a built-in one
+    registerProvider(provider) {
+        return this.providers.register(provider);
+    }
+
+    // Throws when the current provider cannot translate the language pair
+    // or is missing its key or endpoint
+    checkProvider() {
+        const provider = this.getProvider();
+        if (provider.validate) provider.validate(this);
+        for (const code of [this.sourceLanguage, this.targetLanguage]) {
+            if (provider.supportsLanguage && !provider.supportsLanguage(code)) {
+                throw new Error(`${provider.label} does not support the language '${code}'`);
+            }
+        }
+        return provider;
+    }
+
     async translateText(text) {
         if (!text || text.trim().length === 0) return text;
 
         try {
-            switch (this.provider) {
-                case 'mymemory':
-                    return await this.translateWithMyMemory(text);
-                case 'deepl':
-                    return await this.translateWithDeepL(text);
-                case 'google':
-                    return await this.translateWithGoogle(text);
-                case 'xano':
-                    return await this.translateWithXano(text);
-                default:
-                    throw new Error('Unsupported translation provider');
-            }
+            return await this.getProvider().translate(text, this);
         } catch (error) {
             console.error('Translation error:', error);
-            throw new Error(`Translation failed: ${error.message}`);
+            throw this.wrapError(error);
         }
     }
 
-    // MyMemory: Free translation API (no key required, 500 requests/day limit per IP)
-    async translateWithMyMemory(text) {
-        const langPair = `${this.sourceLanguage}|${this.targetLanguage}`;
-        const url = `https://api.mymemory.translated.net/get?q=${encodeURIComponent(text)}&langpair=${encodeURIComponent(langPair)}`;
-        
-        const response = await fetch(url);
-        if (!response.ok) {
-            throw new Error(`MyMemory API error: ${response.status}`);
-        }
-        
-        const data = await response.json();
-        if (data.responseStatus !== 200) {
-            throw new Error(data.responseDetails || 'Translation failed');
+    // Translate several texts in one request with a provider that supports it
+    async translateMany(texts) {
+        try {
+            if (!this.supportsBatch()) throw new Error(`Provider '${this.provider}' does not support batch requests`);
+            return await this.getProvider().translateBatch(texts, this);
+        } catch (error) {
+            console.error('Batch translation error:', error);
+            throw this.wrapError(error);
         }
-        
-        return this.decodeHtmlEntities(data.responseData.translatedText);
     }
 
-    // DeepL: High-quality translation (requires API key, free tier: 500k chars/month)
-    async translateWithDeepL(text) {
-        if (!this.apiKey) {
-            throw new Error('DeepL API key required. Get one free at https://www.deepl.com/pro-api');
-        }
+    // Errors that moving on to the next segment will not fix (key rejected,
+    // quota used up, still rate limited after retries) are marked fatal by
+    // the provider's mapError() so translateBatch stops instead of failing
+    // every remaining segment
+    wrapError(error) {
+        const wrapped = new Error(`Translation failed: ${error.message}`);
+        wrapped.fatal = !!error.fatal;
+        return wrapped;
+    }
 
-        const url = 'https://api-free.deepl.com/v2/translate';
-        const params = new URLSearchParams({
-            auth_key: this.apiKey,
-            text: text,
-            target_lang: this.targetLanguage.toUpperCase()
-        });
+    // Let the provider set up for a batch and clean up after it. Providers
+    // that enforce the terminology themselves (DeepL with a glossary) get
+    // the terms unmasked.
+    async prepareProvider() {
+        const provider = this.getProvider();
+        this.providerAppliesTerms = provider.prepare ? !!(await provider.prepare(this)) : false;
+    }
 
-        if (this.sourceLanguage !== 'auto') {
-            params.append('source_lang', this.sourceLanguage.toUpperCase());
-        }
+    async releaseProvider() {
+        const provider = this.providers.get(this.provider);
+        this.providerAppliesTerms = false;
+        if (provider && provider.release) await provider.release(this);
+    }
 
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded'
-            },
-            body: params
-        });
+    // Send texts through translate(texts) with the terminology applied:
+    // terms are masked as placeholders unless the provider handles them
+    async translateWithTerms(texts, translate) {
+        if (!this.terminology || this.providerAppliesTerms) return translate(texts);
+        const masked = texts.map(text => this.terminology.mask(text));
+        const results = await translate(masked.map(m => m.text));
+        return results.map((result, k) => this.terminology.unmask(result, masked[k].slots));
+    }
+
+    // fetch() that retries rate-limit (429) and server (5xx) responses and
+    // network errors with exponential backoff, honouring Retry-After when the
+    // provider sends it. Other responses are returned to the caller as-is.
+    async fetchWithRetry(url, init) {
+        const { maxRetries } = this.batchOptions;
+        const request = Object.assign({}, init, this.signal ? { signal: this.signal } : {});
+        for (let attempt = 0; ; attempt++) {
+            this.throwIfAborted();
+            let response;
+            try {
+                response = await fetch(url, request);
+            } catch (error) {
+                if (attempt >= maxRetries || this.isAborted()) throw error;
+                console.warn(`Translation request failed (${error.message}); retrying (${attempt + 1}/${maxRetries})`);
+                await this.delay(this.backoffDelay(attempt));
+                continue;
+            }
+
+            if ((response.status === 429 || response.status >= 500) && attempt < maxRetries) {
+                const retryAfter = Number(response.headers && response.headers.get('Retry-After'));
+                const wait = retryAfter > 0 ? retryAfter * 1000 : this.backoffDelay(attempt);
+                console.warn(`Translation API returned ${response.status}; retrying in ${wait}ms (${attempt + 1}/${maxRetries})`);
+                await this.delay(wait);
+                continue;
+            }
 
-        if (!response.ok) {
-            const error = await response.json().catch(() => ({}));
-            throw new Error(error.message || `DeepL API error: ${response.status}`);
+            return response;
         }
+    }
 
-        const data = await response.json();
-        const raw = data.translations[0].text;
-        return this.decodeHtmlEntities(raw);
+    isAborted() {
+        return !!(this.signal && this.signal.aborted);
     }
 
-    // Google Cloud Translation API (requires API key)
-    async translateWithGoogle(text) {
-        if (!this.apiKey) {
-            throw new Error('Google Cloud Translation API key required');
-        }
+    throwIfAborted() {
+        if (!this.isAborted()) return;
+        const error = new Error('Translation cancelled');
+        error.name = 'AbortError';
+        throw error;
+    }
 
-        const url = `https://translation.googleapis.com/language/translate/v2?key=${this.apiKey}`;
-        
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                q: text,
-                target: this.targetLanguage,
-                source: this.sourceLanguage !== 'auto' ? this.sourceLanguage : undefined
-            })
-        });
+    // Exponential backoff with jitter so parallel requests don't retry in lockstep
+    backoffDelay(attempt) {
+        const { baseDelayMs, maxDelayMs } = this.batchOptions;
+        const ceiling = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt));
+        return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    }
 
-        if (!response.ok) {
-            const error = await response.json().catch(() => ({}));
-            throw new Error(error.error?.message || `Google API error: ${response.status}`);
+    // Split texts into request-sized chunks by segment count and characters.
+    // A single text longer than maxChars still gets a chunk of its own.
+    chunkTexts(texts) {
+        // Hard per-request limits documented by the provider
+        const limits = this.getProvider().limits || {};
+        const maxSegments = Math.max(1, Math.min(this.batchOptions.maxSegments || Infinity, limits.maxSegments || Infinity));
+        const maxChars = Math.max(1, Math.min(this.batchOptions.maxChars || Infinity, limits.maxChars || Infinity));
+
+        const chunks = [];
+        let current = [];
+        let chars = 0;
+        for (const text of texts) {
+            if (current.length > 0 && (current.length >= maxSegments || chars + text.length > maxChars)) {
+                chunks.push(current);
+                current = [];
+                chars = 0;
+            }
+            current.push(text);
+            chars += text.length;
         }
+        if (current.length > 0) chunks.push(current);
+        return chunks;
+    }
 
-        const data = await response.json();
-        const raw = data.data.translations[0].translatedText;
-        return this.decodeHtmlEntities(raw);
+    // Run worker over items with at most `limit` promises in flight
+    async runWithConcurrency(items, limit, worker) {
+        let next = 0;
+        const runners = [];
+        const run = async () => {
+            while (next < items.length) {
+                const index = next++;
+                await worker(items[index], index);
+            }
+        };
+        for (let i = 0; i < Math.max(1, Math.min(limit, items.length)); i++) runners.push(run());
+        await Promise.all(runners);
     }
 
-    // Xano Backend Proxy: Secure server-side API that handles translation
-    // Your Xano endpoint stores API keys securely and forwards translation requests
-    async translateWithXano(text) {
-        if (!this.apiKey) {
-            throw new Error('Xano API endpoint URL required');
-        }
+    // Providers that are not cacheable (see js/translation-providers.js)
+    // bypass the memory
+    usesMemory() {
+        const provider = this.providers.get(this.provider);
+        return !!this.memory && this.useMemory && !(provider && provider.cacheable === false);
+    }
 
-        // this.apiKey stores your Xano endpoint URL (e.g., https://x8ki-letl-twmt.n7.xano.io/api:xxx/translate)
-        const url = this.apiKey;
-        
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                text: text,
-                source: this.sourceLanguage,
-                target: this.targetLanguage
-            })
-        });
+    // Translation memory lookups never fail a job: any IndexedDB problem is
+    // logged and treated as a miss.
+    async lookupMemory(text) {
+        if (!this.usesMemory()) return null;
+        try {
+            return await this.memory.lookup(this.provider, this.sourceLanguage, this.targetLanguage, text);
+        } catch (error) {
+            console.warn('Translation memory lookup failed:', error);
+            return null;
+        }
+    }
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Xano API error: ${response.status} - ${errorText}`);
+    async rememberTranslation(text, translation) {
+        if (!this.usesMemory()) return;
+        try {
+            await this.memory.store(this.provider, this.sourceLanguage, this.targetLanguage, text, translation);
+        } catch (error) {
+            console.warn('Translation memory write failed:', error);
         }
+    }
 
-        const data = await response.json();
-        // Adjust based on your Xano endpoint response structure
-        // Example: { translatedText: "..." } or { translation: "..." }
-        const raw = data.translatedText || data.translation || data.text;
-        return this.decodeHtmlEntities(raw);
+    // Batch translate multiple text strings. Strings already in the
+    // translation memory and repeats within the batch are answered without
+    // a network call; lastBatchStats records how many were. Providers with
+    // request limits (DeepL, Google, batching custom endpoints) get chunked
+    // array requests with bounded concurrency; other providers are called
+    // one segment at a time with requestDelayMs between calls.
+    // onProgress still receives per-segment counts either way, and
+    // onSegment(index, translation, status) is called as each text is
+    // translated.
+    //
+    // lastBatchStats.statuses holds each text's status: 'translated' by the
+    // provider, 'cached' (translation memory or a repeat within the batch),
+    // 'failed', or 'skipped' (blank, or never sent because the batch
+    // stopped). Texts that could not be translated are left undefined
+    // rather than replaced by their source, and lastBatchStats.failed lists
+    // them with the error. A fatal error (see wrapError) stops the batch: nothing more
+    // is sent and lastBatchStats.stoppedBy holds its message. Aborting
+    // signal stops the batch the same way and sets lastBatchStats.cancelled.
+    async translateBatch(texts, onProgress, { signal = null, onSegment = null } = {}) {
+        this.signal = signal;
+        try {
+            this.checkProvider();
+            return await this._translateBatch(texts, onProgress, onSegment || (() => {}));
+        } finally {
+            await this.releaseProvider();
+            this.signal = null;
+        }
     }
 
-    // Batch translate multiple text strings (with rate limiting)
-    async translateBatch(texts, onProgress) {
-        const translated = [];
+    async _translateBatch(texts, onProgress, onSegment) {
         const total = texts.length;
-
-        for (let i = 0; i < texts.length; i++) {
-            try {
-                const result = await this.translateText(texts[i]);
-                translated.push(result);
-                
-                if (onProgress) {
-                    onProgress((i + 1) / total * 100, `Translating ${i + 1}/${total}`);
+        const translated = new Array(total);
+        const statuses = new Array(total).fill('skipped');
+        const failed = [];
+        let stoppedBy = null;
+        let done = 0;
+        let cached = 0;
+
+        const report = () => {
+            if (onProgress) {
+                const reused = cached ? ` (${cached} reused)` : '';
+                onProgress(total ? done / total * 100 : 100, `Translating ${done}/${total}${reused}`);
+            }
+        };
+        const stopped = () => this.isAborted() || stoppedBy !== null;
+
+        // Resolve memory hits first and group identical strings so each
+        // distinct text is sent once. A hit that lacks a required term (it
+        // was stored before the term was added, or under other terms) is
+        // translated again.
+        const pending = new Map(); // source text -> indices waiting for it
+        for (let i = 0; i < total; i++) {
+            if (this.isAborted()) break;
+            const text = texts[i];
+            if (!text || text.trim().length === 0) {
+                translated[i] = text;
+                onSegment(i, text, 'skipped');
+                done++;
+                continue;
+            }
+            if (pending.has(text)) {
+                pending.get(text).push(i);
+                continue;
+            }
+            const hit = await this.lookupMemory(text);
+            if (hit !== null && !(this.terminology && this.terminology.check(text, hit).length > 0)) {
+                translated[i] = hit;
+                statuses[i] = 'cached';
+                onSegment(i, hit, 'cached');
+                cached++;
+                done++;
+                continue;
+            }
+            pending.set(text, [i]);
+        }
+        if (done > 0) report();
+
+        const settle = async (text, result) => {
+            const indices = pending.get(text);
+            indices.forEach((index, k) => {
+                translated[index] = result;
+                statuses[index] = k === 0 ? 'translated' : 'cached';
+                onSegment(index, result, statuses[index]);
+            });
+            done += indices.length;
+            cached += indices.length - 1;
+            await this.rememberTranslation(text, result);
+        };
+        const fail = (text, error) => {
+            for (const index of pending.get(text)) {
+                statuses[index] = 'failed';
+                failed.push({ index, error: error.message });
+            }
+            done += pending.get(text).length;
+            if (error.fatal && stoppedBy === null) stoppedBy = error.message;
+        };
+
+        // The provider is only set up (a DeepL glossary created) when
+        // something is left to send
+        const unique = Array.from(pending.keys());
+        if (unique.length > 0 && !stopped()) await this.prepareProvider();
+        if (this.supportsBatch()) {
+            const chunks = this.chunkTexts(unique);
+            await this.runWithConcurrency(chunks, this.batchOptions.concurrency, async (chunk, chunkIndex) => {
+                if (stopped()) return;
+                try {
+                    const results = await this.translateWithTerms(chunk, texts => this.translateMany(texts));
+                    for (let k = 0; k < chunk.length; k++) await settle(chunk[k], results[k]);
+                } catch (error) {
+                    if (this.isAborted()) return; // left untranslated
+                    console.error(`Failed to translate chunk ${chunkIndex + 1}/${chunks.length}:`, error);
+                    for (const text of chunk) fail(text, error);
                 }
+                report();
+            });
+        } else {
+            for (let k = 0; k < unique.length; k++) {
+                if (stopped()) break;
+                try {
+                    const [result] = await this.translateWithTerms([unique[k]], async ([text]) => [await this.translateText(text)]);
+                    await settle(unique[k], result);
+                } catch (error) {
+                    if (this.isAborted()) break; // left untranslated
+                    console.error(`Failed to translate text ${k + 1}:`, error);
+                    fail(unique[k], error);
+                }
+                report();
 
                 // Rate limiting: small delay between requests to avoid hitting API limits
-                if (i < texts.length - 1) {
-                    await this.delay(200); // 200ms delay between requests
+                if (k < unique.length - 1 && !stopped()) {
+                    await this.delay(this.batchOptions.requestDelayMs);
                 }
-            } catch (error) {
-                console.error(`Failed to translate text ${i + 1}:`, error);
-                translated.push(texts[i]); // fallback to original text
             }
         }
 
+        failed.sort((a, b) => a.index - b.index);
+        this.lastBatchStats = { total, cached, done, statuses, failed, stoppedBy, cancelled: this.isAborted() };
         return translated;
     }
 
+    // Resolves early when the running batch is cancelled. The abort
+    // listener is removed once the delay is over, so a long job does not
+    // pile up one listener per request.
     delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+        const signal = this.signal;
+        return new Promise(resolve => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    // Translate every story of the IDML loaded in idmlProcessor and package
+    // the result. byParagraph sends each paragraph as one segment (runs
+    // marked with {n}...{/n}); otherwise every <Content> element is sent on
+    // its own. Stories are translated from their original text and the
+    // translated stories replace idmlProcessor.modifiedFiles. Returns the
+    // same shape as IDMLProcessor.processReplacements plus the batch stats.
+    // result.statusCounts counts the segments by status (see
+    // translateBatch). With a terminology, result.termIssues lists the
+    // translated segments missing a required term ({ index, file, source,
+    // translation, missing }). Segments that were not translated keep their
+    // original text and are listed in result.untranslated ({ index, file,
+    // source, status, error }).
+    // When signal is aborted the segments translated so far are packaged
+    // and the result has cancelled: true with segmentCount the number of
+    // segments the job had.
+    //
+    // With a job store and fileKey the job is saved as it runs (see
+    // openJob); resumeJobId continues a saved job from its first
+    // untranslated segment, or retries only the segment indices in
+    // retrySegments. result.jobId names the saved job while segments
+    // remain; a finished job is deleted.
+    async translateIDML(idmlProcessor, { byParagraph = true, signal = null, fileKey = null, fileName = '', resumeJobId = null, retrySegments = null } = {}, onProgress) {
+        const progress = (percent, message) => {
+            if (onProgress) onProgress(percent, message);
+        };
+        this.checkProvider();
+        const allTexts = [];
+        const segmentFiles = []; // story path of each segment
+        const storyMappings = [];
+
+        for (const storyPath of idmlProcessor.storyFiles) {
+            const storyFile = idmlProcessor.idmlZip.file(storyPath);
+            if (!storyFile) continue;
+
+            const xmlContent = await storyFile.async('text');
+            const segments = byParagraph
+                ? this.extractSegmentsFromIDML(xmlContent)
+                : this.extractTextFromIDML(xmlContent).map(t => ({ runs: [t], source: t.decoded, codes: t.codes }));
+
+            if (segments.length > 0) {
+                storyMappings.push({
+                    path: storyPath,
+                    originalXml: xmlContent,
+                    segments,
+                    textMappings: segments.flatMap(segment => segment.runs)
+                });
+                allTexts.push(...segments.map(segment => segment.source));
+                segmentFiles.push(...segments.map(() => storyPath));
+            }
+        }
+
+        if (allTexts.length === 0) {
+            throw new Error('No translatable text found in IDML');
+        }
+
+        const job = await this.openJob(allTexts, { fileKey, fileName, byParagraph, resumeJobId });
+        const translated = job
+            ? job.translations.map(translation => (translation === null ? undefined : translation))
+            : new Array(allTexts.length);
+        const statuses = job && job.statuses ? job.statuses.slice() : new Array(allTexts.length).fill(null);
+        const retry = retrySegments ? new Set(retrySegments) : null;
+        const todo = []; // indices of the segments this run translates
+        for (let i = 0; i < allTexts.length; i++) {
+            if (translated[i] === undefined && (!retry || retry.has(i))) todo.push(i);
+        }
+        const resumed = allTexts.length - todo.length;
+
+        if (retry) progress(10, `Retrying ${todo.length} segment(s)...`);
+        else if (resumed) progress(10, `Resuming at segment ${todo[0] + 1}: ${todo.length} of ${allTexts.length} segments left...`);
+        else progress(10, `Translating ${allTexts.length} text segments...`);
+        const saver = this._jobSaver(job);
+        try {
+            await this.translateBatch(todo.map(i => allTexts[i]), (percent, message) => {
+                progress(10 + (resumed + percent / 100 * todo.length) / allTexts.length * 80, message);
+            }, {
+                signal,
+                onSegment: (k, translation, status) => {
+                    translated[todo[k]] = translation;
+                    statuses[todo[k]] = status;
+                    if (!job) return;
+                    job.translations[todo[k]] = translation;
+                    job.statuses[todo[k]] = status;
+                    delete job.errors[todo[k]];
+                    saver.schedule();
+                }
+            });
+        } finally {
+            await saver.flush();
+        }
+
+        const stats = this.lastBatchStats || { total: todo.length, cached: 0, failed: [], stoppedBy: null, cancelled: false };
+        const errors = new Map(stats.failed.map(failure => [todo[failure.index], failure.error]));
+        const notSent = stats.stoppedBy ? `Not sent (stopped: ${stats.stoppedBy})` : 'Not sent (cancelled)';
+        const ran = new Set(todo);
+        const untranslated = [];
+        const statusCounts = { translated: 0, cached: 0, failed: 0, skipped: 0 };
+        for (let i = 0; i < allTexts.length; i++) {
+            if (translated[i] === undefined) {
+                // Segments left out of a retry keep what the job recorded
+                const error = errors.get(i) || (ran.has(i) ? notSent : (job && job.errors[i]) || 'Not sent');
+                statuses[i] = errors.has(i) || (!ran.has(i) && statuses[i] === 'failed') ? 'failed' : 'skipped';
+                untranslated.push({ index: i, file: segmentFiles[i], source: allTexts[i], status: statuses[i], error });
+            } else if (!statuses[i]) {
+                statuses[i] = 'translated';
+            }
+            statusCounts[statuses[i]]++;
+        }
+        if (job) await this._finishJob(job, untranslated, statuses, stats);
+
+        // Every translated segment, including those from the translation
+        // memory or an earlier run, must contain its terms
+        const termIssues = [];
+        if (this.terminology) {
+            for (let i = 0; i < allTexts.length; i++) {
+                if (translated[i] === undefined) continue;
+                const missing = this.terminology.check(allTexts[i], translated[i]);
+                if (missing.length) termIssues.push({ index: i, file: segmentFiles[i], source: allTexts[i], translation: translated[i], missing });
+            }
+        }
+
+        progress(90, 'Injecting translations...');
+        const modifiedFiles = new Map();
+        let translatedIndex = 0;
+
+        for (const storyMapping of storyMappings) {
+            // Paragraph translations are split back across their original
+            // style runs
+            storyMapping.translatedCount = 0;
+            for (const segment of storyMapping.segments) {
+                const translation = translated[translatedIndex++];
+                if (translation === undefined) continue; // failed, or cancelled before this segment
+                storyMapping.translatedCount++;
+                if (byParagraph) {
+                    this.distributeSegmentTranslation(segment, translation);
+                } else {
+                    segment.runs[0].translated = translation;
+                    this._settleCodes(segment);
+                }
+            }
+            modifiedFiles.set(storyMapping.path, this.injectTranslatedText(storyMapping.originalXml, storyMapping.textMappings));
+        }
+
+        idmlProcessor.modifiedFiles = modifiedFiles;
+        progress(95, 'Packaging IDML...');
+        const modifiedIdmlBytes = await idmlProcessor.createModifiedIDML();
+
+        const translatedCount = storyMappings.reduce((sum, sm) => sum + sm.translatedCount, 0);
+        return {
+            success: true,
+            modifiedIdmlBytes,
+            totalReplacements: translatedCount,
+            segmentCount: allTexts.length,
+            resumedCount: resumed,
+            statusCounts,
+            cancelled: stats.cancelled && untranslated.length > 0,
+            stoppedBy: stats.stoppedBy,
+            untranslated,
+            termIssues,
+            jobId: job && untranslated.length > 0 ? job.id : null,
+            replacementLog: storyMappings.filter(sm => sm.translatedCount > 0).map(sm => ({
+                file: sm.path,
+                original: `${sm.translatedCount} text segments`,
+                replacement: 'Translated',
+                count: sm.translatedCount
+            })),
+            stats
+        };
+    }
+
+    // The saved job translateIDML records its progress in: the one
+    // resumeJobId names, or a new job for fileKey. Null without a job store
+    // or fileKey. A job that cannot be resumed (different language pair or
+    // segments) is an error; the job store failing is not, it only makes
+    // the translation non-resumable.
+    async openJob(segments, { fileKey, fileName, byParagraph, resumeJobId }) {
+        if (!this.jobs || !fileKey) return null;
+
+        if (resumeJobId) {
+            let job = null;
+            try {
+                job = await this.jobs.get(resumeJobId);
+            } catch (error) {
+                console.warn('Translation job lookup failed:', error);
+            }
+            if (!job) throw new Error('The saved translation job was not found; start a new translation');
+            if (job.sourceLang !== this.sourceLanguage || job.targetLang !== this.targetLanguage) {
+                throw new Error(`The saved job translates ${job.sourceLang} → ${job.targetLang}; choose those languages to resume it`);
+            }
+            if (job.segments.length !== segments.length || job.segments.some((source, i) => source !== segments[i])) {
+                throw new Error('The document or its segmentation has changed since the job was saved; start a new translation');
+            }
+            if (!job.statuses) job.statuses = new Array(segments.length).fill(null);
+            job.provider = this.provider;
+            job.status = 'running';
+            job.error = null;
+            return job;
+        }
+
+        try {
+            return await this.jobs.create({
+                fileKey,
+                fileName,
+                provider: this.provider,
+                sourceLang: this.sourceLanguage,
+                targetLang: this.targetLanguage,
+                byParagraph
+            }, segments);
+        } catch (error) {
+            console.warn('Translation job could not be saved:', error);
+            return null;
+        }
+    }
+
+    // Writes a running job at most every two seconds; flush() writes any
+    // pending change and waits for it
+    _jobSaver(job) {
+        let timer = null;
+        let writing = Promise.resolve();
+        const write = () => {
+            timer = null;
+            writing = writing
+                .then(() => this.jobs.save(job))
+                .catch(error => console.warn('Translation job save failed:', error));
+            return writing;
+        };
+        return {
+            schedule: () => {
+                if (job && !timer) timer = setTimeout(write, 2000);
+            },
+            flush: () => {
+                if (timer) clearTimeout(timer);
+                return job ? write() : writing;
+            }
+        };
+    }
+
+    async _finishJob(job, untranslated, statuses, stats) {
+        try {
+            if (untranslated.length === 0) {
+                await this.jobs.delete(job.id);
+                return;
+            }
+            job.statuses = statuses;
+            for (const segment of untranslated) job.errors[segment.index] = segment.error;
+            job.status = stats.cancelled ? 'cancelled' : 'incomplete';
+            job.error = stats.stoppedBy;
+            await this.jobs.save(job);
+        } catch (error) {
+            console.warn('Translation job save failed:', error);
+        }
     }
 
     // Extract translatable text from IDML content
@@ -214,12 +728,14 @@ class Translator {
 
         while ((match = contentRegex.exec(xmlContent)) !== null) {
             const innerText = match[1];
-            // Decode XML entities
-            const decoded = this.decodeXMLEntities(innerText);
-            if (decoded.trim().length > 0) {
+            // Decode XML entities, with inline codes as placeholders
+            const codes = [];
+            const decoded = this.protectContent(innerText, codes);
+            if (this._hasText(decoded)) {
                 texts.push({
                     original: innerText,
                     decoded: decoded,
+                    codes,
                     fullMatch: match[0],
                     index: match.index
                 });
@@ -229,18 +745,239 @@ class Translator {
         return texts;
     }
 
-    // Inject translated text back into IDML XML
+    // Characters InDesign uses as inline markers or layout controls: tab,
+    // discretionary hyphen and line break, zero-width joiners, forced line
+    // break, paragraph separator, word joiner, zero-width no-break space and
+    // the anchored-object marker
+    static get specialCharacters() {
+        return '\t\u00AD\u200B\u200C\u200D\u2028\u2029\u2060\uFEFF\uFFFC';
+    }
+
+    // Decode the inner XML of a <Content> element for translation. Inline
+    // codes — processing instructions such as <?ACE 18?> (page number) and
+    // the special characters above, literal or as character references —
+    // become {Pn} placeholders, numbered on from codes.length; the original
+    // bytes of each are appended to codes so injectTranslatedText can put
+    // them back unchanged.
+    protectContent(raw, codes) {
+        const special = new RegExp(`^[${Translator.specialCharacters}]$`);
+        const codeRegex = new RegExp(`<\\?[\\s\\S]*?\\?>|&#(x[0-9a-fA-F]+|\\d+);|[${Translator.specialCharacters}]`, 'g');
+        let text = '';
+        let last = 0;
+        let match;
+        while ((match = codeRegex.exec(raw)) !== null) {
+            if (match[1] !== undefined) {
+                const code = match[1][0] === 'x' ? parseInt(match[1].slice(1), 16) : Number(match[1]);
+                if (!special.test(String.fromCodePoint(code))) continue; // an ordinary character
+            }
+            codes.push(match[0]);
+            text += this.decodeXMLEntities(raw.slice(last, match.index)) + `{P${codes.length}}`;
+            last = match.index + match[0].length;
+        }
+        return text + this.decodeXMLEntities(raw.slice(last));
+    }
+
+    // Whether protected text has anything to translate besides placeholders
+    _hasText(decoded) {
+        return decoded.replace(/\{P\d+\}/g, '').trim().length > 0;
+    }
+
+    // Make every inline code of a segment appear exactly once in its
+    // translated runs: providers occasionally drop or repeat placeholders.
+    // Repeats after the first are removed and a dropped code is put back at
+    // the end of the run it came from.
+    _settleCodes(segment) {
+        const codes = segment.codes || [];
+        if (codes.length === 0) return;
+        const placeholder = /\{\s*[Pp]\s*(\d+)\s*\}/g;
+        const seen = new Set();
+        for (const run of segment.runs) {
+            if (typeof run.translated !== 'string') continue;
+            run.translated = run.translated.replace(placeholder, (token, n) => {
+                if (seen.has(n) || !codes[Number(n) - 1]) return '';
+                seen.add(n);
+                return `{P${n}}`;
+            });
+        }
+        for (const run of segment.runs) {
+            const lost = (run.decoded.match(/\{P(\d+)\}/g) || []).filter(token => !seen.has(token.slice(2, -1)));
+            if (lost.length && typeof run.translated === 'string') run.translated += lost.join('');
+        }
+    }
+
+    // Group the Content runs of each paragraph into one translatable segment.
+    // A paragraph is the run of <Content> elements inside the innermost
+    // ParagraphStyleRange up to the next <Br/>; nested paragraph ranges
+    // (table cells, footnotes, anchored frames) start their own segments.
+    // Each segment's `source` wraps the runs in {n}...{/n} markers when it
+    // has more than one, so the translation can be split back across the
+    // original CharacterStyleRanges by distributeSegmentTranslation().
+    extractSegmentsFromIDML(xmlContent) {
+        const tokenRegex = /<ParagraphStyleRange\b[^>]*?(\/?)>|<\/ParagraphStyleRange>|<Br\s*\/>|<Content[^>]*>(.*?)<\/Content>|<(?:Table|Cell|Footnote|Note|TextFrame|Rectangle|Group)\b[^>]*>|<\/(?:Table|Cell|Footnote|Note|TextFrame|Rectangle|Group)>/gs;
+        const segments = [];
+        const psrStack = [];
+        let psrCount = 0;
+        let paragraphInRange = 0;
+        let runs = [];
+        let codes = []; // inline codes of the paragraph being collected
+
+        const flush = () => {
+            if (runs.length > 0 && runs.some(run => this._hasText(run.decoded))) {
+                const psrIndex = psrStack.length ? psrStack[psrStack.length - 1].index : -1;
+                segments.push(this._buildSegment(runs, psrIndex, paragraphInRange, codes));
+            }
+            runs = [];
+            codes = [];
+        };
+
+        let match;
+        while ((match = tokenRegex.exec(xmlContent)) !== null) {
+            const token = match[0];
+            if (token.startsWith('<Content')) {
+                runs.push({
+                    original: match[2],
+                    decoded: this.protectContent(match[2], codes),
+                    codes,
+                    fullMatch: token,
+                    index: match.index
+                });
+                continue;
+            }
+
+            flush();
+            if (token.startsWith('<ParagraphStyleRange')) {
+                if (!match[1]) {
+                    psrStack.push({ index: psrCount, paragraphs: paragraphInRange });
+                    paragraphInRange = 0;
+                }
+                psrCount++;
+            } else if (token === '</ParagraphStyleRange>') {
+                const closed = psrStack.pop();
+                paragraphInRange = closed ? closed.paragraphs : 0;
+            } else if (token.startsWith('<Br')) {
+                paragraphInRange++;
+            }
+        }
+        flush();
+
+        return segments;
+    }
+
+    _buildSegment(runs, psrIndex, paragraphIndex, codes = []) {
+        const joined = runs.map(run => run.decoded).join('');
+        const leading = (joined.match(/^\s*/) || [''])[0];
+        const trailing = joined.trim().length ? (joined.match(/\s*$/) || [''])[0] : '';
+
+        let source;
+        if (runs.length === 1) {
+            source = joined.trim();
+        } else {
+            // Markers carry the run boundaries; surrounding whitespace is
+            // kept outside so it can be restored around the translation.
+            source = runs.map((run, k) => `{${k + 1}}${run.decoded}{/${k + 1}}`).join('');
+            source = source.replace(/^(\{1\})\s+/, '$1').replace(/\s+(\{\/\d+\})$/, '$1');
+        }
+
+        return { psrIndex, paragraphIndex, runs, codes, text: joined.trim(), source, leading, trailing };
+    }
+
+    // Write a segment translation back into its runs (sets run.translated).
+    // When the {n}...{/n} markers come back intact each run gets its own
+    // text; text outside markers joins the preceding run. If the provider
+    // dropped or mangled markers the plain translation is spread across the
+    // runs by word count instead.
+    distributeSegmentTranslation(segment, translation) {
+        const runs = segment.runs;
+        const text = String(translation == null ? '' : translation);
+
+        if (runs.length === 1) {
+            runs[0].translated = segment.leading + text.trim() + segment.trailing;
+            this._settleCodes(segment);
+            return runs;
+        }
+
+        const pieces = this._splitByMarkers(text, runs.length) || this._splitByWords(
+            text.replace(/\{\/?\d+\}/g, '').replace(/\s+/g, ' ').trim(),
+            runs.map(run => (run.decoded.match(/\S+/g) || []).length)
+        );
+
+        pieces[0] = segment.leading + pieces[0].replace(/^\s+/, '');
+        pieces[pieces.length - 1] = pieces[pieces.length - 1].replace(/\s+$/, '') + segment.trailing;
+        runs.forEach((run, k) => { run.translated = pieces[k]; });
+        this._settleCodes(segment);
+        return runs;
+    }
+
+    // Parse {n}...{/n} markers. Returns one string per run, or null when any
+    // marker is missing, repeated or unbalanced.
+    _splitByMarkers(text, runCount) {
+        const pieces = new Array(runCount).fill(null);
+        const pairRegex = /\{(\d+)\}([\s\S]*?)\{\/\1\}/g;
+        let last = 0;
+        let previous = -1;
+        let leadingOrphan = '';
+        let match;
+        while ((match = pairRegex.exec(text)) !== null) {
+            const k = Number(match[1]) - 1;
+            if (k < 0 || k >= runCount || pieces[k] !== null) return null;
+            const between = text.slice(last, match.index);
+            if (previous === -1) leadingOrphan = between;
+            else pieces[previous] += between;
+            pieces[k] = match[2];
+            previous = k;
+            last = match.index + match[0].length;
+        }
+        if (previous === -1 || pieces.some(piece => piece === null)) return null;
+        pieces[previous] += text.slice(last);
+        if (leadingOrphan) {
+            const first = pieces.findIndex(piece => piece !== null);
+            pieces[first] = leadingOrphan + pieces[first];
+        }
+        if (pieces.some(piece => /\{\/?\d+\}/.test(piece))) return null;
+        return pieces;
+    }
+
+    // Spread words over runs in proportion to each run's source word count.
+    // Runs that had no words (pure whitespace) get nothing.
+    _splitByWords(text, weights) {
+        const tokens = text.match(/\S+\s*/g) || [];
+        const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+        const pieces = [];
+        let cumulative = 0;
+        let taken = 0;
+        for (let k = 0; k < weights.length; k++) {
+            cumulative += weights[k];
+            let cut;
+            if (k === weights.length - 1) cut = tokens.length;
+            else if (totalWeight === 0) cut = k === 0 ? tokens.length : taken;
+            else cut = Math.round(tokens.length * cumulative / totalWeight);
+            pieces.push(tokens.slice(taken, Math.max(taken, cut)).join(''));
+            taken = Math.max(taken, cut);
+        }
+        return pieces;
+    }
+
+    // Inject translated text back into IDML XML. Each <Content> keeps its
+    // original start tag, {Pn} placeholders get their inline codes back
+    // byte for byte, and runs whose text did not change are left as they
+    // were.
     injectTranslatedText(xmlContent, textMappings) {
         let result = xmlContent;
 
         // Process in reverse order to preserve string indices
         for (let i = textMappings.length - 1; i >= 0; i--) {
             const mapping = textMappings[i];
-            if (!mapping.translated) continue;
+            // An empty string is a valid result when a paragraph translation
+            // was redistributed and this run ended up with no words.
+            if (typeof mapping.translated !== 'string') continue;
+            if (mapping.translated === mapping.decoded) continue;
 
             // Encode translated text for XML
-            const encoded = this.encodeForXML(mapping.translated);
-            const newContent = `<Content>${encoded}</Content>`;
+            const codes = mapping.codes || [];
+            const encoded = this.encodeForXML(mapping.translated)
+                .replace(/\{P(\d+)\}/g, (token, n) => (codes[n - 1] !== undefined ? codes[n - 1] : token));
+            const startTag = mapping.fullMatch.slice(0, mapping.fullMatch.indexOf('>') + 1);
+            const newContent = `${startTag}${encoded}</Content>`;
 
             // Replace the original Content block
             result = result.slice(0, mapping.index) + newContent + result.slice(mapping.index + mapping.fullMatch.length);
@@ -249,17 +986,19 @@ class Translator {
         return result;
     }
 
+    // One pass, so "&amp;lt;" decodes to "&lt;" and not to "<"
     decodeXMLEntities(text) {
-        return text
-            .replace(/&amp;/g, '&')
-            .replace(/&lt;/g, '<')
-            .replace(/&gt;/g, '>')
-            .replace(/&quot;/g, '"')
-            .replace(/&apos;/g, "'");
+        const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+        return text.replace(/&(amp|lt|gt|quot|apos|#x[0-9a-fA-F]+|#\d+);/g, (entity, name) => {
+            if (name[0] !== '#') return named[name];
+            return String.fromCodePoint(name[1] === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1)));
+        });
     }
 
+    // Control characters a provider returns have no XML form and are dropped
     encodeForXML(text) {
         return text
+            .replace(/[^\t\n\r\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
             .replace(/&/g, '&amp;')
             .replace(/</g, '&lt;')
             .replace(/>/g, '&gt;')
@@ -268,5 +1007,9 @@ class Translator {
     }
 }
 
-// Export for use in other modules
-window.Translator = Translator;
\ No newline at end of file
+// Export for use in other modules (browser global or CommonJS for the CLI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Translator;
+} else {
+    window.Translator = Translator;
+}
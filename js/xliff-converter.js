@@ -0,0 +1,261 @@
+// XLIFF Exchange Module
+// Exports IDML story text as XLIFF 1.2 or 2.0 for CAT tools and imports the
+// translated file back into the stories. Segmentation is the same
+// paragraph segmentation the translator uses, so one <trans-unit>/<unit>
+// is one paragraph and its character style runs become <g>/<pc> elements.
+
+class XLIFFConverter {
+    constructor(translator) {
+        this.translator = translator;
+        this.namespaces = {
+            '1.2': 'urn:oasis:names:tc:xliff:document:1.2',
+            '2.0': 'urn:oasis:names:tc:xliff:document:2.0'
+        };
+    }
+
+    // Current XML for a story: the modified version if an earlier step
+    // changed it, otherwise the original from the IDML package.
+    async _storyXml(idmlProcessor, storyPath) {
+        if (idmlProcessor.modifiedFiles.has(storyPath)) return idmlProcessor.modifiedFiles.get(storyPath);
+        const storyFile = idmlProcessor.idmlZip.file(storyPath);
+        return storyFile ? await storyFile.async('text') : null;
+    }
+
+    // Segment every story. Unit ids are s1, s2, ... per story file and are
+    // what the import matches on.
+    async collectSegments(idmlProcessor) {
+        if (!idmlProcessor.idmlZip) throw new Error('No IDML loaded');
+        const stories = [];
+        for (const storyPath of idmlProcessor.storyFiles) {
+            const xml = await this._storyXml(idmlProcessor, storyPath);
+            if (xml === null) continue;
+            const segments = this.translator.extractSegmentsFromIDML(xml);
+            segments.forEach((segment, i) => { segment.id = `s${i + 1}`; });
+            stories.push({ path: storyPath, xml, segments });
+        }
+        return stories;
+    }
+
+    async exportIDML(idmlProcessor, { version = '1.2', sourceLang, targetLang, documentName = 'document.idml' } = {}) {
+        if (!this.namespaces[version]) throw new Error(`Unsupported XLIFF version '${version}'`);
+        if (!sourceLang || sourceLang === 'auto') {
+            throw new Error('XLIFF export needs an explicit source language. Choose one in the "From" list.');
+        }
+
+        const stories = await this.collectSegments(idmlProcessor);
+        const segmentCount = stories.reduce((sum, story) => sum + story.segments.length, 0);
+        if (segmentCount === 0) throw new Error('No translatable text found in IDML');
+
+        const xliff = version === '2.0'
+            ? this._build20(stories, sourceLang, targetLang, documentName)
+            : this._build12(stories, sourceLang, targetLang, documentName);
+        return { xliff, segmentCount };
+    }
+
+    _build12(stories, sourceLang, targetLang, documentName) {
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<xliff version="1.2" xmlns="${this.namespaces['1.2']}">`
+        ];
+        for (const story of stories) {
+            if (story.segments.length === 0) continue;
+            lines.push(`  <file original="${this._escAttr(story.path)}" source-language="${this._escAttr(sourceLang)}"${targetLang ? ` target-language="${this._escAttr(targetLang)}"` : ''} datatype="x-idml" tool-id="indesign-update">`);
+            lines.push(`    <header><note>${this._escText(documentName)}</note></header>`);
+            lines.push('    <body>');
+            for (const segment of story.segments) {
+                lines.push(`      <trans-unit id="${segment.id}" resname="psr${segment.psrIndex}.${segment.paragraphIndex}" xml:space="preserve">`);
+                lines.push(`        <source>${this._inline(segment, 'g')}</source>`);
+                lines.push(`        <note>ParagraphStyleRange ${segment.psrIndex}, paragraph ${segment.paragraphIndex}</note>`);
+                lines.push('      </trans-unit>');
+            }
+            lines.push('    </body>');
+            lines.push('  </file>');
+        }
+        lines.push('</xliff>', '');
+        return lines.join('\n');
+    }
+
+    _build20(stories, sourceLang, targetLang, documentName) {
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<xliff version="2.0" xmlns="${this.namespaces['2.0']}" srcLang="${this._escAttr(sourceLang)}"${targetLang ? ` trgLang="${this._escAttr(targetLang)}"` : ''}>`
+        ];
+        stories.forEach((story, fileIndex) => {
+            if (story.segments.length === 0) return;
+            lines.push(`  <file id="f${fileIndex + 1}" original="${this._escAttr(story.path)}">`);
+            lines.push(`    <notes><note>${this._escText(documentName)}</note></notes>`);
+            for (const segment of story.segments) {
+                lines.push(`    <unit id="${segment.id}" name="psr${segment.psrIndex}.${segment.paragraphIndex}">`);
+                lines.push(`      <notes><note>ParagraphStyleRange ${segment.psrIndex}, paragraph ${segment.paragraphIndex}</note></notes>`);
+                lines.push('      <segment>');
+                lines.push(`        <source xml:space="preserve">${this._inline(segment, 'pc')}</source>`);
+                lines.push('      </segment>');
+                lines.push('    </unit>');
+            }
+            lines.push('  </file>');
+        });
+        lines.push('</xliff>', '');
+        return lines.join('\n');
+    }
+
+    // Segment source as XLIFF inline content: {n}...{/n} markers become
+    // <g id="n"> (1.2) or <pc id="n"> (2.0), and the {Pn} placeholders of
+    // inline codes (page numbers, tabs, anchors) standalone <x id="Pn"/>
+    // (1.2) or <ph id="Pn"/> (2.0) codes.
+    _inline(segment, tagName) {
+        const codeTag = tagName === 'pc' ? 'ph' : 'x';
+        const escaped = this._escText(segment.source).replace(/\{(P\d+)\}/g, `<${codeTag} id="$1"/>`);
+        if (segment.runs.length === 1) return escaped;
+        return escaped
+            .replace(/\{(\d+)\}/g, `<${tagName} id="$1">`)
+            .replace(/\{\/(\d+)\}/g, `</${tagName}>`);
+    }
+
+    // Read a translated XLIFF file into { version, files: Map(path -> Map(id -> unit)) }
+    // where unit is { source, target } in {n}...{/n} marker form (target is
+    // null when the unit has no translation).
+    parse(xliffText) {
+        const doc = new DOMParser().parseFromString(xliffText, 'text/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('XLIFF file is not well-formed XML');
+        }
+        const root = doc.documentElement;
+        if (!root || root.localName !== 'xliff') throw new Error('Not an XLIFF file (missing <xliff> root element)');
+        const version = (root.getAttribute('version') || '').startsWith('2') ? '2.0' : '1.2';
+
+        const files = new Map();
+        const fileElements = root.getElementsByTagNameNS('*', 'file');
+        for (let f = 0; f < fileElements.length; f++) {
+            const fileEl = fileElements[f];
+            const path = fileEl.getAttribute('original');
+            if (!path) continue;
+            const units = new Map();
+            const unitElements = fileEl.getElementsByTagNameNS('*', version === '2.0' ? 'unit' : 'trans-unit');
+            for (let u = 0; u < unitElements.length; u++) {
+                const unitEl = unitElements[u];
+                const sources = unitEl.getElementsByTagNameNS('*', 'source');
+                const targets = unitEl.getElementsByTagNameNS('*', 'target');
+                // 2.0 units may hold several <segment>s; join them in order
+                const join = (list) => list.length ? Array.from(list).map(el => this._markers(el)).join('') : null;
+                units.set(unitEl.getAttribute('id'), { source: join(sources) || '', target: join(targets) });
+            }
+            files.set(path, units);
+        }
+        return { version, files };
+    }
+
+    // Convert XLIFF inline content back to {n}...{/n} markers. Paired tags
+    // (g, pc) keep their id and the x/ph codes of inline codes become {Pn}
+    // again; other standalone codes (bx, ex, sc, ec) are dropped because
+    // the IDML runs are rebuilt from the markers alone.
+    _markers(element) {
+        let out = '';
+        for (const node of Array.from(element.childNodes)) {
+            if (node.nodeType === 3 || node.nodeType === 4) {
+                out += node.nodeValue;
+            } else if (node.nodeType === 1) {
+                const name = node.localName;
+                if (name === 'g' || name === 'pc') {
+                    const id = node.getAttribute('id');
+                    out += `{${id}}${this._markers(node)}{/${id}}`;
+                } else if (name === 'mrk' || name === 'sub') {
+                    out += this._markers(node);
+                } else if ((name === 'x' || name === 'ph') && /^P\d+$/.test(node.getAttribute('id') || '')) {
+                    out += `{${node.getAttribute('id')}}`;
+                }
+            }
+        }
+        return out;
+    }
+
+    // Apply a translated XLIFF to the loaded IDML. Every unit must match a
+    // segment of the current document (same story, id and source text);
+    // otherwise nothing is written and the error lists the mismatches.
+    async importIntoIDML(xliffText, idmlProcessor) {
+        const parsed = this.parse(xliffText);
+        const stories = await this.collectSegments(idmlProcessor);
+        const byPath = new Map(stories.map(story => [story.path, story]));
+        const plain = (text) => String(text || '').replace(/\{\/?\d+\}/g, '').replace(/\s+/g, ' ').trim();
+
+        const mismatches = [];
+        for (const [path, units] of parsed.files) {
+            const story = byPath.get(path);
+            if (!story) {
+                mismatches.push(`${path}: story not found in the loaded document`);
+                continue;
+            }
+            const segmentsById = new Map(story.segments.map(segment => [segment.id, segment]));
+            for (const [id, unit] of units) {
+                const segment = segmentsById.get(id);
+                if (!segment) {
+                    mismatches.push(`${path}#${id}: no such segment in the loaded document`);
+                } else if (plain(unit.source) !== plain(segment.source)) {
+                    mismatches.push(`${path}#${id}: source text differs ("${plain(unit.source).slice(0, 40)}" vs "${plain(segment.source).slice(0, 40)}")`);
+                }
+            }
+        }
+        if (parsed.files.size === 0) mismatches.push('the file contains no <file> elements with an original story path');
+        if (mismatches.length > 0) {
+            const shown = mismatches.slice(0, 5).join('; ');
+            const more = mismatches.length > 5 ? ` (and ${mismatches.length - 5} more)` : '';
+            throw new Error(`XLIFF does not match the loaded document: ${shown}${more}. Export a fresh XLIFF from this IDML and translate that.`);
+        }
+
+        let translatedCount = 0;
+        let untranslatedCount = 0;
+        const replacementLog = [];
+        for (const [path, units] of parsed.files) {
+            const story = byPath.get(path);
+            const segmentsById = new Map(story.segments.map(segment => [segment.id, segment]));
+            const touched = [];
+            let storyCount = 0;
+            for (const [id, unit] of units) {
+                if (unit.target === null || plain(unit.target) === '') {
+                    untranslatedCount++;
+                    continue;
+                }
+                const segment = segmentsById.get(id);
+                this.translator.distributeSegmentTranslation(segment, unit.target);
+                touched.push(...segment.runs);
+                storyCount++;
+            }
+            if (storyCount === 0) continue;
+
+            // injectTranslatedText expects runs in document order
+            touched.sort((a, b) => a.index - b.index);
+            idmlProcessor.modifiedFiles.set(path, this.translator.injectTranslatedText(story.xml, touched));
+            translatedCount += storyCount;
+            replacementLog.push({
+                file: path,
+                original: `${units.size} XLIFF units`,
+                replacement: 'Imported translation',
+                count: storyCount
+            });
+        }
+
+        const modifiedIdmlBytes = await idmlProcessor.createModifiedIDML();
+        return {
+            success: true,
+            modifiedIdmlBytes,
+            totalReplacements: translatedCount,
+            untranslatedCount,
+            replacementLog
+        };
+    }
+
+    // Drops characters XML cannot carry at all
+    _escText(text) {
+        return String(text).replace(/[^\t\n\r\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    _escAttr(text) {
+        return this._escText(text).replace(/"/g, '&quot;');
+    }
+}
+
+// Export for use in other modules (browser global or CommonJS for the CLI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XLIFFConverter;
+} else {
+    window.XLIFFConverter = XLIFFConverter;
+}
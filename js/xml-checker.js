@@ -0,0 +1,171 @@
+// XML Well-formedness Checker
+// A small pure-JavaScript checker used where DOMParser is not available
+// (Node CLI, Web Workers). It verifies what InDesign needs to open a story:
+// balanced and properly nested tags, quoted and unique attributes, valid
+// entity and character references, only characters XML 1.0 allows, and
+// terminated comments/CDATA/processing instructions.
+// It does not validate against a schema or resolve DTDs, so named entities
+// other than the five predefined ones are rejected.
+
+class XMLChecker {
+    // Whether a code point is a Char of XML 1.0
+    static isAllowedChar(code) {
+        return code === 0x9 || code === 0xA || code === 0xD
+            || (code >= 0x20 && code <= 0xD7FF)
+            || (code >= 0xE000 && code <= 0xFFFD)
+            || (code >= 0x10000 && code <= 0x10FFFF);
+    }
+
+    // Returns { ok: true } or { ok: false, error } where error names the
+    // problem and its line/column.
+    static check(xml) {
+        const text = String(xml);
+        const stack = [];
+        let rootClosed = false;
+        let rootSeen = false;
+        let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+        const fail = (message, at) => {
+            const before = text.slice(0, at);
+            const line = (before.match(/\n/g) || []).length + 1;
+            const column = at - before.lastIndexOf('\n');
+            return { ok: false, error: `${message} at line ${line}, column ${column}` };
+        };
+        const nameRe = /[A-Za-z_:\u00C0-\uFFFF][-A-Za-z0-9_:.\u00B7\u00C0-\uFFFF]*/y;
+        const readName = (at) => {
+            nameRe.lastIndex = at;
+            const m = nameRe.exec(text);
+            return m ? m[0] : null;
+        };
+        // Entity and character references in text and attribute values
+        const checkEntities = (from, to) => {
+            let amp = text.indexOf('&', from);
+            while (amp !== -1 && amp < to) {
+                const semi = text.indexOf(';', amp);
+                const ref = semi === -1 || semi > to ? null : text.slice(amp + 1, semi);
+                if (ref === null || !/^(?:[A-Za-z_][-A-Za-z0-9_.]*|#[0-9]+|#x[0-9A-Fa-f]+)$/.test(ref)) {
+                    return fail('Invalid or unescaped "&"', amp);
+                }
+                if (ref[0] === '#') {
+                    const code = ref[1] === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+                    if (!XMLChecker.isAllowedChar(code)) return fail(`Character reference &${ref}; is not allowed in XML`, amp);
+                } else if (!['amp', 'lt', 'gt', 'quot', 'apos'].includes(ref)) {
+                    return fail(`Undeclared entity &${ref};`, amp);
+                }
+                amp = text.indexOf('&', semi);
+            }
+            return null;
+        };
+
+        // Raw characters XML does not allow, anywhere in the document
+        const forbidden = /[^\t\n\r\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/u.exec(text);
+        if (forbidden) {
+            const code = forbidden[0].codePointAt(0).toString(16).toUpperCase().padStart(4, '0');
+            return fail(`Character U+${code} is not allowed in XML`, forbidden.index);
+        }
+        let cdataEnd = text.indexOf(']]>'); // next "]]>" from the current text run on
+
+        while (i < text.length) {
+            const lt = text.indexOf('<', i);
+            const textEnd = lt === -1 ? text.length : lt;
+            if (textEnd > i) {
+                if (stack.length === 0 && text.slice(i, textEnd).trim()) {
+                    return fail('Text outside the root element', i);
+                }
+                const entityError = checkEntities(i, textEnd);
+                if (entityError) return entityError;
+                if (cdataEnd !== -1 && cdataEnd < i) cdataEnd = text.indexOf(']]>', i);
+                if (cdataEnd !== -1 && cdataEnd < textEnd) return fail('"]]>" in text', cdataEnd);
+            }
+            if (lt === -1) break;
+            i = lt;
+
+            if (text.startsWith('<?', i)) {
+                const end = text.indexOf('?>', i + 2);
+                if (end === -1) return fail('Unterminated processing instruction', i);
+                i = end + 2;
+            } else if (text.startsWith('<!--', i)) {
+                const end = text.indexOf('-->', i + 4);
+                if (end === -1) return fail('Unterminated comment', i);
+                i = end + 3;
+            } else if (text.startsWith('<![CDATA[', i)) {
+                if (stack.length === 0) return fail('CDATA section outside the root element', i);
+                const end = text.indexOf(']]>', i + 9);
+                if (end === -1) return fail('Unterminated CDATA section', i);
+                i = end + 3;
+            } else if (text.startsWith('<!DOCTYPE', i)) {
+                let depth = 0;
+                let j = i + 9;
+                for (; j < text.length; j++) {
+                    if (text[j] === '[') depth++;
+                    else if (text[j] === ']') depth--;
+                    else if (text[j] === '>' && depth <= 0) break;
+                }
+                if (j >= text.length) return fail('Unterminated DOCTYPE', i);
+                i = j + 1;
+            } else if (text.startsWith('</', i)) {
+                const name = readName(i + 2);
+                if (!name) return fail('Malformed closing tag', i);
+                let j = i + 2 + name.length;
+                while (/\s/.test(text[j] || '')) j++;
+                if (text[j] !== '>') return fail(`Malformed closing tag </${name}>`, i);
+                const open = stack.pop();
+                if (!open) return fail(`Unexpected closing tag </${name}>`, i);
+                if (open.name !== name) return fail(`Closing tag </${name}> does not match <${open.name}> opened at offset ${open.at}`, i);
+                if (stack.length === 0) rootClosed = true;
+                i = j + 1;
+            } else {
+                const name = readName(i + 1);
+                if (!name) return fail('Malformed tag or unescaped "<"', i);
+                if (rootClosed || (stack.length === 0 && rootSeen)) return fail('More than one root element', i);
+                rootSeen = true;
+                let j = i + 1 + name.length;
+                const attributes = new Set();
+                let selfClosing = false;
+                for (;;) {
+                    const wsStart = j;
+                    while (/\s/.test(text[j] || '')) j++;
+                    if (j >= text.length) return fail(`Unterminated tag <${name}>`, i);
+                    if (text[j] === '>') { j++; break; }
+                    if (text.startsWith('/>', j)) { j += 2; selfClosing = true; break; }
+                    if (j === wsStart) return fail(`Missing whitespace between attributes in <${name}>`, j);
+                    const attr = readName(j);
+                    if (!attr) return fail(`Malformed attribute in <${name}>`, j);
+                    if (attributes.has(attr)) return fail(`Duplicate attribute '${attr}' in <${name}>`, j);
+                    attributes.add(attr);
+                    j += attr.length;
+                    while (/\s/.test(text[j] || '')) j++;
+                    if (text[j] !== '=') return fail(`Attribute '${attr}' has no value in <${name}>`, j);
+                    j++;
+                    while (/\s/.test(text[j] || '')) j++;
+                    const quote = text[j];
+                    if (quote !== '"' && quote !== '\'') return fail(`Unquoted value for '${attr}' in <${name}>`, j);
+                    const close = text.indexOf(quote, j + 1);
+                    if (close === -1) return fail(`Unterminated value for '${attr}' in <${name}>`, j);
+                    const lessThan = text.indexOf('<', j + 1);
+                    if (lessThan !== -1 && lessThan < close) return fail(`"<" in value of '${attr}' in <${name}>`, lessThan);
+                    const entityError = checkEntities(j + 1, close);
+                    if (entityError) return entityError;
+                    j = close + 1;
+                }
+                if (!selfClosing) stack.push({ name, at: i });
+                else if (stack.length === 0) rootClosed = true;
+                i = j;
+            }
+        }
+
+        if (stack.length > 0) {
+            const open = stack[stack.length - 1];
+            return fail(`Unclosed tag <${open.name}>`, open.at);
+        }
+        if (!rootSeen) return fail('No root element', 0);
+        return { ok: true };
+    }
+}
+
+// Export for use in other modules (browser global or CommonJS for the CLI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XMLChecker;
+} else {
+    window.XMLChecker = XMLChecker;
+}
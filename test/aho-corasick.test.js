@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AhoCorasick = require('../js/aho-corasick.js');
+
+const found = (automaton, text) => automaton.search(text).map(hit => [hit.start, hit.end, hit.pattern]);
+
+test('finds every occurrence of every pattern, ordered by end offset', () => {
+    const automaton = new AhoCorasick(['he', 'she', 'his', 'hers']);
+    assert.deepEqual(found(automaton, 'ushers'), [[1, 4, 1], [2, 4, 0], [2, 6, 3]]);
+});
+
+test('reports overlapping and repeated matches', () => {
+    const automaton = new AhoCorasick(['aa', 'a']);
+    assert.deepEqual(found(automaton, 'aaa'), [[0, 1, 1], [0, 2, 0], [1, 2, 1], [1, 3, 0], [2, 3, 1]]);
+});
+
+test('follows fail links into shorter patterns', () => {
+    const automaton = new AhoCorasick(['abcd', 'bc', 'c']);
+    assert.deepEqual(found(automaton, 'abcx'), [[1, 3, 1], [2, 3, 2]]);
+});
+
+test('keeps pattern indexes when empty patterns are ignored', () => {
+    const automaton = new AhoCorasick(['', 'cat', '']);
+    assert.deepEqual(found(automaton, 'a cat'), [[2, 5, 1]]);
+    assert.deepEqual(automaton.search(''), []);
+});
+
+test('returns nothing when no pattern occurs', () => {
+    const automaton = new AhoCorasick(['dog', 'bird']);
+    assert.deepEqual(automaton.search('the cat sat'), []);
+});
+
+test('matches non-ASCII text', () => {
+    const automaton = new AhoCorasick(['straße', 'ü']);
+    assert.deepEqual(found(automaton, 'über die straße'), [[0, 1, 1], [9, 15, 0]]);
+});
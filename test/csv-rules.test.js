@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+global.RegexRules = require('../js/regex-rules.js');
+const CsvRules = require('../js/csv-rules.js');
+
+test('maps header aliases and requires find and replace columns', () => {
+    assert.deepEqual(CsvRules.mapHeaders(['﻿Source', 'Replace With', 'Match-Case']), {
+        find: '﻿Source', replace: 'Replace With', caseSensitive: 'Match-Case'
+    });
+    assert.equal(CsvRules.mapHeaders(['current', 'note']), null);
+    assert.throws(() => CsvRules.parse(['current'], []), /CSV must include a find column/);
+});
+
+test('parses rows with their options and spreadsheet row numbers', () => {
+    const fields = ['current', 'replace', 'case_sensitive', 'whole_words', 'replace_all', 'page', 'note'];
+    const result = CsvRules.parse(fields, [
+        { current: 'Colour', replace: 'Color', case_sensitive: 'yes', whole_words: '', replace_all: '1', page: '2 - 5, 7', note: ' UK ' },
+        { current: '', replace: '', case_sensitive: '', whole_words: '', replace_all: '', page: '', note: '' },
+        { current: 'cat', replace: 'dog', case_sensitive: 'no', whole_words: 'x', replace_all: '', page: '', note: '' }
+    ]);
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.disabled, 0);
+    assert.deepEqual(result.rules, [
+        { row: 2, find: 'Colour', replace: 'Color', options: { caseSensitive: true, replaceAll: true, page: '2-5,7' }, note: 'UK' },
+        { row: 4, find: 'cat', replace: 'dog', options: { caseSensitive: false, wholeWords: true }, note: '' }
+    ]);
+});
+
+test('skips disabled rows and rows without a replacement', () => {
+    const result = CsvRules.parse(['find', 'replace', 'enabled'], [
+        { find: 'a', replace: 'b', enabled: 'off' },
+        { find: 'keep', replace: '', enabled: '' },
+        { find: 'c', replace: 'd', enabled: 'true' }
+    ]);
+    assert.equal(result.disabled, 1);
+    assert.deepEqual(result.rules.map(rule => rule.row), [4]);
+    assert.deepEqual(result.rules[0].options, {});
+});
+
+test('reports every problem of a row without stopping at the first row', () => {
+    const result = CsvRules.parse(['current', 'replace', 'whole_words', 'regex', 'regex_flags', 'page'], [
+        { current: '', replace: 'x', whole_words: 'maybe', regex: '', regex_flags: '', page: '' },
+        { current: '(', replace: 'x', whole_words: '', regex: 'true', regex_flags: 'g', page: 'first' },
+        { current: 'ok', replace: 'fine', whole_words: '', regex: '', regex_flags: '', page: '' }
+    ]);
+    assert.deepEqual(result.errors.map(error => error.row), [2, 3]);
+    assert.match(result.errors[0].message, /whole_words must be true\/false/);
+    assert.match(result.errors[0].message, /current is empty/);
+    assert.match(result.errors[1].message, /regex_flags may only contain i, m, s and u/);
+    assert.match(result.errors[1].message, /page must be a page number/);
+    assert.deepEqual(result.rules.map(rule => rule.find), ['ok']);
+});
+
+test('validates page and spread scopes', () => {
+    for (const spec of ['3', '2-5', '1, 3, 5-7']) assert.equal(CsvRules.isValidPageSpec(spec), true, spec);
+    for (const spec of ['', 'a', '1,', '2-']) assert.equal(CsvRules.isValidPageSpec(spec), false, spec);
+    for (const spec of ['1', '2-5', 'masters', 'A-Master', 'B', '1, masters, A-Master']) assert.equal(CsvRules.isValidSpreadSpec(spec), true, spec);
+    for (const spec of [',', '1,', '1 2', '-', 'A--Master', 'A Master', '2-']) assert.equal(CsvRules.isValidSpreadSpec(spec), false, spec);
+});
+
+test('describes options for the preview', () => {
+    assert.equal(CsvRules.describeOptions({ caseSensitive: true, replaceAll: false, regex: true, regexFlags: 'i', layer: 'Text' }),
+        'case sensitive, first only, regex (i), layer Text');
+    assert.equal(CsvRules.describeOptions(), '');
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+global.RegexRules = require('../js/regex-rules.js');
+global.AhoCorasick = require('../js/aho-corasick.js');
+const RuleAnalysis = require('../js/rule-analysis.js');
+
+const issues = (rules, options) => RuleAnalysis.analyze(rules, options).map(issue => `${issue.type}:${issue.severity}:${issue.rules.join(',')}`);
+
+test('reports chains and replacements that create later matches', () => {
+    assert.deepEqual(issues([{ find: 'A', replace: 'B' }, { find: 'b', replace: 'C' }]), ['chain:warning:0,1']);
+    assert.deepEqual(issues([{ find: 'cat', replace: 'the dog' }, { find: 'dog', replace: 'wolf' }]), ['creates-match:warning:0,1']);
+});
+
+test('reports rules that feed each other as a cycle', () => {
+    const found = issues([{ find: 'yes', replace: 'no' }, { find: 'no', replace: 'yes' }]);
+    assert.ok(found.includes('chain:warning:0,1'));
+    assert.ok(found.includes('cycle:warning:0,1'));
+});
+
+test('reports duplicate finds and finds inside other finds', () => {
+    assert.deepEqual(issues([{ find: 'Colour', replace: 'Color' }, { find: 'colour ', replace: 'Hue' }]), ['duplicate:warning:0,1']);
+    assert.deepEqual(issues([{ find: 'cat', replace: 'dog' }, { find: 'catalog', replace: 'list' }]), ['substring:warning:0,1']);
+    assert.deepEqual(issues([{ find: 'catalog', replace: 'list' }, { find: 'cat', replace: 'dog' }]), ['substring:info:0,1']);
+});
+
+test('respects case sensitivity and whole words', () => {
+    assert.deepEqual(issues([{ find: 'A', replace: 'B', options: { caseSensitive: true } }, { find: 'b', replace: 'C', options: { caseSensitive: true } }]), []);
+    assert.deepEqual(issues([{ find: 'cat', replace: 'dog', options: { wholeWords: true } }, { find: 'catalog', replace: 'list' }]), []);
+});
+
+test('only reports overlaps for simultaneous runs', () => {
+    const rules = [{ find: 'A', replace: 'B' }, { find: 'B', replace: 'A' }, { find: 'AB', replace: 'x' }];
+    assert.deepEqual(issues(rules, { simultaneous: true }), ['substring:warning:0,2', 'substring:warning:1,2']);
+    assert.deepEqual(issues(rules, { singlePass: true }), issues(rules, { simultaneous: true }));
+});
+
+test('checks regex rules against every other rule', () => {
+    assert.deepEqual(issues([{ find: 'x', replace: 'item 42' }, { find: '\\d+', replace: 'N', options: { regex: true } }]), ['creates-match:warning:0,1']);
+    assert.deepEqual(issues([{ find: '(', replace: 'x', options: { regex: true } }, { find: 'y', replace: 'z' }]), []);
+});
+
+test('leaves out disabled rules and rules scoped to different stories or styles', () => {
+    assert.deepEqual(issues([{ find: 'A', replace: 'B', enabled: false }, { find: 'B', replace: 'C' }]), []);
+    assert.deepEqual(issues([{ find: 'A', replace: 'B', options: { story: 'u1' } }, { find: 'B', replace: 'C', options: { story: 'u2' } }]), []);
+    assert.deepEqual(issues([{ find: 'A', replace: 'B', options: { paragraphStyle: 'Body' } }, { find: 'B', replace: 'C', options: { paragraphStyle: 'Head' } }]), []);
+});
+
+test('labels rules by CSV row when known', () => {
+    const [issue] = RuleAnalysis.analyze([{ row: 7, find: 'A', replace: 'B' }, { find: 'B', replace: 'C' }]);
+    assert.equal(issue.message, 'Row 7 turns "A" into "B", which Rule 2 then turns into "C"');
+});
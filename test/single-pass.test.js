@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+global.JSZip = require('jszip');
+global.RegexRules = require('../js/regex-rules.js');
+global.XMLChecker = require('../js/xml-checker.js');
+global.TextDiff = require('../js/text-diff.js');
+global.AhoCorasick = require('../js/aho-corasick.js');
+global.IDMLLayout = require('../js/idml-layout.js');
+const IDMLProcessor = require('../js/idml-processor.js');
+
+const story = (self, body) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<idPkg:Story xmlns:idPkg="http://ns.adobe.com/AdobeInDesign/idml/1.0/packaging" DOMVersion="18.0"><Story Self="${self}">${body}</Story></idPkg:Story>`;
+const paragraph = (style, ...runs) => `<ParagraphStyleRange AppliedParagraphStyle="ParagraphStyle/${style}">${runs.join('')}</ParagraphStyleRange>`;
+const run = (text, style = '$ID/[No character style]') => `<CharacterStyleRange AppliedCharacterStyle="CharacterStyle/${style}"><Content>${text}</Content></CharacterStyleRange>`;
+
+// Three stories with repeated matches, escaped text, a match split across
+// character style ranges and text only some rules may touch
+async function fixture() {
+    const zip = new JSZip();
+    zip.file('mimetype', 'application/vnd.adobe.indesign-idml-package');
+    zip.file('designmap.xml', '<?xml version="1.0" encoding="UTF-8"?><Document><idPkg:Story src="Stories/Story_u1.xml"/><idPkg:Story src="Stories/Story_u2.xml"/><idPkg:Story src="Stories/Story_u3.xml"/></Document>');
+    zip.file('Stories/Story_u1.xml', story('u1',
+        paragraph('Heading', run('Summary of the first colour chart')) +
+        paragraph('Body', run('The colour of the Widget and the widget'), '<Br/>', run('Call AT&amp;T about the cat catalog, 12 pages'))));
+    zip.file('Stories/Story_u2.xml', story('u2',
+        paragraph('Body', run('A bird '), run('house', 'Bold'), run(' for the cat; Colour first')) +
+        paragraph('Body', run('Summary: AT&amp;T colours, 3 pages'))));
+    zip.file('Stories/Story_u3.xml', story('u3', paragraph('Body', run('Nothing to see here'))));
+    return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+// No rule matches text another rule matches or inserts
+const rules = [
+    { find: 'colour', replace: 'color' },
+    { find: 'AT&T', replace: 'AT&T Inc.' },
+    { find: 'Widget', replace: 'Gadget', options: { caseSensitive: true } },
+    { find: 'cat', replace: 'feline', options: { wholeWords: true } },
+    { find: 'bird house', replace: 'nest' },
+    { find: 'Summary', replace: 'Overview', options: { paragraphStyle: 'Heading' } },
+    { find: 'first', replace: 'one', options: { replaceAll: false } },
+    { find: '(\\d+) pages', replace: '$1 pp.', options: { regex: true } }
+];
+
+async function runEngine(buffer, options) {
+    const processor = new IDMLProcessor();
+    await processor.loadIDML(buffer);
+    const result = await processor.processReplacements(rules, options);
+    const stories = {};
+    for (const storyPath of processor.storyFiles) {
+        stories[storyPath] = processor.modifiedFiles.get(storyPath) || await processor.idmlZip.file(storyPath).async('text');
+    }
+    return { result, stories };
+}
+
+for (const [name, options] of [['replace all', { replaceAll: true }], ['first match per rule', {}]]) {
+    test(`single pass writes the same stories as a sequential run (${name})`, async (t) => {
+        t.mock.method(console, 'log', () => {});
+        t.mock.method(console, 'warn', () => {});
+        const buffer = await fixture();
+        const sequential = await runEngine(buffer, options);
+        const singlePass = await runEngine(buffer, Object.assign({ singlePass: true }, options));
+
+        assert.deepEqual(singlePass.stories, sequential.stories);
+        assert.equal(singlePass.result.totalReplacements, sequential.result.totalReplacements);
+        assert.deepEqual(singlePass.result.failedChanges, []);
+        assert.deepEqual(singlePass.result.replacementLog.map(entry => entry.changeId),
+            sequential.result.replacementLog.map(entry => entry.changeId));
+        for (const xml of Object.values(singlePass.stories)) assert.deepEqual(XMLChecker.check(xml), { ok: true });
+    });
+}
+
+test('the fixture exercises every rule', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    const { result, stories } = await runEngine(await fixture(), { replaceAll: true });
+    const text = (xml) => (xml.match(/<Content>[^<]*<\/Content>|<Br\/>/g) || []).map(piece => piece.replace(/<\/?Content>/g, '')).join('|');
+
+    assert.equal(text(stories['Stories/Story_u1.xml']),
+        'Overview of the one color chart|The color of the Gadget and the widget|<Br/>|Call AT&amp;T Inc. about the feline catalog, 12 pp.');
+    assert.equal(text(stories['Stories/Story_u2.xml']),
+        'A nest|| for the feline; color first|Summary: AT&amp;T Inc. colors, 3 pp.');
+    assert.equal(text(stories['Stories/Story_u3.xml']), 'Nothing to see here');
+    assert.deepEqual(Array.from(new Set(result.replacementLog.map(entry => entry.ruleIndex))), [0, 1, 2, 3, 4, 5, 6, 7]);
+    assert.equal(result.totalReplacements, result.replacementLog.length);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const XMLChecker = require('../js/xml-checker.js');
+
+const story = (content) => `<?xml version="1.0" encoding="UTF-8"?><Story Self="a"><Content>${content}</Content></Story>`;
+const error = (xml) => {
+    const result = XMLChecker.check(xml);
+    assert.equal(result.ok, false, `expected an error for ${xml}`);
+    return result.error;
+};
+
+test('accepts well-formed stories', () => {
+    for (const xml of [
+        story('Plain text'),
+        story('AT&amp;T &lt;tag&gt; &quot;q&quot; &apos;a&apos;'),
+        story('&#169; &#xA9; &#x1F600;'),
+        story('<?ACE 18?>'),
+        '<Story><!-- note --><Content><![CDATA[a < b]]></Content><Br/></Story>',
+        '﻿<Story Self="a" Name=\'b\'><Content/></Story>'
+    ]) {
+        assert.deepEqual(XMLChecker.check(xml), { ok: true }, xml);
+    }
+});
+
+test('rejects unbalanced, misnested and unclosed tags', () => {
+    assert.match(error('<Story><Content>x</Story>'), /Content/);
+    assert.match(error('<Story><a><b></a></b></Story>'), /./);
+    assert.match(error('<Story><Content>x</Content>'), /./);
+    assert.match(error('<Story></Story><Story></Story>'), /./);
+});
+
+test('rejects bad attributes', () => {
+    assert.match(error('<Story Self=a></Story>'), /./);
+    assert.match(error('<Story Self="a" Self="b"></Story>'), /./);
+});
+
+test('rejects bare ampersands and less-than signs in text', () => {
+    assert.match(error(story('AT&T')), /./);
+    assert.match(error(story('a < b')), /./);
+});
+
+test('rejects undeclared named entities', () => {
+    assert.match(error(story('&nbsp;')), /Undeclared entity &nbsp;/);
+    assert.match(error(story('&AMP;')), /Undeclared entity &AMP;/);
+});
+
+test('rejects character references to characters XML does not allow', () => {
+    assert.match(error(story('&#11;')), /Character reference &#11; is not allowed in XML/);
+    assert.match(error(story('&#x0;')), /is not allowed in XML/);
+    assert.match(error(story('&#xFFFE;')), /is not allowed in XML/);
+    assert.match(error(story('&#x110000;')), /is not allowed in XML/);
+});
+
+test('rejects forbidden characters written directly', () => {
+    assert.match(error(story('line\u000Bbreak')), /Character U\+000B is not allowed in XML/);
+    assert.match(error(story('\u0000')), /U\+0000/);
+    assert.match(error(story('￿')), /U\+FFFF/);
+});
+
+test('rejects "]]>" in text and unterminated markup', () => {
+    assert.match(error(story('a ]]> b')), /./);
+    assert.match(error('<Story><!-- open </Story>'), /./);
+    assert.match(error('<Story><![CDATA[ open </Story>'), /./);
+});
+
+test('reports where the problem is', () => {
+    assert.match(error('<Story>\n<Content>AT&T</Content>\n</Story>'), /line 2, column \d+/);
+});
+
+test('isAllowedChar follows the XML 1.0 Char production', () => {
+    for (const code of [0x9, 0xA, 0xD, 0x20, 0xD7FF, 0xE000, 0xFFFD, 0x10000, 0x10FFFF]) assert.equal(XMLChecker.isAllowedChar(code), true, code.toString(16));
+    for (const code of [0x0, 0x8, 0xB, 0xC, 0x1F, 0xD800, 0xDFFF, 0xFFFE, 0xFFFF, 0x110000]) assert.equal(XMLChecker.isAllowedChar(code), false, code.toString(16));
+});